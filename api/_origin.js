@@ -0,0 +1,12 @@
+/**
+ * Helpers shared by the functions in api/. The leading underscore keeps
+ * Vercel from deploying this file as a function of its own.
+ */
+
+/** This deployment's origin, as the client saw it. */
+export function requestOrigin(req) {
+  const first = (v) => String(v || "").split(",")[0].trim();
+  const proto = first(req.headers["x-forwarded-proto"]) || "http";
+  const host = first(req.headers["x-forwarded-host"]) || req.headers.host;
+  return `${proto}://${host}`;
+}
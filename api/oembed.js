@@ -0,0 +1,40 @@
+/**
+ * oEmbed endpoint: GET /oembed?url=<paste URL>[&format=json][&maxwidth=][&maxheight=]
+ *
+ * Deployed as a Vercel function (vercel.json rewrites /oembed here, ahead of
+ * the /api proxy) and mounted by the Vite dev server (vite.config.js). Uses
+ * only node:http request/response members so both can call it.
+ *
+ * Answers from the URL alone and never contacts the backend, so unfurling a
+ * link can't spend one of the paste's views.
+ */
+import { oembedFor } from "../src/lib/embed.js";
+import { requestOrigin } from "./_origin.js";
+
+function send(res, status, body) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  if (status === 200) res.setHeader("Cache-Control", "public, max-age=3600");
+  res.end(JSON.stringify(body));
+}
+
+export default function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.setHeader("Allow", "GET, HEAD");
+    return send(res, 405, { error: "method not allowed" });
+  }
+  const origin = requestOrigin(req);
+  const params = new URL(req.url, origin).searchParams;
+  const format = params.get("format") || "json";
+  if (format !== "json") return send(res, 501, { error: "only format=json is supported" });
+
+  const url = params.get("url");
+  if (!url) return send(res, 400, { error: "url is required" });
+  const body = oembedFor(url, origin, {
+    maxwidth: params.get("maxwidth"),
+    maxheight: params.get("maxheight"),
+  });
+  if (!body) return send(res, 404, { error: "not a paste URL on this site" });
+  send(res, 200, body);
+}
@@ -0,0 +1,89 @@
+/**
+ * Paste pages with link previews: GET /p/:id
+ *
+ * Deployed as a Vercel function (vercel.json rewrites /p/:id here) and
+ * mounted by `vite preview` and `vite --mode mock` (vite.config.js). Returns
+ * index.html with the paste's title, Open Graph / Twitter tags and a short
+ * description filled in (see src/lib/preview.js). The metadata it read goes into
+ * the page as JSON too, and the client app starts from that instead of asking
+ * /meta again.
+ *
+ * Only reads the paste's metadata, never the content: a content read would
+ * count as a view on every visit, on top of the one the reader's browser
+ * makes. Any backend trouble falls back to a generic preview rather than
+ * failing the page.
+ */
+import * as api from "../src/lib/api.js";
+import { pasteIdFromUrl } from "../src/lib/embed.js";
+import { DEFAULT_LOCALE, LOCALES, createI18n } from "../src/lib/i18n.js";
+import { injectPreview, previewData, previewFor } from "../src/lib/preview.js";
+import { requestOrigin } from "./_origin.js";
+
+const BACKEND_TIMEOUT_MS = 3000;
+
+// The first supported language in Accept-Language, else the default.
+function requestLocale(req) {
+  const tags = String(req.headers["accept-language"] || "")
+    .split(",")
+    .map((part) => part.split(";")[0].trim().toLowerCase().split("-")[0]);
+  return tags.find((tag) => LOCALES.some((l) => l.code === tag)) || DEFAULT_LOCALE;
+}
+
+// { preview, meta }; `meta` only when the backend returned some.
+async function loadPreview(id, origin, t) {
+  // Same-origin /api by default, which vercel.json and the Vite proxy send to
+  // the backend. Per call: one instance serves requests for several origins.
+  const opts = { timeoutMs: BACKEND_TIMEOUT_MS, retries: 0, base: process.env.PASTEBIN_API_BASE || origin };
+  try {
+    const meta = await api.getPasteMeta(id, opts);
+    return { preview: previewFor({ id, origin, meta, t }), meta };
+  } catch (e) {
+    const missing =
+      e instanceof api.NotFoundError || e instanceof api.ExpiredError || e instanceof api.ViewLimitError;
+    const meta = e instanceof api.PasswordRequiredError ? { password_protected: true } : null;
+    return { preview: previewFor({ id, origin, meta, missing, t }), meta: null };
+  }
+}
+
+/**
+ * @param {{ loadTemplate: (req: Object, origin: string) => Promise<string> }} options
+ *   `loadTemplate` returns the built index.html.
+ */
+export function createPageHandler({ loadTemplate }) {
+  return async function handler(req, res) {
+    const origin = requestOrigin(req);
+    const url = new URL(req.url, origin);
+    // Vercel passes the id from the rewrite; the Vite servers see /p/:id.
+    const id = url.searchParams.get("id") || pasteIdFromUrl(url.pathname, origin);
+    try {
+      const template = await loadTemplate(req, origin);
+      const { preview, meta } = id ? await loadPreview(id, origin, createI18n(requestLocale(req)).t) : {};
+      res.statusCode = preview?.missing ? 404 : 200;
+      res.setHeader("Content-Type", "text/html; charset=utf-8");
+      // View counts and expiry change; don't let a CDN keep a stale preview.
+      res.setHeader("Cache-Control", "no-cache");
+      res.setHeader("Vary", "Accept-Language");
+      res.end(preview ? injectPreview(template, preview, origin, meta ? previewData(id, meta) : "") : template);
+    } catch (e) {
+      res.statusCode = 500;
+      res.setHeader("Content-Type", "text/plain; charset=utf-8");
+      res.end(`Could not render the page: ${e.message || e}`);
+    }
+  };
+}
+
+let template = null;
+
+// On Vercel the built index.html is a static file of the same deployment.
+export default createPageHandler({
+  loadTemplate: (req, origin) => {
+    template ??= fetch(`${origin}/index.html`).then((r) => {
+      if (!r.ok) throw new Error(`index.html: HTTP ${r.status}`);
+      return r.text();
+    });
+    return template.catch((e) => {
+      template = null;
+      throw e;
+    });
+  },
+});
@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+/**
+ * pastebin-lite: command-line client for the same /api/pastes backend the UI uses.
+ *
+ *   pastebin-lite create [file] [--ttl 1h] [--max-views 3] [--language js] [--password pw] [--json]
+ *   pastebin-lite get <id> [--password pw] [--json]
+ *   pastebin-lite health [--json]
+ *   pastebin-lite open <id>
+ *
+ * Base URL (first match wins): --base-url, $PASTEBIN_LITE_URL, the config file
+ * ($XDG_CONFIG_HOME/pastebin-lite/config.json or ~/.config/pastebin-lite/config.json,
+ * or --config <path>) { "baseUrl": "https://..." }, then DEFAULT_BASE_URL.
+ */
+import { readFile } from "node:fs/promises";
+import { spawn } from "node:child_process";
+import { homedir } from "node:os";
+import { join } from "node:path";
+import { parseArgs } from "node:util";
+import * as api from "../src/lib/api.js";
+import { parseBundle, singleFileBundle } from "../src/lib/bundle.js";
+import { DecryptError, decryptEnvelope, encryptWithPassphrase, parseEnvelope } from "../src/lib/crypto.js";
+import { parseDuration } from "../src/lib/time.js";
+
+const DEFAULT_BASE_URL = "https://pastebin-backend-new.vercel.app";
+
+// One exit code per failure kind so scripts can branch on them.
+const EXIT = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  NOT_FOUND: 3,
+  EXPIRED: 4,
+  VIEW_LIMIT: 5,
+  VALIDATION: 6,
+  NETWORK: 7,
+  GATEWAY: 8,
+  PASSWORD: 9,
+};
+
+const USAGE = `Usage: pastebin-lite <command> [options]
+
+Commands:
+  create [file]     Create a paste from a file or stdin; prints its URL
+  get <id>          Print a paste's content (counts as a view)
+  health            Check the backend's /api/healthz
+  open <id>         Open a paste in the browser (does not fetch it)
+
+Options:
+  --ttl <duration>      Expire after e.g. 300, 90m, 2d
+  --max-views <n>       Expire after n views
+  --language <id>       Syntax highlighting language (create)
+  --password <pw>       Protect a new paste, or unlock one (also $PASTEBIN_LITE_PASSWORD)
+  --json                Print the raw JSON response
+  --base-url <url>      Backend URL (or $PASTEBIN_LITE_URL, or config file)
+  --config <path>       Config file (default ~/.config/pastebin-lite/config.json)
+  -h, --help            Show this help
+
+Exit codes:
+  0 ok, 1 other error, 2 usage, 3 not found, 4 expired, 5 view limit reached,
+  6 rejected by backend, 7 network/timeout, 8 backend returned HTML/5xx,
+  9 password required or wrong`;
+
+class UsageError extends Error {}
+
+function exitCodeFor(err) {
+  if (err instanceof UsageError) return EXIT.USAGE;
+  if (err instanceof api.PasswordRequiredError) return EXIT.PASSWORD;
+  if (err instanceof api.ExpiredError) return EXIT.EXPIRED;
+  if (err instanceof api.ViewLimitError) return EXIT.VIEW_LIMIT;
+  if (err instanceof api.NotFoundError) return EXIT.NOT_FOUND;
+  if (err instanceof api.ValidationError) return EXIT.VALIDATION;
+  if (err instanceof api.NetworkError) return EXIT.NETWORK;
+  if (err instanceof api.GatewayError) return EXIT.GATEWAY;
+  return EXIT.ERROR;
+}
+
+async function loadConfig(path) {
+  const file =
+    path || join(process.env.XDG_CONFIG_HOME || join(homedir(), ".config"), "pastebin-lite", "config.json");
+  let text;
+  try {
+    text = await readFile(file, "utf8");
+  } catch (e) {
+    // A missing default config is fine; a missing explicit one is not.
+    if (e.code === "ENOENT" && !path) return {};
+    throw new UsageError(`Cannot read config file ${file}: ${e.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new UsageError(`Config file ${file} is not valid JSON.`);
+  }
+}
+
+async function readStdin() {
+  if (process.stdin.isTTY) {
+    throw new UsageError("Nothing to paste: pipe content in or pass a file (pastebin-lite create file.txt).");
+  }
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+function positiveInt(value, flag) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw new UsageError(`${flag} must be an integer ≥ 1`);
+  return n;
+}
+
+function openInBrowser(url) {
+  const [cmd, args] =
+    process.platform === "darwin"
+      ? ["open", [url]]
+      : process.platform === "win32"
+        ? ["cmd", ["/c", "start", "", url]]
+        : ["xdg-open", [url]];
+  return new Promise((resolve, reject) => {
+    const child = spawn(cmd, args, { stdio: "ignore", detached: true });
+    child.on("error", () => reject(new Error(`Could not launch a browser; open ${url} manually.`)));
+    child.on("spawn", () => {
+      child.unref();
+      resolve();
+    });
+  });
+}
+
+function print(out, asJson, text) {
+  process.stdout.write(asJson ? `${JSON.stringify(out, null, 2)}\n` : text);
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      ttl: { type: "string" },
+      "max-views": { type: "string" },
+      language: { type: "string" },
+      password: { type: "string" },
+      json: { type: "boolean", default: false },
+      "base-url": { type: "string" },
+      config: { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  const [command, arg] = positionals;
+  if (values.help || !command) {
+    process.stdout.write(`${USAGE}\n`);
+    return values.help ? EXIT.OK : EXIT.USAGE;
+  }
+
+  const config = await loadConfig(values.config);
+  const baseUrl = values["base-url"] || process.env.PASTEBIN_LITE_URL || config.baseUrl || DEFAULT_BASE_URL;
+  api.setApiBase(baseUrl);
+  const pageUrl = (id) => `${api.getApiBase()}/p/${encodeURIComponent(id)}`;
+  const password = values.password ?? process.env.PASTEBIN_LITE_PASSWORD;
+
+  switch (command) {
+    case "create": {
+      const content = arg ? await readFile(arg, "utf8") : await readStdin();
+      if (!content.trim()) throw new UsageError("Content is empty.");
+      const body = { content };
+      if (values.ttl != null) {
+        const ttl = parseDuration(values.ttl);
+        if (!ttl) throw new UsageError("--ttl must be a duration like 300, 90m or 2d");
+        body.ttl_seconds = ttl;
+      }
+      if (values["max-views"] != null) body.max_views = positiveInt(values["max-views"], "--max-views");
+      if (values.language) body.language = values.language;
+      if (arg) body.filename = arg.split(/[\\/]/).pop();
+      if (password) {
+        // Same as the web UI: the content is encrypted with the password too,
+        // so a backend that ignores the field never sees the plaintext, and
+        // the filename and language go inside it as a one-file bundle.
+        body.password = password;
+        const plain = body.filename || body.language ? singleFileBundle(content, body) : content;
+        body.content = await encryptWithPassphrase(plain, password);
+        delete body.filename;
+        delete body.language;
+      }
+
+      const res = await api.createPaste(body);
+      print({ ...res, url: pageUrl(res.id) }, values.json, `${pageUrl(res.id)}\n`);
+      return EXIT.OK;
+    }
+    case "get": {
+      if (!arg) throw new UsageError("Usage: pastebin-lite get <id>");
+      const paste = await api.getPaste(arg, { password });
+      let content = paste.content ?? "";
+      const env = parseEnvelope(content);
+      if (env?.kdf === "PBKDF2" && password) {
+        // Pastes from the web UI are encrypted with their password; print the
+        // envelope as-is when it was encrypted with something else.
+        content = await decryptEnvelope(env, { passphrase: password }).catch((e) => {
+          if (e instanceof DecryptError && e.code === "bad_key") return content;
+          throw e;
+        });
+        const files = parseBundle(content)?.files;
+        if (files?.length === 1) content = files[0].content;
+        if (values.json) paste.content = content;
+      }
+      print(paste, values.json, content.endsWith("\n") ? content : `${content}\n`);
+      return EXIT.OK;
+    }
+    case "health": {
+      const res = await api.health();
+      print(res, values.json, `ok ${api.getApiBase()} ${JSON.stringify(res)}\n`);
+      return EXIT.OK;
+    }
+    case "open": {
+      if (!arg) throw new UsageError("Usage: pastebin-lite open <id>");
+      await openInBrowser(pageUrl(arg));
+      return EXIT.OK;
+    }
+    default:
+      throw new UsageError(`Unknown command "${command}". Run pastebin-lite --help.`);
+  }
+}
+
+main(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    const isUsage = err instanceof UsageError || String(err.code || "").startsWith("ERR_PARSE_ARGS");
+    process.stderr.write(`pastebin-lite: ${err.message || err}\n`);
+    process.exitCode = isUsage ? EXIT.USAGE : exitCodeFor(err);
+  });
@@ -0,0 +1,189 @@
+/**
+ * End to end against the mock backend: the real API client over real HTTP,
+ * from create to the last view. ui.test.jsx drives the same flow through the
+ * pages; `npm run test:e2e` runs both.
+ */
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from "vitest";
+import * as api from "../src/lib/api.js";
+import { startServer } from "./server.js";
+
+let server;
+let base;
+let control;
+
+beforeAll(async () => {
+  server = await startServer();
+  ({ base, control } = server);
+  api.setApiBase(base);
+});
+
+afterAll(async () => {
+  api.setApiBase(null);
+  await server.close();
+});
+
+beforeEach(async () => {
+  await control({ reset: true, failure: "none" });
+});
+
+describe("paste lifecycle", () => {
+  it("creates, reads and then runs out of views", async () => {
+    const created = await api.createPaste({ content: "hello e2e", max_views: 2, language: "plaintext" });
+    expect(created.id).toBeTruthy();
+    expect(created.url).toMatch(new RegExp(`/p/${created.id}$`));
+
+    const meta = await api.getPasteMeta(created.id);
+    expect(api.remainingViews(meta)).toBe(2);
+    expect(meta).not.toHaveProperty("content");
+
+    const first = await api.getPaste(created.id, { dedupeKey: "nav-a" });
+    expect(first.content).toBe("hello e2e");
+    expect(api.remainingViews(first)).toBe(1);
+
+    // Same navigation again: served from the first request, no view spent.
+    await api.getPaste(created.id, { dedupeKey: "nav-a" });
+    expect(api.remainingViews(await api.getPasteMeta(created.id))).toBe(1);
+
+    const last = await api.getPaste(created.id, { dedupeKey: "nav-b" });
+    expect(api.remainingViews(last)).toBe(0);
+
+    await expect(api.getPaste(created.id)).rejects.toBeInstanceOf(api.ViewLimitError);
+    await expect(api.getPasteMeta(created.id)).rejects.toBeInstanceOf(api.ViewLimitError);
+  });
+
+  it("reports an unknown id as not found", async () => {
+    await expect(api.getPaste("does-not-exist")).rejects.toBeInstanceOf(api.NotFoundError);
+  });
+
+  it("expires pastes after their TTL", async () => {
+    const created = await api.createPaste({ content: "short-lived", ttl_seconds: 60 });
+    await expect(api.getPaste(created.id)).resolves.toMatchObject({ content: "short-lived" });
+    // The client has no clock override, so move the mock's clock on a raw request.
+    const later = String(Date.parse(created.created_at) + 61_000);
+    const resp = await fetch(`${base}/api/pastes/${created.id}`, { headers: { "x-test-now-ms": later } });
+    expect(resp.status).toBe(404);
+    expect(await resp.json()).toEqual({ error: "Paste has expired" });
+  });
+
+  it("rejects invalid input", async () => {
+    await expect(api.createPaste({ content: "   " })).rejects.toBeInstanceOf(api.ValidationError);
+    await expect(api.createPaste({ content: "x", max_views: 0 })).rejects.toBeInstanceOf(api.ValidationError);
+  });
+});
+
+describe("password-protected pastes", () => {
+  it("needs the password, and wrong guesses don't spend views", async () => {
+    const created = await api.createPaste({ content: "secret", max_views: 1, password: "hunter2" });
+    expect(await api.getPasteMeta(created.id)).toMatchObject({ password_protected: true });
+
+    await expect(api.getPaste(created.id)).rejects.toBeInstanceOf(api.PasswordRequiredError);
+    await expect(api.getPaste(created.id, { password: "nope" })).rejects.toBeInstanceOf(api.PasswordRequiredError);
+
+    const paste = await api.getPaste(created.id, { password: "hunter2" });
+    expect(paste.content).toBe("secret");
+    await expect(api.getPaste(created.id, { password: "hunter2" })).rejects.toBeInstanceOf(api.ViewLimitError);
+  });
+});
+
+describe("paste pages", () => {
+  it("answers 404 for a missing paste", async () => {
+    const resp = await fetch(`${base}/p/does-not-exist`);
+    expect(resp.status).toBe(404);
+    expect(await resp.text()).toContain("doesn't exist");
+  });
+
+  it("describes the paste in the reader's language", async () => {
+    const resp = await fetch(`${base}/p/does-not-exist`, { headers: { "Accept-Language": "ar-EG,ar;q=0.9,en;q=0.8" } });
+    expect(await resp.text()).toContain("هذه اللصقة غير موجودة");
+  });
+
+  it("renders a limited paste's preview without spending a view", async () => {
+    const created = await api.createPaste({ content: "preview me", max_views: 1 });
+    const resp = await fetch(`${base}/p/${created.id}`);
+    expect(resp.status).toBe(200);
+    expect(await resp.text()).toContain('property="og:title"');
+    expect(api.remainingViews(await api.getPasteMeta(created.id))).toBe(1);
+  });
+
+  it("doesn't read an unlimited paste's content either, so visits aren't counted twice", async () => {
+    const created = await api.createPaste({ content: "count me once", filename: "once.txt" });
+    const html = await (await fetch(`${base}/p/${created.id}`)).text();
+    expect(html).toContain("once.txt");
+    expect(html).not.toContain("count me once");
+    expect(await api.getPasteMeta(created.id)).toMatchObject({ views: 0 });
+  });
+
+  it("carries the metadata it read for the client, and never the content", async () => {
+    const created = await api.createPaste({ content: "keep me", max_views: 1, filename: "</script><b>x.txt" });
+    const html = await (await fetch(`${base}/p/${created.id}`)).text();
+    const json = html.match(/<script type="application\/json" id="paste-preview-data">(.*?)<\/script>/)?.[1];
+    const data = JSON.parse(json);
+    expect(data).toMatchObject({ id: created.id, meta: { remaining_views: 1, filename: "</script><b>x.txt" } });
+    expect(data.meta).not.toHaveProperty("content");
+    expect(html).not.toContain("keep me");
+  });
+
+  it("reads each page's paste from its own origin when requests overlap", async () => {
+    const other = await startServer();
+    try {
+      const here = await api.createPaste({ content: "x", filename: "from-here.txt" });
+      const there = await api.createPaste({ content: "x", filename: "from-there.txt" }, { base: other.base });
+      const [a, b] = await Promise.all([
+        fetch(`${base}/p/${here.id}`).then((r) => r.text()),
+        fetch(`${other.base}/p/${there.id}`).then((r) => r.text()),
+      ]);
+      expect(a).toContain("from-here.txt");
+      expect(b).toContain("from-there.txt");
+      expect(api.getApiBase()).toBe(base);
+    } finally {
+      await other.close();
+    }
+  });
+});
+
+describe("a backend without /meta", () => {
+  let bare;
+
+  beforeAll(async () => {
+    bare = await startServer({ meta: false });
+    api.setApiBase(bare.base);
+  });
+
+  afterAll(async () => {
+    api.setApiBase(base);
+    await bare.close();
+  });
+
+  it("reads as unknown metadata, not as a missing paste", async () => {
+    const created = await api.createPaste({ content: "no meta here", max_views: 1 });
+    await expect(api.getPasteMeta(created.id)).resolves.toBeNull();
+    // Nothing was spent finding that out.
+    await expect(api.getPaste(created.id)).resolves.toMatchObject({ content: "no meta here" });
+  });
+
+  it("still serves the paste page with a generic preview", async () => {
+    const created = await api.createPaste({ content: "no meta here", max_views: 1 });
+    const resp = await fetch(`${bare.base}/p/${created.id}`);
+    expect(resp.status).toBe(200);
+    const html = await resp.text();
+    expect(html).toContain('property="og:title"');
+    expect(html).not.toContain("no meta here");
+  });
+});
+
+describe("failure modes", () => {
+  it.each([
+    ["html", api.GatewayError],
+    ["spa", api.GatewayError],
+    ["500", api.ApiError],
+  ])("classifies the %s mode", async (failure, ErrorClass) => {
+    await control({ failure });
+    await expect(api.createPaste({ content: "x" })).rejects.toBeInstanceOf(ErrorClass);
+    expect((await control({})).pastes).toBe(0);
+  });
+
+  it("gets a health check through a flaky backend by retrying", async () => {
+    await control({ failure: "flaky" });
+    await expect(api.health()).resolves.toMatchObject({ ok: true, mock: true });
+  });
+});
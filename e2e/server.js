@@ -0,0 +1,36 @@
+/**
+ * The mock backend and the /p/:id page handler on one real HTTP server, as
+ * `npm run dev:mock` serves them. Shared by the e2e suites.
+ */
+import { createServer } from "node:http";
+import { createPageHandler } from "../api/page.js";
+import { createMockBackend } from "../mock/backend.js";
+
+const TEMPLATE = '<html><head><title>Pastebin Lite</title></head><body><div id="root"></div></body></html>';
+
+/**
+ * @param {Object} [mockOptions] Passed to createMockBackend.
+ * @returns {Promise<{ base: string, control: (body: Object) => Promise<Object>, close: () => Promise<void> }>}
+ */
+export async function startServer(mockOptions) {
+  const backend = createMockBackend(mockOptions);
+  const pages = createPageHandler({ loadTemplate: async () => TEMPLATE });
+  const server = createServer((req, res) => {
+    if (req.url.startsWith("/p/")) return pages(req, res);
+    backend(req, res, () => {
+      res.statusCode = 404;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return {
+    base,
+    // The mock's control endpoint: reset, switch failure modes, read its state.
+    async control(body) {
+      const resp = await fetch(`${base}/__mock`, { method: "POST", body: JSON.stringify(body) });
+      return resp.json();
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
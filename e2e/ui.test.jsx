@@ -0,0 +1,179 @@
+// @vitest-environment jsdom
+/**
+ * The pages themselves against the mock backend: the Create form, the
+ * reveal step on /p/:id and the screen once the views are used up.
+ */
+import { cleanup, fireEvent, render, screen, within } from "@testing-library/react";
+import { MemoryRouter } from "react-router-dom";
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it } from "vitest";
+import AppRoutes from "../src/AppRoutes.jsx";
+import { PrefsProvider } from "../src/Preferences.jsx";
+import { I18nProvider } from "../src/LanguageSwitcher.jsx";
+import * as api from "../src/lib/api.js";
+import { startServer } from "./server.js";
+
+let server;
+
+beforeAll(async () => {
+  server = await startServer();
+  api.setApiBase(server.base);
+});
+
+afterAll(async () => {
+  api.setApiBase(null);
+  await server.close();
+});
+
+beforeEach(async () => {
+  localStorage.clear();
+  await server.control({ reset: true, failure: "none" });
+});
+
+afterEach(cleanup);
+
+function renderAt(path) {
+  return render(
+    <PrefsProvider>
+      <I18nProvider>
+        <MemoryRouter initialEntries={[path]}>
+          <AppRoutes />
+        </MemoryRouter>
+      </I18nProvider>
+    </PrefsProvider>
+  );
+}
+
+// `fields` sets more form fields by id, e.g. { "paste-language": "markdown" }.
+async function createFromForm(content, maxViews, fields = {}) {
+  renderAt("/");
+  fireEvent.change(screen.getByLabelText("Content *"), { target: { value: content } });
+  fireEvent.change(screen.getByLabelText("Max Views (optional)"), { target: { value: String(maxViews) } });
+  for (const [id, value] of Object.entries(fields)) {
+    fireEvent.change(document.getElementById(id), { target: { value } });
+  }
+  fireEvent.click(screen.getByRole("button", { name: "Create Paste" }));
+  const id = (await screen.findByText("ID:")).nextElementSibling.textContent;
+  cleanup();
+  return id;
+}
+
+describe("create → view → out of views", () => {
+  it("creates from the form, asks before spending the last view, then says it's gone", async () => {
+    const id = await createFromForm("hello from the form", 1);
+    expect(await api.getPasteMeta(id)).toMatchObject({ max_views: 1, views: 0 });
+
+    renderAt(`/p/${id}`);
+    const dialog = await screen.findByRole("dialog");
+    expect(dialog.textContent).toContain("This paste has 1 view left.");
+    // Nothing spent until the reader says so.
+    expect(api.remainingViews(await api.getPasteMeta(id))).toBe(1);
+    fireEvent.click(within(dialog).getByRole("button", { name: "Reveal paste" }));
+    expect(await screen.findByText("hello from the form")).toBeTruthy();
+    cleanup();
+
+    renderAt(`/p/${id}`);
+    expect(await screen.findByText("No views left")).toBeTruthy();
+    expect(screen.queryByRole("button", { name: "Reveal paste" })).toBeNull();
+  });
+
+  it("leaves the paste alone when the reader cancels", async () => {
+    const id = await createFromForm("not yet", 2);
+
+    renderAt(`/p/${id}`);
+    const dialog = await screen.findByRole("dialog");
+    expect(dialog.textContent).toContain("This paste has 2 views left.");
+    fireEvent.click(within(dialog).getByRole("link", { name: "Cancel" }));
+    expect(await screen.findByRole("button", { name: "Create Paste" })).toBeTruthy();
+    expect(api.remainingViews(await api.getPasteMeta(id))).toBe(2);
+  });
+
+  it("refuses an invalid view limit without sending anything", async () => {
+    renderAt("/");
+    fireEvent.change(screen.getByLabelText("Content *"), { target: { value: "x" } });
+    fireEvent.change(screen.getByLabelText("Max Views (optional)"), { target: { value: "0" } });
+    fireEvent.click(screen.getByRole("button", { name: "Create Paste" }));
+    expect(await screen.findByText("max_views must be an integer ≥ 1", { selector: ".status-message" })).toBeTruthy();
+    expect((await server.control({})).pastes).toBe(0);
+  });
+});
+
+describe("password-protected pastes", () => {
+  it("keeps the chosen language inside the encrypted content", async () => {
+    const id = await createFromForm("# Heading\n\nsome *text*", 2, {
+      "paste-language": "markdown",
+      "paste-password": "hunter2",
+    });
+    expect(await api.getPasteMeta(id)).toMatchObject({ language: null, filename: null });
+
+    renderAt(`/p/${id}`);
+    fireEvent.change(await screen.findByLabelText("Password"), { target: { value: "hunter2" } });
+    fireEvent.click(screen.getByRole("button", { name: "Unlock" }));
+    expect(await screen.findByRole("heading", { name: "Heading" })).toBeTruthy();
+  });
+});
+
+describe("moving between pastes", () => {
+  it("drops the previous paste as soon as the URL changes", async () => {
+    const parent = await api.createPaste({ content: "the original", max_views: 5 });
+    const fork = await api.createPaste({ content: "the fork", parent_id: parent.id });
+
+    renderAt(`/p/${fork.id}`);
+    expect(await screen.findByText("the fork")).toBeTruthy();
+    fireEvent.click(screen.getByRole("link", { name: parent.id }));
+    expect(screen.queryByText("the fork")).toBeNull();
+    const dialog = await screen.findByRole("dialog");
+    expect(dialog.textContent).toContain("This paste has 5 views left.");
+  });
+});
+
+describe("server-rendered paste pages", () => {
+  it("starts from the metadata the page carries instead of asking /meta again", async () => {
+    const { id } = await api.createPaste({ content: "hydrated", max_views: 1 });
+    const data = document.createElement("script");
+    data.type = "application/json";
+    data.id = "paste-preview-data";
+    // Not what the backend says now, so the dialog shows which one was used.
+    data.textContent = JSON.stringify({ id, meta: { id, max_views: 3, views: 0 } });
+    document.body.append(data);
+    try {
+      renderAt(`/p/${id}`);
+      expect((await screen.findByRole("dialog")).textContent).toContain("This paste has 3 views left.");
+    } finally {
+      data.remove();
+    }
+  });
+});
+
+describe("a backend without /meta", () => {
+  let bare;
+
+  beforeAll(async () => {
+    bare = await startServer({ meta: false });
+    api.setApiBase(bare.base);
+  });
+
+  afterAll(async () => {
+    api.setApiBase(server.base);
+    await bare.close();
+  });
+
+  it("asks before revealing, since the view budget is unknown", async () => {
+    const { id } = await api.createPaste({ content: "budget unknown", max_views: 1 });
+
+    renderAt(`/p/${id}`);
+    const dialog = await screen.findByRole("dialog");
+    expect(dialog.textContent).toContain("This paste may be limited to a number of views.");
+    fireEvent.click(within(dialog).getByRole("button", { name: "Reveal paste" }));
+    expect(await screen.findByText("budget unknown")).toBeTruthy();
+  });
+
+  it("asks before fetching from the Fetch card", async () => {
+    const { id } = await api.createPaste({ content: "budget unknown", max_views: 1 });
+
+    renderAt("/");
+    fireEvent.change(screen.getByLabelText("Paste ID"), { target: { value: id } });
+    fireEvent.click(screen.getByRole("button", { name: "Fetch" }));
+    expect(await screen.findByRole("button", { name: "Fetch anyway" })).toBeTruthy();
+    expect(screen.getByText(/may have a view limit/)).toBeTruthy();
+  });
+});
@@ -26,4 +26,16 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    files: ['public/sw.js'],
+    languageOptions: {
+      globals: globals.serviceworker,
+    },
+  },
+  {
+    files: ['api/**/*.js', 'bin/**/*.js', 'e2e/**/*.js', 'mock/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ])
@@ -0,0 +1,262 @@
+/**
+ * In-memory stand-in for the pastes backend, for offline development and
+ * tests that shouldn't spend real views.
+ *
+ *   npm run dev:mock        Vite dev server with the mock mounted on /api
+ *   npm run mock:backend    standalone on http://localhost:8787 (PORT to change);
+ *                           point the UI or CLI at it with VITE_API_BASE / --base-url
+ *   npm run test:e2e        e2e/ suite, against a mock on a free port
+ *
+ * Implements the contract documented in src/lib/api.js:
+ *   POST /api/pastes, GET /api/pastes/:id, GET /api/pastes/:id/meta, GET /api/healthz
+ * with TTL expiry, max_views counting and 404s (a missing paste's carries
+ * `code: "paste_not_found"`). Pastes created with a `password`
+ * answer content reads with 401 until `x-paste-password` is sent, and 403 when
+ * it's wrong; neither counts as a view. Send `x-test-now-ms: <epoch ms>` to move
+ * the clock used for expiry checks.
+ *
+ * Failure modes, from MOCK_FAILURE / MOCK_LATENCY_MS at startup or at runtime:
+ *   GET  /__mock                                  current settings and paste count
+ *   POST /__mock { failure, latency_ms, reset }   change them; reset: true drops all pastes
+ *
+ *   none   normal behaviour
+ *   html   502 with an HTML error page (a proxy or platform error page)
+ *   spa    200 with the app's index.html (the /api rewrite is missing)
+ *   500    500 with a JSON error
+ *   flaky  every other request gets a 503
+ *
+ * Latency applies on top of any mode. `meta: false` leaves out the /meta route,
+ * like a backend that never implemented it: it falls through to a plain 404.
+ */
+import { randomBytes } from "node:crypto";
+import { createServer } from "node:http";
+import { pathToFileURL } from "node:url";
+
+export const FAILURE_MODES = ["none", "html", "spa", "500", "flaky"];
+
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+const HTML_ERROR_PAGE = `<!DOCTYPE html>
+<html><head><title>502: BAD_GATEWAY</title></head>
+<body><h1>502: BAD_GATEWAY</h1><p>Code: FUNCTION_INVOCATION_FAILED (mock)</p></body></html>`;
+
+const SPA_PAGE = `<!doctype html>
+<html lang="en"><head><title>pastebin-ui</title></head>
+<body><div id="root"></div></body></html>`;
+
+class HttpError extends Error {
+  constructor(status, message, code) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.end(JSON.stringify(body));
+}
+
+function sendHtml(res, status, html) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  res.end(html);
+}
+
+async function readJson(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new HttpError(413, "Request body too large");
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}");
+  } catch {
+    throw new HttpError(400, "Request body must be JSON");
+  }
+}
+
+function optionalPositiveInt(body, name) {
+  const v = body[name];
+  if (v == null) return null;
+  if (!Number.isInteger(v) || v < 1) throw new HttpError(400, `${name} must be an integer >= 1`);
+  return v;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Connect-style middleware `(req, res, next)` serving /api/* and /__mock;
+ * anything else goes to `next`. `state` is exposed for scripts that seed or
+ * inspect pastes directly.
+ * @param {{ failure?: string, latencyMs?: number, meta?: boolean }} [options]
+ */
+export function createMockBackend({ failure = "none", latencyMs = 0, meta = true } = {}) {
+  const settings = { failure: FAILURE_MODES.includes(failure) ? failure : "none", latencyMs };
+  const pastes = new Map();
+  let requestCount = 0;
+
+  function nowMs(req) {
+    const fake = Number(req.headers["x-test-now-ms"]);
+    return Number.isFinite(fake) && fake > 0 ? fake : Date.now();
+  }
+
+  function expiresAt(p) {
+    return p.ttl_seconds ? Date.parse(p.created_at) + p.ttl_seconds * 1000 : null;
+  }
+
+  function describe(p) {
+    const exp = expiresAt(p);
+    return {
+      id: p.id,
+      created_at: p.created_at,
+      ttl_seconds: p.ttl_seconds,
+      expires_at: exp == null ? null : new Date(exp).toISOString(),
+      max_views: p.max_views,
+      views: p.views,
+      remaining_views: p.max_views == null ? null : Math.max(0, p.max_views - p.views),
+      language: p.language,
+      filename: p.filename,
+      parent_id: p.parent_id,
+      ...(p.password != null && { password_protected: true }),
+    };
+  }
+
+  // A paste that can still be read, or an HttpError saying why not.
+  function findReadable(req, id) {
+    const p = pastes.get(id);
+    if (!p) throw new HttpError(404, "Paste not found", "paste_not_found");
+    const exp = expiresAt(p);
+    if (exp != null && nowMs(req) >= exp) throw new HttpError(404, "Paste has expired");
+    if (p.max_views != null && p.views >= p.max_views) throw new HttpError(404, "Paste has no views left");
+    return p;
+  }
+
+  async function createPaste(req, res) {
+    const body = await readJson(req);
+    if (typeof body.content !== "string" || !body.content.trim()) {
+      throw new HttpError(400, "content is required and must be a non-empty string");
+    }
+    const p = {
+      id: randomBytes(6).toString("base64url"),
+      content: body.content,
+      created_at: new Date(nowMs(req)).toISOString(),
+      ttl_seconds: optionalPositiveInt(body, "ttl_seconds"),
+      max_views: optionalPositiveInt(body, "max_views"),
+      views: 0,
+      language: typeof body.language === "string" ? body.language : null,
+      filename: typeof body.filename === "string" ? body.filename : null,
+      parent_id: typeof body.parent_id === "string" ? body.parent_id : null,
+      password: typeof body.password === "string" && body.password ? body.password : null,
+    };
+    pastes.set(p.id, p);
+    const origin = `http://${req.headers.host || "localhost"}`;
+    sendJson(res, 201, { ...describe(p), url: `${origin}/p/${p.id}` });
+  }
+
+  async function control(req, res) {
+    if (req.method === "POST") {
+      const body = await readJson(req);
+      if (body.failure != null) {
+        if (!FAILURE_MODES.includes(body.failure)) {
+          throw new HttpError(400, `failure must be one of: ${FAILURE_MODES.join(", ")}`);
+        }
+        settings.failure = body.failure;
+      }
+      if (body.latency_ms != null) settings.latencyMs = Math.max(0, Number(body.latency_ms) || 0);
+      if (body.reset) pastes.clear();
+    }
+    sendJson(res, 200, { failure: settings.failure, latency_ms: settings.latencyMs, pastes: pastes.size });
+  }
+
+  // Returns true when the failure mode answered the request.
+  function injectFailure(res) {
+    switch (settings.failure) {
+      case "html":
+        sendHtml(res, 502, HTML_ERROR_PAGE);
+        return true;
+      case "spa":
+        sendHtml(res, 200, SPA_PAGE);
+        return true;
+      case "500":
+        sendJson(res, 500, { error: "Internal server error (mock)" });
+        return true;
+      case "flaky":
+        if (requestCount % 2 === 0) {
+          sendJson(res, 503, { error: "Service unavailable (mock)" });
+          return true;
+        }
+        return false;
+      default:
+        return false;
+    }
+  }
+
+  async function route(req, res, next) {
+    const { pathname } = new URL(req.url, "http://localhost");
+
+    if (pathname === "/__mock") return control(req, res);
+    if (!pathname.startsWith("/api/")) return next();
+
+    requestCount++;
+    if (settings.latencyMs > 0) await sleep(settings.latencyMs);
+    if (injectFailure(res)) return;
+
+    if (pathname === "/api/healthz" && req.method === "GET") {
+      return sendJson(res, 200, { ok: true, mock: true, pastes: pastes.size });
+    }
+    if (pathname === "/api/pastes" && req.method === "POST") return createPaste(req, res);
+
+    const m = pathname.match(/^\/api\/pastes\/([^/]+)(\/meta)?$/);
+    if (m && req.method === "GET" && (meta || !m[2])) {
+      const p = findReadable(req, decodeURIComponent(m[1]));
+      if (m[2]) return sendJson(res, 200, describe(p));
+      if (p.password != null) {
+        const given = req.headers["x-paste-password"];
+        if (given == null) throw new HttpError(401, "Password required");
+        if (given !== p.password) throw new HttpError(403, "Wrong password");
+      }
+      p.views++;
+      return sendJson(res, 200, { ...describe(p), content: p.content });
+    }
+    throw new HttpError(404, "Not found");
+  }
+
+  function middleware(req, res, next) {
+    route(req, res, next).catch((err) => {
+      if (res.headersSent) return res.end();
+      if (err instanceof HttpError) sendJson(res, err.status, { error: err.message, ...(err.code && { code: err.code }) });
+      else sendJson(res, 500, { error: String(err.message || err) });
+    });
+  }
+
+  middleware.state = { settings, pastes };
+  return middleware;
+}
+
+/** Options from MOCK_FAILURE / MOCK_LATENCY_MS. */
+export function mockOptionsFromEnv(env = process.env) {
+  return { failure: env.MOCK_FAILURE || "none", latencyMs: Number(env.MOCK_LATENCY_MS) || 0 };
+}
+
+// Standalone server, with CORS so a UI on another port can call it.
+if (import.meta.url === pathToFileURL(process.argv[1] || "").href) {
+  const backend = createMockBackend(mockOptionsFromEnv());
+  const port = Number(process.env.PORT) || 8787;
+  createServer((req, res) => {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type, x-test-now-ms, x-paste-password");
+    res.setHeader("Access-Control-Expose-Headers", "Date");
+    if (req.method === "OPTIONS") {
+      res.statusCode = 204;
+      return res.end();
+    }
+    backend(req, res, () => sendJson(res, 404, { error: "Not found" }));
+  }).listen(port, () => {
+    const { failure, latencyMs } = backend.state.settings;
+    process.stdout.write(`mock backend on http://localhost:${port} (failure: ${failure}, latency: ${latencyMs} ms)\n`);
+  });
+}
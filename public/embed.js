@@ -0,0 +1,31 @@
+/*
+ * Embed loader for other sites:
+ *
+ *   <script async src="https://<this host>/embed.js" data-embed="https://<this host>/embed/<id>"></script>
+ *
+ * Inserts an iframe for `data-embed` right after the script tag and keeps its
+ * height in step with the paste (the embed view posts its height, see
+ * EMBED_HEIGHT_MESSAGE in src/lib/embed.js). `data-height` sets the initial
+ * height in pixels.
+ */
+(function () {
+  var script = document.currentScript;
+  if (!script || !script.dataset.embed) return;
+
+  var src = new URL(script.dataset.embed, script.src);
+  var frame = document.createElement("iframe");
+  frame.src = src.href;
+  frame.title = script.dataset.title || "Pastebin Lite";
+  frame.loading = "lazy";
+  frame.style.cssText = "border:0;width:100%;display:block";
+  frame.height = script.dataset.height || "400";
+  script.parentNode.insertBefore(frame, script.nextSibling);
+
+  window.addEventListener("message", function (e) {
+    if (e.source !== frame.contentWindow || e.origin !== src.origin) return;
+    var data = e.data || {};
+    if (data.type === "pastebin-lite:embed-height" && data.height > 0) {
+      frame.height = String(Math.ceil(data.height));
+    }
+  });
+})();
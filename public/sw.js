@@ -0,0 +1,78 @@
+/*
+ * Service worker: caches the app shell so the UI opens offline.
+ *
+ * - Navigations: network first, falling back to the cached index.html (SPA routes).
+ *   Only a successful HTML response for / refreshes the shell: paste pages
+ *   (/p/:id) carry that paste's preview, and /oembed, error pages and the like
+ *   aren't the app at all.
+ * - /assets/* (content-hashed by Vite): cache first.
+ * - /api/* is never cached; pastes and view counts must come from the backend.
+ */
+// v2 drops shells that older versions may have overwritten with a non-app page.
+const CACHE = "pastebin-lite-shell-v2";
+const SHELL = ["/", "/index.html", "/manifest.webmanifest", "/icon.svg"];
+
+async function precache() {
+  const cache = await caches.open(CACHE);
+  await cache.addAll(SHELL);
+  // Pull in the hashed bundles index.html references, so the first offline
+  // load works without having to visit every page online first.
+  const html = await (await cache.match("/index.html")).text();
+  const assets = [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map((m) => m[1]);
+  await cache.addAll(assets);
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+function isShell(url, resp) {
+  return url.pathname === "/" && resp.ok && /^text\/html\b/i.test(resp.headers.get("Content-Type") || "");
+}
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+  const url = new URL(req.url);
+  if (url.origin !== self.location.origin || url.pathname.startsWith("/api/")) return;
+
+  if (req.mode === "navigate") {
+    event.respondWith(
+      fetch(req)
+        .then((resp) => {
+          if (isShell(url, resp)) {
+            const copy = resp.clone();
+            caches.open(CACHE).then((c) => c.put("/index.html", copy));
+          }
+          return resp;
+        })
+        .catch(() => caches.match("/index.html"))
+    );
+    return;
+  }
+
+  if (url.pathname.startsWith("/assets/") || SHELL.includes(url.pathname)) {
+    event.respondWith(
+      caches.match(req).then(
+        (hit) =>
+          hit ||
+          fetch(req).then((resp) => {
+            if (resp.ok) {
+              const copy = resp.clone();
+              caches.open(CACHE).then((c) => c.put(req, copy));
+            }
+            return resp;
+          })
+      )
+    );
+  }
+});
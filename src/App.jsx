@@ -1,13 +1,43 @@
-import { useMemo, useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
+import { Link, useLocation, useNavigate } from "react-router-dom";
 import "./App.css";
+import * as api from "./lib/api.js";
+import {
+  DecryptError,
+  decryptEnvelope,
+  encryptWithPassphrase,
+  encryptWithRandomKey,
+  parseEnvelope,
+} from "./lib/crypto.js";
+import { LANGUAGES, detectLanguage, languageLabel } from "./lib/highlight.js";
+import { addHistoryEntry, makePreview } from "./lib/history.js";
+import { TTL_PRESETS, parseDuration } from "./lib/time.js";
+import { MAX_FILE_BYTES, formatBytes, languageFromFilename, readTextFiles } from "./lib/files.js";
+import { parseBundle, serializeBundle, singleFileBundle, validateBundleFiles } from "./lib/bundle.js";
+import { labelForKey } from "./lib/backendStatus.js";
+import { clearDraft, loadDraft, saveDraft } from "./lib/drafts.js";
+import { enqueuePaste, isOfflineError } from "./lib/queue.js";
+import { parseCustomRules, redactSecrets, scanSecrets } from "./lib/secrets.js";
+import QueueStatus from "./QueueStatus.jsx";
+import SharePanel from "./SharePanel.jsx";
+import SecretFindings from "./SecretFindings.jsx";
+import BulkCreate from "./BulkCreate.jsx";
+import UnlockForm from "./UnlockForm.jsx";
+import { ShortcutHint } from "./CommandPalette.jsx";
+import CodeView from "./CodeView.jsx";
+import { useCommands } from "./lib/commands.js";
+import { usePrefs } from "./lib/prefs.js";
+import { useI18n } from "./lib/i18n.js";
+import { LanguageSwitcher } from "./LanguageSwitcher.jsx";
 
-/**
- * Same-domain deployment:
- * - UI served from /
- * - Backend served from /api/* and /p/*
- * So API_BASE stays empty.
- */
-const API_BASE = "";
+function expirySummary({ t, duration }, ttlSeconds, maxViews) {
+  const views = maxViews ? t("create.expiry.afterViews", { count: maxViews }) : "";
+  const ttl = ttlSeconds ? duration(ttlSeconds * 1000, { long: true }) : "";
+  if (ttl && views) return t("create.expiry.both", { ttl, views });
+  if (ttl) return t("create.expiry.ttl", { ttl });
+  if (views) return t("create.expiry.views", { views });
+  return t("create.expiry.never");
+}
 
 function parsePositiveIntOrNull(v) {
   if (v === "" || v == null) return null;
@@ -16,36 +46,112 @@ function parsePositiveIntOrNull(v) {
   return n;
 }
 
-async function safeJsonResponse(resp) {
-  // Some failures may return HTML (Vercel error page), so parse safely.
-  const text = await resp.text();
-  try {
-    return { json: JSON.parse(text), text };
-  } catch {
-    return { json: null, text };
+/**
+ * Text shared into the installed PWA (Web Share Target, see
+ * manifest.webmanifest) arrives as ?title=&text=&url= on "/".
+ */
+function sharedText(search) {
+  const params = new URLSearchParams(search);
+  if (!params.has("text") && !params.has("url") && !params.has("title")) return null;
+  const parts = [params.get("title"), params.get("text"), params.get("url")]
+    .map((p) => (p || "").trim())
+    .filter(Boolean);
+  // Some apps put the URL inside `text` as well; don't paste it twice.
+  return [...new Set(parts)].join("\n\n");
+}
+
+/**
+ * Initial Create-form values: a fork from PasteView ("Fork / Edit as new",
+ * passed as location.state.fork) wins over text shared into the PWA, which
+ * wins over the autosaved draft.
+ */
+function initialForm(fork, search) {
+  if (fork) {
+    const files = fork.files || [];
+    const single = files.length === 1 ? files[0] : null;
+    return {
+      content: single?.content ?? fork.content ?? "",
+      language: fork.language || "",
+      filename: single?.name ?? fork.filename ?? "",
+      files: files.length > 1 ? files : [],
+      parentId: fork.parentId || "",
+      encrypt: !!fork.encrypted,
+    };
+  }
+  const shared = sharedText(search);
+  if (shared != null) {
+    return { content: shared, language: "", filename: "", files: [], parentId: "", encrypt: false };
   }
+  const draft = loadDraft();
+  return {
+    content: draft?.content || "",
+    language: draft?.language || "",
+    filename: draft?.filename || "",
+    files: draft?.files?.length > 1 ? draft.files : [],
+    parentId: draft?.parentId || "",
+    encrypt: false,
+    restored: !!draft,
+  };
 }
 
 export default function App() {
+  const { state: navState, search } = useLocation();
+  const navigate = useNavigate();
+  const i18n = useI18n();
+  const { t, rich } = i18n;
+  const [initial] = useState(() => initialForm(navState?.fork, search));
+  const [draftRestored, setDraftRestored] = useState(!!initial.restored);
+
   // Create form state
-  const [content, setContent] = useState("");
-  const [ttl, setTtl] = useState("");
-  const [maxViews, setMaxViews] = useState("");
+  const [content, setContent] = useState(initial.content);
+  const [parentId, setParentId] = useState(initial.parentId);
+  const { prefs } = usePrefs();
+  const [ttlPreset, setTtlPreset] = useState(prefs.defaultTtl);
+  const [ttlCustom, setTtlCustom] = useState("");
+  const [maxViews, setMaxViews] = useState(prefs.defaultMaxViews);
+  const [burn, setBurn] = useState(false);
+  const [language, setLanguage] = useState(initial.language); // "" = auto-detect on submit
+  const [filename, setFilename] = useState(initial.filename);
+  const [fileErrs, setFileErrs] = useState([]);
+  const [dragActive, setDragActive] = useState(false);
+  // Multi-file mode: non-empty list of { name, content }; `content` is unused then.
+  const [bundleFiles, setBundleFiles] = useState(initial.files);
+  const [activeFile, setActiveFile] = useState(0);
+  const multi = bundleFiles.length > 0;
+  const fileInputRef = useRef(null);
+  const [encrypt, setEncrypt] = useState(initial.encrypt);
+  const [encMode, setEncMode] = useState("link"); // "link" | "passphrase"
+  const [passphrase, setPassphrase] = useState("");
+  // Checked by the backend before it serves the content (see api.js).
+  const [password, setPassword] = useState("");
+  // Secret scan hits waiting for redact/proceed: [{ fileIdx, name, content, findings }]
+  // (fileIdx -1 is the single-file textarea). Stale once that text is edited.
+  const [secretHits, setSecretHits] = useState(null);
 
   // Create results
   const [createRes, setCreateRes] = useState(null);
   const [createErr, setCreateErr] = useState("");
+  const [queuedMsg, setQueuedMsg] = useState("");
+  // Decryption key for link-key pastes; only ever lives in the URL fragment.
+  const [createKey, setCreateKey] = useState("");
 
   // Fetch state
   const [pasteId, setPasteId] = useState("");
   const [fetchRes, setFetchRes] = useState(null);
   const [fetchErr, setFetchErr] = useState("");
+  // { id, left } while waiting for the user to confirm spending a view
+  const [fetchConfirm, setFetchConfirm] = useState(null);
+  // { id, left } while the backend wants a password for the fetched paste
+  const [fetchLocked, setFetchLocked] = useState(null);
+  // Plaintext of a passphrase-encrypted fetch result, once unlocked
+  const [fetchPlain, setFetchPlain] = useState(null);
 
   // Health state (separate so it doesn't overwrite fetch result)
   const [healthRes, setHealthRes] = useState(null);
   const [healthErr, setHealthErr] = useState("");
 
   const [loading, setLoading] = useState(false);
+  const [showBulk, setShowBulk] = useState(false);
 
   const origin = useMemo(() => {
     // Works on localhost + Vercel
@@ -55,8 +161,8 @@ export default function App() {
 
   const pasteUrl = useMemo(() => {
     if (!createRes?.id) return "";
-    return `/p/${createRes.id}`;
-  }, [createRes]);
+    return `/p/${createRes.id}${createKey ? `#k=${createKey}` : ""}`;
+  }, [createRes, createKey]);
 
   const apiJsonUrl = useMemo(() => {
     if (!createRes?.id) return "";
@@ -69,241 +175,772 @@ export default function App() {
     setLoading(true);
 
     try {
-      const r = await fetch(`${API_BASE}/api/healthz`, { method: "GET" });
-      const { json, text } = await safeJsonResponse(r);
-
-      if (!r.ok) {
-        throw new Error(json?.error || `HTTP ${r.status} - ${text?.slice(0, 120) || "error"}`);
-      }
-      if (!json) {
-        throw new Error(`Healthz returned non-JSON (HTTP ${r.status}).`);
-      }
-
-      setHealthRes(json);
+      setHealthRes(await api.health());
     } catch (e) {
-      setHealthErr(String(e.message || e));
+      setHealthErr(i18n.error(e));
     } finally {
       setLoading(false);
     }
   }
 
-  async function createPaste() {
+  // Drop share-target params once consumed so a reload doesn't re-apply them.
+  useEffect(() => {
+    if (sharedText(search) != null) navigate("/", { replace: true, state: navState });
+  }, [search, navState, navigate]);
+
+  // Autosave the draft shortly after typing stops.
+  useEffect(() => {
+    const t = setTimeout(() => {
+      saveDraft({ content, language, filename, files: bundleFiles, parentId });
+    }, 500);
+    return () => clearTimeout(t);
+  }, [content, language, filename, bundleFiles, parentId]);
+
+  // Expiry settings are validated as the user types.
+  const ttlVal = useMemo(() => {
+    if (ttlPreset === "never") return null;
+    if (ttlPreset === "custom") return parseDuration(ttlCustom) ?? NaN;
+    return Number(ttlPreset);
+  }, [ttlPreset, ttlCustom]);
+  const mvVal = burn ? 1 : parsePositiveIntOrNull(maxViews);
+  const ttlErr =
+    Number.isNaN(ttlVal) && (ttlCustom.trim() || ttlPreset !== "custom")
+      ? t("create.ttl.invalid")
+      : "";
+  const mvErr = Number.isNaN(mvVal) ? t("create.maxViews.invalid") : "";
+
+  // The current single-file content as the first entry of a bundle.
+  function currentAsFiles() {
+    return content.trim() ? [{ name: filename || "file1.txt", content }] : [];
+  }
+
+  function appendFiles(files) {
+    const base = multi ? bundleFiles : currentAsFiles();
+    const next = [...base, ...files.map((f) => ({ name: f.name, content: f.content }))];
+    setBundleFiles(next);
+    setActiveFile(base.length);
+  }
+
+  function addEmptyFile() {
+    const base = multi ? bundleFiles : currentAsFiles();
+    appendFiles([{ name: `file${base.length + 1}.txt`, content: "" }]);
+  }
+
+  function updateFile(i, patch) {
+    setBundleFiles((list) => list.map((f, j) => (j === i ? { ...f, ...patch } : f)));
+  }
+
+  function removeFile(i) {
+    const next = bundleFiles.filter((_, j) => j !== i);
+    if (next.length <= 1) {
+      // Back to a plain single-content paste.
+      setContent(next[0]?.content || "");
+      setFilename(next[0]?.name || "");
+      setBundleFiles([]);
+      setActiveFile(0);
+      return;
+    }
+    setBundleFiles(next);
+    setActiveFile(Math.min(activeFile, next.length - 1));
+  }
+
+  // Files dropped, picked or pasted into the form. A single file into an
+  // empty single-file form replaces the content and keeps its name; anything
+  // else turns the paste into a multi-file bundle.
+  async function loadFiles(fileList) {
+    const { files, errors } = await readTextFiles(fileList);
+    setFileErrs(errors);
+    if (!files.length) return;
+    if (files.length === 1 && !multi && !content.trim()) {
+      setContent(files[0].content);
+      setFilename(files[0].name);
+      if (files[0].language) setLanguage(files[0].language);
+      return;
+    }
+    appendFiles(files);
+  }
+
+  function onDrop(e) {
+    e.preventDefault();
+    setDragActive(false);
+    if (e.dataTransfer?.files?.length) loadFiles(e.dataTransfer.files);
+  }
+
+  function onPasteFiles(e) {
+    if (e.clipboardData?.files?.length) {
+      e.preventDefault();
+      loadFiles(e.clipboardData.files);
+    }
+  }
+
+  function sourceContent(fileIdx) {
+    return fileIdx < 0 ? content : bundleFiles[fileIdx]?.content;
+  }
+
+  const pendingSecrets = secretHits?.every((h) => sourceContent(h.fileIdx) === h.content) ? secretHits : null;
+
+  function findSecrets() {
+    const options = { disabled: prefs.secretRulesOff, custom: parseCustomRules(prefs.secretCustomRules).rules };
+    const sources = multi
+      ? bundleFiles.map((f, i) => ({ fileIdx: i, name: f.name, content: f.content }))
+      : [{ fileIdx: -1, name: filename, content }];
+    return sources.map((s) => ({ ...s, findings: scanSecrets(s.content, options) })).filter((s) => s.findings.length);
+  }
+
+  function redactFound() {
+    for (const h of pendingSecrets) {
+      const redacted = redactSecrets(h.content, h.findings);
+      if (h.fileIdx < 0) setContent(redacted);
+      else updateFile(h.fileIdx, { content: redacted });
+    }
+    setSecretHits(null);
+  }
+
+  async function createPaste({ allowSecrets = false } = {}) {
     setCreateErr("");
     setCreateRes(null);
+    setCreateKey("");
+    setQueuedMsg("");
 
-    const ttlVal = parsePositiveIntOrNull(ttl);
-    const mvVal = parsePositiveIntOrNull(maxViews);
-
-    if (!content.trim()) {
-      setCreateErr("Content is required.");
+    if (multi) {
+      const bundleErr = validateBundleFiles(bundleFiles);
+      if (bundleErr) {
+        setCreateErr(i18n.error(bundleErr));
+        return;
+      }
+    } else if (!content.trim()) {
+      setCreateErr(t("create.contentRequired"));
       return;
     }
     if (Number.isNaN(ttlVal)) {
-      setCreateErr("ttl_seconds must be an integer ≥ 1");
+      setCreateErr(ttlErr || t("create.ttl.missing"));
       return;
     }
     if (Number.isNaN(mvVal)) {
-      setCreateErr("max_views must be an integer ≥ 1");
+      setCreateErr(mvErr);
       return;
     }
+    if (encrypt && encMode === "passphrase" && !passphrase) {
+      setCreateErr(t("create.passphraseRequired"));
+      return;
+    }
+    // Checked on the plaintext, before encryption and before anything leaves the browser.
+    if (prefs.secretScan && !allowSecrets) {
+      const hits = findSecrets();
+      if (hits.length) {
+        setSecretHits(hits);
+        return;
+      }
+    }
+    setSecretHits(null);
 
-    const body = { content: content.trim() };
+    const body = {};
+    let preview;
+    // Detect before encrypting; the backend can't see the plaintext afterwards.
+    if (multi) {
+      const files = bundleFiles.map((f) => ({
+        ...f,
+        language: languageFromFilename(f.name) || detectLanguage(f.content),
+      }));
+      body.content = serializeBundle(files);
+      preview = `${files.length} files: ${files.map((f) => f.name.trim()).join(", ")}`;
+    } else {
+      body.content = content.trim();
+      body.language = language || detectLanguage(body.content);
+      if (filename) body.filename = filename;
+      preview = body.content;
+    }
+    const historyLanguage = multi ? "bundle" : body.language;
+    if (encrypt || password) {
+      // Content gets encrypted below; the filename and language mustn't sit
+      // next to it in plaintext, so they travel inside it as a one-file bundle.
+      // Only detected plain text is left for the viewer to detect again.
+      if (body.filename || language || body.language !== "plaintext") {
+        body.content = singleFileBundle(body.content, { name: body.filename, language: body.language });
+      }
+      delete body.filename;
+      delete body.language;
+    }
     if (ttlVal != null) body.ttl_seconds = ttlVal;
     if (mvVal != null) body.max_views = mvVal;
+    if (parentId) body.parent_id = parentId;
+    if (password) body.password = password;
 
+    let key = "";
     setLoading(true);
     try {
-      const r = await fetch(`${API_BASE}/api/pastes`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(body),
-      });
-
-      const { json, text } = await safeJsonResponse(r);
-
-      if (!r.ok) {
-        throw new Error(json?.error || `HTTP ${r.status} - ${text?.slice(0, 140) || "error"}`);
-      }
-      if (!json?.id) {
-        throw new Error("Unexpected response: missing paste id.");
+      if (encrypt) {
+        if (encMode === "passphrase") {
+          body.content = await encryptWithPassphrase(body.content, passphrase);
+        } else {
+          const enc = await encryptWithRandomKey(body.content);
+          body.content = enc.content;
+          key = enc.key;
+        }
+      } else if (password) {
+        // Also encrypt with the password, so a backend that ignores the
+        // field still never sees or serves the plaintext.
+        body.content = await encryptWithPassphrase(body.content, password);
       }
 
-      setCreateRes(json);
+      const json = await api.createPaste(body);
+
+      // Keep the parent link even if the backend doesn't echo parent_id back.
+      setCreateRes(body.parent_id ? { parent_id: body.parent_id, ...json } : json);
+      setCreateKey(key);
+      // History is best-effort; a private window without IndexedDB shouldn't fail the create.
+      addHistoryEntry({
+        id: json.id,
+        created_at: json.created_at, // history falls back to "now"
+        ttl_seconds: body.ttl_seconds,
+        max_views: body.max_views,
+        preview: makePreview(preview),
+        language: historyLanguage,
+        url: `/p/${json.id}${key ? `#k=${key}` : ""}`,
+      }).catch(() => {});
       setPasteId(json.id); // auto-fill for fetch test
+      clearDraft();
     } catch (e) {
-      setCreateErr(String(e.message || e));
+      if (isOfflineError(e) && body.password) {
+        // The queue lives in IndexedDB; a password must not sit there in plaintext.
+        setCreateErr(t("create.queuedNoPassword"));
+        return;
+      }
+      if (isOfflineError(e)) {
+        // Keep it for later instead of losing it; OfflineQueueSync sends it when we're back.
+        try {
+          await enqueuePaste({
+            body,
+            key,
+            preview: makePreview(preview),
+            language: historyLanguage,
+          });
+          clearDraft();
+          setQueuedMsg(t("create.queued"));
+          return;
+        } catch {
+          // Fall through to the original error if the queue isn't available.
+        }
+      }
+      setCreateErr(i18n.error(e));
     } finally {
       setLoading(false);
     }
   }
 
-  async function fetchPaste() {
+  async function fetchPaste(confirmed = false) {
     setFetchErr("");
     setFetchRes(null);
+    setFetchConfirm(null);
+    setFetchLocked(null);
+    setFetchPlain(null);
 
     const id = pasteId.trim();
     if (!id) {
-      setFetchErr("Paste ID is required.");
+      setFetchErr(t("fetch.idRequired"));
       return;
     }
 
     setLoading(true);
     try {
-      const r = await fetch(`${API_BASE}/api/pastes/${encodeURIComponent(id)}`, { method: "GET" });
-      const { json, text } = await safeJsonResponse(r);
-
-      if (!r.ok) {
-        // Your API returns JSON {error:"Not found"} for 404
-        throw new Error(json?.error || `HTTP ${r.status} - ${text?.slice(0, 140) || "Not found"}`);
-      }
-      if (!json) {
-        throw new Error(`Non-JSON response (HTTP ${r.status}).`);
+      if (!confirmed) {
+        // Metadata is free; only skip asking when it says there's no view budget.
+        const meta = await api.getPasteMeta(id);
+        const left = api.remainingViews(meta);
+        if (meta && left === 0) {
+          throw new api.ViewLimitError("This paste has no views left.");
+        }
+        if (meta?.password_protected) {
+          setFetchLocked({ id, left });
+          return;
+        }
+        // No metadata (unsupported /meta) means the budget is unknown, not unlimited.
+        if (!meta || left != null) {
+          setFetchConfirm({ id, left });
+          return;
+        }
       }
-
-      setFetchRes(json);
+      setFetchRes(await api.getPaste(id));
     } catch (e) {
-      setFetchErr(String(e.message || e));
+      if (e instanceof api.PasswordRequiredError) setFetchLocked({ id, left: null });
+      else setFetchErr(i18n.error(e));
     } finally {
       setLoading(false);
     }
   }
 
+  // UnlockForm callbacks: true when unlocked, false on a wrong password.
+  async function unlockFetch(pw) {
+    let p;
+    try {
+      p = await api.getPaste(fetchLocked.id, { password: pw });
+    } catch (e) {
+      if (e instanceof api.PasswordRequiredError) return false;
+      throw e;
+    }
+    const env = parseEnvelope(p.content);
+    if (env?.kdf === "PBKDF2") await decryptFetched(pw, env).catch(() => false);
+    setFetchRes(p);
+    setFetchLocked(null);
+    return true;
+  }
+
+  async function decryptFetched(pw, env = parseEnvelope(fetchRes?.content)) {
+    try {
+      setFetchPlain(await decryptEnvelope(env, { passphrase: pw }));
+      return true;
+    } catch (e) {
+      if (e instanceof DecryptError && e.code === "bad_key") return false;
+      throw e;
+    }
+  }
+
+  const fetchEnv = parseEnvelope(fetchRes?.content);
+  const fetchContent = fetchEnv ? fetchPlain : fetchRes?.content;
+
   const disabled = loading;
 
+  useCommands([
+    {
+      id: "create",
+      title: t("cmd.create"),
+      section: t("cmd.section.paste"),
+      shortcut: "mod+enter",
+      disabled,
+      run: () => createPaste(),
+    },
+    {
+      id: "copy-link",
+      title: t("cmd.copyNewLink"),
+      section: t("cmd.section.paste"),
+      shortcut: "y",
+      disabled: !pasteUrl,
+      run: () => navigator.clipboard?.writeText(`${origin}${pasteUrl}`),
+    },
+    {
+      id: "bulk",
+      title: t("cmd.bulk"),
+      section: t("cmd.section.paste"),
+      run: () => setShowBulk(true),
+    },
+  ]);
+
   return (
     <div className="app-container">
       <div className="app-header">
-        <h1 className="app-title">Pastebin Lite</h1>
-        <p className="app-subtitle">Simple, fast, and secure text sharing</p>
+        <h1 className="app-title">{t("app.title")}</h1>
+        <p className="app-subtitle">{t("app.tagline")}</p>
+        <nav className="nav-links">
+          <Link to="/history">📜 {t("nav.history")}</Link>
+          <Link to="/status">📈 {t("nav.status")}</Link>
+          <Link to="/settings">⚙️ {t("nav.preferences")}</Link>
+          <ShortcutHint />
+          <LanguageSwitcher id="nav-language" className="nav-language" />
+        </nav>
       </div>
 
       <div className="main-content">
         <div className="origin-info">
-          Running on: <code>{origin || "(loading...)"}</code>
-          <span style={{ marginLeft: 10, opacity: 0.7 }}>(UI + API are same domain)</span>
+          {t("app.runningOn")} <code dir="ltr">{origin || t("app.originLoading")}</code>
+          <span style={{ marginInlineStart: 10, opacity: 0.7 }}>{t("app.sameDomain")}</span>
         </div>
 
         <div className="grid-container">
           {/* Create */}
           <div className="card">
-            <h3 className="card-title">📝 Create Paste</h3>
+            <div className="card-title" style={{ justifyContent: "space-between", alignItems: "center" }}>
+              <span>📝 {t("create.title")}</span>
+              <button
+                type="button"
+                className="secondary link-button"
+                onClick={() => setShowBulk(true)}
+                aria-expanded={showBulk}
+              >
+                📦 {t("bulk.open")}
+              </button>
+            </div>
+
+            {parentId && (
+              <div className="status-message status-info" style={{ marginTop: 0, marginBottom: "1rem" }}>
+                🍴{" "}
+                {rich("create.forking", {
+                  id: <Link to={`/p/${encodeURIComponent(parentId)}`}>{parentId}</Link>,
+                })}
+                <button
+                  type="button"
+                  className="link-button"
+                  onClick={() => setParentId("")}
+                  aria-label={t("create.unlinkParent")}
+                >
+                  ✕
+                </button>
+              </div>
+            )}
 
             <div className="form-group">
-              <label>Content *</label>
-              <textarea
-                rows={8}
-                value={content}
-                onChange={(e) => setContent(e.target.value)}
-                placeholder="Type your paste text..."
-              />
+              <div className="label-row">
+                <label htmlFor="paste-content">{t("create.content")}</label>
+                <span>
+                  <button type="button" className="secondary link-button" onClick={addEmptyFile}>
+                    ＋ {t("create.addFile")}
+                  </button>
+                  <button
+                    type="button"
+                    className="secondary link-button"
+                    onClick={() => fileInputRef.current?.click()}
+                  >
+                    📎 {t("create.openFiles")}
+                  </button>
+                </span>
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  multiple
+                  accept="text/*,.md,.json,.yml,.yaml,.toml,.ini,.log,.sh,.py,.js,.ts,.jsx,.tsx,.go,.rs,.java,.c,.h,.cpp,.cs,.rb,.php,.sql,.diff,.patch"
+                  style={{ display: "none" }}
+                  onChange={(e) => {
+                    loadFiles(e.target.files);
+                    e.target.value = "";
+                  }}
+                />
+              </div>
+              {multi && (
+                <div className="file-tabs" role="tablist" aria-label={t("files.tabsLabel")}>
+                  {bundleFiles.map((f, i) => (
+                    <div key={i} className={`file-tab${i === activeFile ? " active" : ""}`}>
+                      <button
+                        type="button"
+                        role="tab"
+                        aria-selected={i === activeFile}
+                        className="link-button"
+                        onClick={() => setActiveFile(i)}
+                      >
+                        {f.name || t("create.unnamedFile", { n: i + 1 })}
+                      </button>
+                      <button
+                        type="button"
+                        className="link-button"
+                        onClick={() => removeFile(i)}
+                        aria-label={t("create.removeFile", { name: f.name || t("create.unnamedFile", { n: i + 1 }) })}
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+              {multi && (
+                <input
+                  className="file-name-input"
+                  value={bundleFiles[activeFile].name}
+                  onChange={(e) => updateFile(activeFile, { name: e.target.value })}
+                  placeholder={t("create.fileName.placeholder")}
+                  aria-label={t("create.fileName")}
+                  dir="ltr"
+                />
+              )}
+              <div
+                className={`dropzone${dragActive ? " active" : ""}`}
+                onDragOver={(e) => {
+                  e.preventDefault();
+                  setDragActive(true);
+                }}
+                onDragLeave={() => setDragActive(false)}
+                onDrop={onDrop}
+              >
+                <textarea
+                  id="paste-content"
+                  rows={8}
+                  value={multi ? bundleFiles[activeFile].content : content}
+                  onChange={(e) =>
+                    multi ? updateFile(activeFile, { content: e.target.value }) : setContent(e.target.value)
+                  }
+                  onPaste={onPasteFiles}
+                  placeholder={t("create.content.placeholder")}
+                  dir="auto"
+                />
+              </div>
+              {!multi && filename && (
+                <div className="file-chip">
+                  📄 {filename}
+                  <button
+                    type="button"
+                    className="link-button"
+                    onClick={() => setFilename("")}
+                    aria-label={t("create.forgetFilename")}
+                  >
+                    ✕
+                  </button>
+                </div>
+              )}
+              {draftRestored && (
+                <div className="field-hint">↺ {t("create.draftRestored")}</div>
+              )}
+              {fileErrs.map((err, i) => (
+                <div key={i} className="field-error">
+                  {i18n.error(err)}
+                </div>
+              ))}
+              <div className="field-hint">{t("create.fileLimit", { size: formatBytes(MAX_FILE_BYTES) })}</div>
             </div>
 
-            <div className="form-row">
+            {!multi && (
               <div className="form-group">
-                <label>TTL Seconds (optional)</label>
+                <label htmlFor="paste-language">{t("create.language")}</label>
+                <select id="paste-language" value={language} onChange={(e) => setLanguage(e.target.value)}>
+                  <option value="">{t("create.language.auto")}</option>
+                  {LANGUAGES.map((id) => (
+                    <option key={id} value={id}>
+                      {languageLabel(id, t)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <div className="form-group">
+              <label id="ttl-label">{t("create.expiresAfter")}</label>
+              <div className="preset-group" role="radiogroup" aria-labelledby="ttl-label">
+                {TTL_PRESETS.map((p) => (
+                  <button
+                    key={p.value}
+                    type="button"
+                    role="radio"
+                    aria-checked={ttlPreset === p.value}
+                    className={`preset${ttlPreset === p.value ? " active" : ""}`}
+                    onClick={() => setTtlPreset(p.value)}
+                  >
+                    {t(`ttl.${p.value}`)}
+                  </button>
+                ))}
+              </div>
+              {ttlPreset === "custom" && (
                 <input
-                  value={ttl}
-                  onChange={(e) => setTtl(e.target.value)}
-                  placeholder="e.g. 60"
+                  style={{ marginTop: "0.5rem" }}
+                  value={ttlCustom}
+                  onChange={(e) => setTtlCustom(e.target.value)}
+                  placeholder={t("create.ttl.placeholder")}
+                  aria-label={t("create.ttl.custom")}
+                  dir="ltr"
+                  aria-invalid={!!ttlErr}
+                  autoFocus
                 />
-              </div>
+              )}
+              {ttlErr && <div className="field-error">{ttlErr}</div>}
+            </div>
+
+            <div className="form-row">
               <div className="form-group">
-                <label>Max Views (optional)</label>
+                <label htmlFor="paste-max-views">{t("create.maxViews")}</label>
                 <input
-                  value={maxViews}
+                  id="paste-max-views"
+                  inputMode="numeric"
+                  value={burn ? "1" : maxViews}
                   onChange={(e) => setMaxViews(e.target.value)}
-                  placeholder="e.g. 2"
+                  placeholder={t("create.maxViews.placeholder")}
+                  disabled={burn}
+                  aria-invalid={!!mvErr}
                 />
+                {mvErr && <div className="field-error">{mvErr}</div>}
+              </div>
+              <div className="form-group" style={{ display: "flex", alignItems: "flex-end" }}>
+                <label className="checkbox-label" style={{ paddingBottom: "0.75rem" }}>
+                  <input type="checkbox" checked={burn} onChange={(e) => setBurn(e.target.checked)} />
+                  🔥 {t("create.burn")}
+                </label>
               </div>
             </div>
 
+            {!ttlErr && !mvErr && (
+              <p className="expiry-summary" aria-live="polite">
+                {Number.isNaN(ttlVal) ? t("create.ttl.enterCustom") : expirySummary(i18n, ttlVal, mvVal)}
+              </p>
+            )}
+
+            <div className="form-group">
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={encrypt}
+                  onChange={(e) => setEncrypt(e.target.checked)}
+                />
+                {t("create.encrypt")}
+              </label>
+              {encrypt && (
+                <div className="form-row" style={{ marginTop: "0.5rem" }}>
+                  <div className="form-group">
+                    <label htmlFor="enc-mode">{t("create.encrypt.key")}</label>
+                    <select id="enc-mode" value={encMode} onChange={(e) => setEncMode(e.target.value)}>
+                      <option value="link">{t("create.encrypt.link")}</option>
+                      <option value="passphrase">{t("create.encrypt.passphrase")}</option>
+                    </select>
+                  </div>
+                  {encMode === "passphrase" && (
+                    <div className="form-group">
+                      <label htmlFor="enc-passphrase">{t("create.encrypt.passphrase")}</label>
+                      <input
+                        id="enc-passphrase"
+                        type="password"
+                        value={passphrase}
+                        onChange={(e) => setPassphrase(e.target.value)}
+                        placeholder={t("create.encrypt.passphrase.placeholder")}
+                        autoComplete="new-password"
+                      />
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="paste-password">{t("create.password")}</label>
+              <input
+                id="paste-password"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder={t("create.password.placeholder")}
+                autoComplete="new-password"
+                aria-describedby="paste-password-hint"
+              />
+              <p id="paste-password-hint" className="field-hint">
+                {t("create.password.hint")}
+              </p>
+            </div>
+
             <div className="button-group">
               <button
-                onClick={createPaste}
+                onClick={() => createPaste()}
                 disabled={disabled}
                 className="primary"
+                aria-keyshortcuts="Control+Enter Meta+Enter"
+                title={t("create.submit.title")}
               >
                 {loading ? (
                   <>
                     <span className="loading-spinner"></span>
-                    Creating...
+                    {t("create.submitting")}
                   </>
                 ) : (
-                  "Create Paste"
+                  t("create.submit")
                 )}
               </button>
 
               <button
                 onClick={() => {
                   setContent("");
-                  setTtl("");
-                  setMaxViews("");
+                  setFilename("");
+                  setFileErrs([]);
+                  setBundleFiles([]);
+                  setActiveFile(0);
+                  setParentId("");
+                  setQueuedMsg("");
+                  setDraftRestored(false);
+                  clearDraft();
+                  setTtlPreset(prefs.defaultTtl);
+                  setTtlCustom("");
+                  setMaxViews(prefs.defaultMaxViews);
+                  setBurn(false);
+                  setLanguage("");
+                  setPassphrase("");
+                  setPassword("");
                   setCreateRes(null);
+                  setCreateKey("");
                   setCreateErr("");
+                  setSecretHits(null);
                 }}
                 disabled={disabled}
                 className="secondary"
               >
-                Clear
+                {t("create.clear")}
               </button>
             </div>
 
+            {pendingSecrets && (
+              <SecretFindings
+                hits={pendingSecrets}
+                onRedact={redactFound}
+                onProceed={() => createPaste({ allowSecrets: true })}
+                disabled={disabled}
+              />
+            )}
+
             {createErr && (
               <div className="status-message status-error">
-                <strong>Error:</strong> {createErr}
+                <strong>{t("common.error")}</strong> {createErr}
               </div>
             )}
 
+            {queuedMsg && <div className="status-message status-warning">📥 {queuedMsg}</div>}
+
+            <QueueStatus />
+
             {createRes && (
               <div className="status-message status-success">
                 <div className="paste-meta">
                   <div className="paste-meta-item">
-                    <span className="paste-meta-label">ID:</span>
+                    <span className="paste-meta-label">{t("paste.id")}</span>
                     <code className="paste-meta-value">{createRes.id}</code>
                   </div>
                   <div className="paste-meta-item">
-                    <span className="paste-meta-label">HTML URL:</span>
-                    <a href={pasteUrl} target="_blank" rel="noreferrer" className="external-link">
+                    <span className="paste-meta-label">{t("create.htmlUrl")}</span>
+                    <a href={pasteUrl} target="_blank" rel="noreferrer" className="external-link" dir="ltr">
                       {origin}{pasteUrl}
                     </a>
                   </div>
                   <div className="paste-meta-item">
-                    <span className="paste-meta-label">API JSON:</span>
-                    <a href={apiJsonUrl} target="_blank" rel="noreferrer" className="external-link">
+                    <span className="paste-meta-label">{t("create.apiJson")}</span>
+                    <a href={apiJsonUrl} target="_blank" rel="noreferrer" className="external-link" dir="ltr">
                       {origin}{apiJsonUrl}
                     </a>
-                    <span style={{ fontSize: "0.75rem", opacity: 0.7, marginLeft: "0.5rem" }}>(counts as a view)</span>
+                    <span style={{ fontSize: "0.75rem", opacity: 0.7, marginInlineStart: "0.5rem" }}>
+                      {t("create.countsAsView")}
+                    </span>
                   </div>
+                  {createRes.parent_id && (
+                    <div className="paste-meta-item">
+                      <span className="paste-meta-label">{t("paste.forkedFrom")}</span>
+                      <Link to={`/p/${encodeURIComponent(createRes.parent_id)}`}>{createRes.parent_id}</Link>
+                    </div>
+                  )}
+                  {createKey && (
+                    <div className="paste-meta-item" style={{ fontSize: "0.75rem" }}>
+                      🔒 {rich("create.keyInLink", { hash: <code>#</code> })}
+                    </div>
+                  )}
                 </div>
+                <SharePanel url={`${origin}${pasteUrl}`} />
               </div>
             )}
           </div>
 
           {/* Fetch */}
           <div className="card">
-            <h3 className="card-title">🔍 Fetch Paste</h3>
+            <h3 className="card-title">🔍 {t("fetch.title")}</h3>
 
             <div className="fetch-container">
               <div className="fetch-input">
-                <label>Paste ID</label>
+                <label htmlFor="fetch-id">{t("fetch.id")}</label>
                 <input
+                  id="fetch-id"
                   value={pasteId}
                   onChange={(e) => setPasteId(e.target.value)}
-                  placeholder="Enter paste ID (e.g. abc123...)"
+                  placeholder={t("fetch.id.placeholder")}
+                  dir="ltr"
                 />
               </div>
               <button
-                onClick={fetchPaste}
+                onClick={() => fetchPaste()}
                 disabled={disabled}
                 className="primary"
               >
                 {loading ? (
                   <>
                     <span className="loading-spinner"></span>
-                    Fetching...
+                    {t("fetch.submitting")}
                   </>
                 ) : (
-                  "Fetch"
+                  t("fetch.submit")
                 )}
               </button>
             </div>
@@ -317,16 +954,18 @@ export default function App() {
                 {loading ? (
                   <>
                     <span className="loading-spinner"></span>
-                    Checking...
+                    {t("health.checking")}
                   </>
                 ) : (
-                  "Check Health"
+                  t("health.check")
                 )}
               </button>
 
+              <Link to="/status">{t("health.statusPage")}</Link>
+
               {pasteId.trim() && (
                 <a href={`/p/${pasteId.trim()}`} target="_blank" rel="noreferrer" className="external-link">
-                  Open HTML View
+                  {t("fetch.openHtml")}
                 </a>
               )}
             </div>
@@ -334,18 +973,58 @@ export default function App() {
             {/* Health output */}
             {(healthErr || healthRes) && (
               <div className={`status-message ${healthErr ? 'status-error' : 'status-info'}`}>
-                <strong>Health Check:</strong>{" "}
+                <strong>{t("health.result")}</strong>{" "}
                 {healthErr ? (
                   healthErr
                 ) : (
-                  <code>{JSON.stringify(healthRes)}</code>
+                  Object.entries(healthRes).map(([k, v]) => (
+                    <span key={k} style={{ marginInlineEnd: "0.75rem" }}>
+                      {labelForKey(k)}: <code>{typeof v === "object" ? JSON.stringify(v) : String(v)}</code>
+                    </span>
+                  ))
                 )}
               </div>
             )}
 
+            {fetchConfirm && (
+              <div className="status-message status-warning">
+                {fetchConfirm.left != null
+                  ? rich("fetch.confirm", {
+                      count: fetchConfirm.left,
+                      id: <code>{fetchConfirm.id}</code>,
+                      n: <strong>{i18n.number(fetchConfirm.left)}</strong>,
+                    })
+                  : rich("fetch.confirmUnknown", { id: <code>{fetchConfirm.id}</code> })}
+                <div className="button-group-inline" style={{ marginTop: "0.75rem" }}>
+                  <button className="primary" onClick={() => fetchPaste(true)} disabled={disabled}>
+                    {t("fetch.anyway")}
+                  </button>
+                  <button className="secondary" onClick={() => setFetchConfirm(null)}>
+                    {t("common.cancel")}
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {fetchLocked && (
+              <div className="status-message status-warning">
+                <UnlockForm
+                  key={fetchLocked.id}
+                  id="fetch-unlock"
+                  onUnlock={unlockFetch}
+                  note={fetchLocked.left != null ? t("unlock.viewNote", { count: fetchLocked.left }) : null}
+                />
+                <div className="button-group-inline" style={{ marginTop: "0.75rem" }}>
+                  <button className="secondary" onClick={() => setFetchLocked(null)}>
+                    {t("common.cancel")}
+                  </button>
+                </div>
+              </div>
+            )}
+
             {fetchErr && (
               <div className="status-message status-error">
-                <strong>Error:</strong> {fetchErr}
+                <strong>{t("common.error")}</strong> {fetchErr}
               </div>
             )}
 
@@ -354,39 +1033,59 @@ export default function App() {
                 <div className="paste-result">
                   <div className="paste-meta">
                     <div className="paste-meta-item">
-                      <span className="paste-meta-label">ID:</span>
+                      <span className="paste-meta-label">{t("paste.id")}</span>
                       <span className="paste-meta-value">{fetchRes.id}</span>
                     </div>
+                    {fetchRes.parent_id && (
+                      <div className="paste-meta-item">
+                        <span className="paste-meta-label">{t("paste.forkedFrom")}</span>
+                        <Link to={`/p/${encodeURIComponent(fetchRes.parent_id)}`}>{fetchRes.parent_id}</Link>
+                      </div>
+                    )}
                     {fetchRes.created_at && (
                       <div className="paste-meta-item">
-                        <span className="paste-meta-label">Created:</span>
-                        <span className="paste-meta-value">{new Date(fetchRes.created_at).toLocaleString()}</span>
+                        <span className="paste-meta-label">{t("paste.created")}</span>
+                        <span className="paste-meta-value">{i18n.date(fetchRes.created_at)}</span>
                       </div>
                     )}
                     {fetchRes.ttl_seconds && (
                       <div className="paste-meta-item">
-                        <span className="paste-meta-label">TTL:</span>
-                        <span className="paste-meta-value">{fetchRes.ttl_seconds}s</span>
+                        <span className="paste-meta-label">{t("paste.ttl")}</span>
+                        <span className="paste-meta-value">{i18n.duration(fetchRes.ttl_seconds * 1000, { long: true })}</span>
                       </div>
                     )}
                     {fetchRes.max_views && (
                       <div className="paste-meta-item">
-                        <span className="paste-meta-label">Max Views:</span>
-                        <span className="paste-meta-value">{fetchRes.max_views}</span>
+                        <span className="paste-meta-label">{t("paste.maxViews")}</span>
+                        <span className="paste-meta-value">{i18n.number(fetchRes.max_views)}</span>
                       </div>
                     )}
                   </div>
 
-                  {fetchRes.content && (
-                    <div className="paste-content">
-                      <pre>{fetchRes.content}</pre>
+                  {fetchEnv?.kdf === "PBKDF2" && fetchContent == null && (
+                    <UnlockForm id="fetch-passphrase" onUnlock={(pw) => decryptFetched(pw)} autoFocus={false} />
+                  )}
+
+                  {fetchEnv && fetchEnv.kdf !== "PBKDF2" && (
+                    <div className="status-message status-info">
+                      🔒 {rich("fetch.encrypted", { key: <code>#k=</code> })}
                     </div>
                   )}
+
+                  {fetchContent &&
+                    (parseBundle(fetchContent)?.files.map((f, i) => (
+                      <div key={i}>
+                        <div className="paste-meta-label" style={{ marginTop: "0.75rem" }}>📄 {f.name}</div>
+                        <CodeView content={f.content} language={f.language} />
+                      </div>
+                    )) ?? <CodeView content={fetchContent} language={fetchRes.language} />)}
                 </div>
               </div>
             )}
           </div>
         </div>
+
+        {showBulk && <BulkCreate onClose={() => setShowBulk(false)} />}
       </div>
     </div>
   );
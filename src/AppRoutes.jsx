@@ -0,0 +1,50 @@
+import { Fragment } from 'react'
+import { Routes, Route, Outlet, useLocation } from 'react-router-dom'
+import App from './App.jsx'
+import PasteView from './PasteView.jsx'
+import History from './History.jsx'
+import DiffView from './DiffView.jsx'
+import Status from './Status.jsx'
+import Preferences from './Preferences.jsx'
+import EmbedView from './EmbedView.jsx'
+import RawView from './RawView.jsx'
+import { BackendStatusProvider, OfflineBanner } from './BackendStatus.jsx'
+import { OfflineQueueSync } from './QueueStatus.jsx'
+import { CommandProvider } from './CommandPalette.jsx'
+
+// Paste pages hold state for the paste they opened (reveal step, view budget,
+// open file tab), so moving to another paste mounts them afresh.
+function PerPath({ children }) {
+  const { pathname } = useLocation()
+  return <Fragment key={pathname}>{children}</Fragment>
+}
+
+/** Every page of the app; needs a router, PrefsProvider and I18nProvider around it. */
+export default function AppRoutes() {
+  return (
+    <Routes>
+      <Route path="/embed/:id" element={<PerPath><EmbedView /></PerPath>} />
+      <Route path="/raw/:id" element={<PerPath><RawView /></PerPath>} />
+      {/* Full app pages get the banners, offline queue and keyboard shortcuts;
+          /embed and /raw render bare, since they end up inside other pages. */}
+      <Route
+        element={
+          <BackendStatusProvider>
+            <OfflineBanner />
+            <OfflineQueueSync />
+            <CommandProvider>
+              <Outlet />
+            </CommandProvider>
+          </BackendStatusProvider>
+        }
+      >
+        <Route path="/" element={<App />} />
+        <Route path="/p/:id" element={<PerPath><PasteView /></PerPath>} />
+        <Route path="/history" element={<History />} />
+        <Route path="/diff/:a/:b" element={<PerPath><DiffView /></PerPath>} />
+        <Route path="/status" element={<Status />} />
+        <Route path="/settings" element={<Preferences />} />
+      </Route>
+    </Routes>
+  )
+}
@@ -0,0 +1,109 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Link, useLocation } from "react-router-dom";
+import {
+  BackendStatusContext,
+  DEFAULT_POLL_MS,
+  FAST_POLL_MS,
+  MAX_SAMPLES,
+  sampleHealth,
+  useBackendStatus,
+} from "./lib/backendStatus.js";
+import { useI18n } from "./lib/i18n.js";
+
+/**
+ * Polls /api/healthz for the whole app. Pages that want live data (the
+ * /status page) switch to fast polling while mounted.
+ */
+export function BackendStatusProvider({ children }) {
+  const [samples, setSamples] = useState([]);
+  const [fastPollers, setFastPollers] = useState(0);
+  const [browserOffline, setBrowserOffline] = useState(
+    () => typeof navigator !== "undefined" && navigator.onLine === false
+  );
+  const inFlight = useRef(false);
+
+  const checkNow = useCallback(async () => {
+    if (inFlight.current) return;
+    inFlight.current = true;
+    try {
+      const sample = await sampleHealth();
+      setSamples((list) => [...list.slice(-(MAX_SAMPLES - 1)), sample]);
+    } finally {
+      inFlight.current = false;
+    }
+  }, []);
+
+  const setFastPolling = useCallback((on) => {
+    setFastPollers((n) => Math.max(0, n + (on ? 1 : -1)));
+  }, []);
+
+  const interval = fastPollers > 0 ? FAST_POLL_MS : DEFAULT_POLL_MS;
+
+  useEffect(() => {
+    // Skip polling in background tabs; catch up when the tab is visible again.
+    const tick = () => {
+      if (document.visibilityState !== "hidden") checkNow();
+    };
+    tick();
+    const t = setInterval(tick, interval);
+    document.addEventListener("visibilitychange", tick);
+    return () => {
+      clearInterval(t);
+      document.removeEventListener("visibilitychange", tick);
+    };
+  }, [checkNow, interval]);
+
+  useEffect(() => {
+    const onOnline = () => {
+      setBrowserOffline(false);
+      checkNow();
+    };
+    const onOffline = () => setBrowserOffline(true);
+    window.addEventListener("online", onOnline);
+    window.addEventListener("offline", onOffline);
+    return () => {
+      window.removeEventListener("online", onOnline);
+      window.removeEventListener("offline", onOffline);
+    };
+  }, [checkNow]);
+
+  const value = useMemo(() => {
+    const latest = samples[samples.length - 1] || null;
+    // Unreachable = the browser is offline or the last check never got a JSON answer.
+    const unreachable = latest && !latest.ok && latest.kind !== "http";
+    return {
+      samples,
+      latest,
+      browserOffline,
+      offline: browserOffline || !!unreachable,
+      checkNow,
+      setFastPolling,
+    };
+  }, [samples, browserOffline, checkNow, setFastPolling]);
+
+  return <BackendStatusContext.Provider value={value}>{children}</BackendStatusContext.Provider>;
+}
+
+/** App-wide banner shown while the backend can't be reached. */
+export function OfflineBanner() {
+  const { offline, browserOffline, latest, checkNow } = useBackendStatus();
+  const { pathname } = useLocation();
+  const { t } = useI18n();
+  if (!offline) return null;
+
+  const reason = browserOffline
+    ? t("offline.browser")
+    : latest?.kind === "html"
+      ? t("offline.html")
+      : t("offline.unreachable");
+
+  return (
+    <div className="offline-banner" role="alert">
+      ⚠️ {reason}{" "}
+      <button type="button" className="link-button" onClick={checkNow}>
+        {t("offline.retry")}
+      </button>
+      {pathname !== "/status" && <Link to="/status">{t("offline.details")}</Link>}
+    </div>
+  );
+}
@@ -0,0 +1,298 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { Link } from "react-router-dom";
+import {
+  DEFAULT_CONCURRENCY,
+  MAX_BULK_ITEMS,
+  importFiles,
+  importProblem,
+  itemText,
+  pasteBody,
+  resultsManifest,
+  runBulk,
+} from "./lib/bulk.js";
+import { downloadBlob } from "./lib/files.js";
+import { addHistoryEntry, makePreview } from "./lib/history.js";
+import { parseCustomRules, scanSecrets } from "./lib/secrets.js";
+import { usePrefs } from "./lib/prefs.js";
+import { useI18n } from "./lib/i18n.js";
+
+const CONCURRENCY_CHOICES = [1, 2, 3, 4, 6];
+const STATUS_BADGES = { done: "", failed: " badge-error", running: " badge-warning", retrying: " badge-warning" };
+
+/**
+ * Bulk mode on the home page: import a folder, manifests or another
+ * pastebin's export (see lib/bulk.js), then create the pastes a few at a time
+ * with per-item progress. Created pastes go into history like single ones.
+ */
+export default function BulkCreate({ onClose }) {
+  const { t, number, duration, error: errorText } = useI18n();
+  const { prefs } = usePrefs();
+  const cardRef = useRef(null);
+  const folderRef = useRef(null);
+  const filesRef = useRef(null);
+  const abortRef = useRef(null);
+  const [items, setItems] = useState([]);
+  // Per-item { status, attempts, id?, error? }, same order as items; missing = not sent yet.
+  const [results, setResults] = useState([]);
+  const [importErrors, setImportErrors] = useState([]);
+  // Items the last import found beyond MAX_BULK_ITEMS.
+  const [overflow, setOverflow] = useState(0);
+  const [reading, setReading] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [concurrency, setConcurrency] = useState(DEFAULT_CONCURRENCY);
+  const [secretsPrompt, setSecretsPrompt] = useState(false);
+
+  // It opens below the Create and Fetch cards, out of view on most screens.
+  useEffect(() => {
+    cardRef.current?.scrollIntoView({ behavior: "smooth", block: "start" });
+  }, []);
+
+  // Indices of items the secret scan flags; same rules as the Create form.
+  const flagged = useMemo(() => {
+    if (!prefs.secretScan) return new Set();
+    const options = { disabled: prefs.secretRulesOff, custom: parseCustomRules(prefs.secretCustomRules).rules };
+    return new Set(items.flatMap((item, i) => (scanSecrets(itemText(item), options).length ? [i] : [])));
+  }, [items, prefs.secretScan, prefs.secretRulesOff, prefs.secretCustomRules]);
+
+  const pending = items.flatMap((_, i) => (results[i]?.status ? [] : [i]));
+  const failed = items.flatMap((_, i) => (results[i]?.status === "failed" ? [i] : []));
+  const done = results.filter((r) => r?.status === "done").length;
+  const finished = done + failed.length;
+
+  async function addFiles(e) {
+    const list = e.target.files;
+    e.target.value = "";
+    if (!list?.length) return;
+    setReading(true);
+    try {
+      const r = await importFiles(list);
+      const room = MAX_BULK_ITEMS - items.length;
+      setItems((prev) => [...prev, ...r.items.slice(0, room)]);
+      setImportErrors(r.errors);
+      setOverflow(Math.max(0, r.items.length - room));
+      setSecretsPrompt(false);
+    } catch (err) {
+      // importFiles() reports bad files itself; this is the read failing as a whole.
+      setImportErrors([importProblem(Array.from(list, (f) => f.name).join(", "), err)]);
+      setOverflow(0);
+    } finally {
+      setReading(false);
+    }
+  }
+
+  function remove(i) {
+    setItems((prev) => prev.filter((_, j) => j !== i));
+    setResults((prev) => prev.filter((_, j) => j !== i));
+  }
+
+  function update(i, patch) {
+    setResults((prev) => {
+      const next = prev.slice();
+      next[i] = { ...next[i], ...patch };
+      return next;
+    });
+  }
+
+  async function run(indices) {
+    setSecretsPrompt(false);
+    if (!indices.length) return;
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setRunning(true);
+    const list = indices.map((i) => items[i]);
+    indices.forEach((i) => update(i, { status: "queued", error: null }));
+    try {
+      await runBulk(list, {
+        concurrency,
+        signal: controller.signal,
+        onUpdate: (j, patch) => {
+          update(indices[j], patch);
+          if (patch.status === "done") {
+            const body = pasteBody(list[j]);
+            // History is best-effort, as for single pastes.
+            addHistoryEntry({
+              id: patch.id,
+              created_at: patch.created_at,
+              ttl_seconds: body.ttl_seconds,
+              max_views: body.max_views,
+              preview: makePreview(itemText(list[j])),
+              language: body.language ?? "bundle",
+              url: `/p/${patch.id}`,
+            }).catch(() => {});
+          }
+        },
+      });
+    } finally {
+      // Anything the stop kept from starting goes back to "not sent".
+      setResults((prev) => prev.map((r) => (r?.status === "queued" ? undefined : r)));
+      abortRef.current = null;
+      setRunning(false);
+    }
+  }
+
+  function start() {
+    if (pending.some((i) => flagged.has(i))) setSecretsPrompt(true);
+    else run(pending);
+  }
+
+  function downloadResults() {
+    const manifest = resultsManifest(items, results, window.location.origin);
+    downloadBlob(
+      new Blob([JSON.stringify(manifest, null, 2)], { type: "application/json" }),
+      "pastebin-lite-bulk-results.json"
+    );
+  }
+
+  function clear() {
+    setItems([]);
+    setResults([]);
+    setImportErrors([]);
+    setOverflow(0);
+    setSecretsPrompt(false);
+  }
+
+  const statusLabel = (r) =>
+    r.status === "retrying" ? t("bulk.status.retrying", { attempt: r.attempts }) : t(`bulk.status.${r.status}`);
+
+  return (
+    <div className="card bulk-card" ref={cardRef}>
+      <div className="card-title" style={{ justifyContent: "space-between", alignItems: "center" }}>
+        <span>📦 {t("bulk.title")}</span>
+        <button type="button" className="secondary" onClick={onClose} disabled={running}>
+          {t("common.close")}
+        </button>
+      </div>
+      <p className="field-hint" style={{ marginTop: 0 }}>{t("bulk.intro")}</p>
+
+      <div className="button-group-inline">
+        <button type="button" className="secondary" onClick={() => folderRef.current?.click()} disabled={reading || running}>
+          📁 {t("bulk.chooseFolder")}
+        </button>
+        <button type="button" className="secondary" onClick={() => filesRef.current?.click()} disabled={reading || running}>
+          📄 {t("bulk.chooseFiles")}
+        </button>
+        {/* webkitdirectory isn't a React prop; an empty string enables it. */}
+        <input ref={folderRef} type="file" webkitdirectory="" multiple onChange={addFiles} style={{ display: "none" }} />
+        <input ref={filesRef} type="file" multiple onChange={addFiles} style={{ display: "none" }} />
+        <label className="bulk-concurrency">
+          {t("bulk.concurrency")}
+          <select value={concurrency} onChange={(e) => setConcurrency(Number(e.target.value))} disabled={running}>
+            {CONCURRENCY_CHOICES.map((n) => (
+              <option key={n} value={n}>
+                {number(n)}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {reading && (
+        <div className="status-message status-info">
+          <span className="loading-spinner"></span> {t("bulk.reading")}
+        </div>
+      )}
+
+      {overflow > 0 && (
+        <div className="status-message status-warning">{t("bulk.tooMany", { count: MAX_BULK_ITEMS })}</div>
+      )}
+
+      {importErrors.length > 0 && (
+        <div className="status-message status-warning">
+          <strong>{t("bulk.skipped", { count: importErrors.length })}</strong>
+          <ul className="bulk-errors">
+            {importErrors.map((err, i) => (
+              <li key={i}>
+                <code>{err.source}</code>: {errorText(err)}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {items.length === 0 ? (
+        <p className="tip-text">{t("bulk.empty")}</p>
+      ) : (
+        <>
+          <div aria-live="polite" style={{ marginTop: "1rem" }}>
+            {t("bulk.progress", { done: number(done), failed: number(failed.length), total: number(items.length) })}
+            <progress className="load-progress" value={finished} max={items.length} style={{ display: "block" }} />
+          </div>
+
+          <ol className="bulk-list">
+            {items.map((item, i) => {
+              const r = results[i];
+              return (
+                <li key={`${item.source}:${i}`} className="bulk-item">
+                  <div className="bulk-item-main">
+                    <div className="bulk-item-head">
+                      <strong>{item.title || t("bulk.untitled")}</strong>
+                      {item.ttl_seconds && <span className="badge">⏱ {duration(item.ttl_seconds * 1000)}</span>}
+                      {item.max_views && <span className="badge">👁 {number(item.max_views)}</span>}
+                      {flagged.has(i) && <span className="badge badge-warning">🔑 {t("bulk.flagged")}</span>}
+                    </div>
+                    <div className="bulk-item-source">{item.source}</div>
+                    {r?.error && <div className="field-error">{errorText(r.error)}</div>}
+                  </div>
+                  {r?.status === "done" ? (
+                    <Link to={`/p/${encodeURIComponent(r.id)}`}>
+                      <code>{r.id}</code>
+                    </Link>
+                  ) : r?.status ? (
+                    <span className={`badge${STATUS_BADGES[r.status] ?? ""}`}>{statusLabel(r)}</span>
+                  ) : (
+                    <button
+                      type="button"
+                      className="link-button"
+                      onClick={() => remove(i)}
+                      disabled={running}
+                      aria-label={t("bulk.remove", { title: item.title || item.source })}
+                    >
+                      ✕
+                    </button>
+                  )}
+                </li>
+              );
+            })}
+          </ol>
+        </>
+      )}
+
+      {secretsPrompt && (
+        <div className="status-message status-warning" role="alert">
+          <strong>🔑 {t("bulk.secrets", { count: pending.filter((i) => flagged.has(i)).length })}</strong>
+          <div className="button-group-inline" style={{ marginTop: "0.75rem" }}>
+            <button type="button" className="primary" onClick={() => run(pending.filter((i) => !flagged.has(i)))}>
+              {t("bulk.secrets.skip")}
+            </button>
+            <button type="button" className="secondary" onClick={() => run(pending)}>
+              {t("bulk.secrets.proceed")}
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="button-group">
+        {running ? (
+          <button type="button" className="secondary" onClick={() => abortRef.current?.abort()}>
+            {t("bulk.stop")}
+          </button>
+        ) : (
+          <button type="button" className="primary" onClick={start} disabled={!pending.length || reading}>
+            {t("bulk.start", { count: pending.length })}
+          </button>
+        )}
+        {failed.length > 0 && !running && (
+          <button type="button" className="secondary" onClick={() => run(failed)}>
+            {t("bulk.retryFailed", { count: failed.length })}
+          </button>
+        )}
+        <button type="button" className="secondary" onClick={downloadResults} disabled={running || finished === 0}>
+          ⬇️ {t("bulk.download")}
+        </button>
+        <button type="button" className="secondary" onClick={clear} disabled={running || !items.length}>
+          {t("create.clear")}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,258 @@
+import { useCallback, useDeferredValue, useEffect, useMemo, useRef, useState } from "react";
+import { highlightLines, languageLabel } from "./lib/highlight.js";
+import { codeLineHeight, usePrefs } from "./lib/prefs.js";
+import { useI18n } from "./lib/i18n.js";
+
+// Above this many lines only the rows in view are rendered (fixed row height,
+// no wrapping), so 100k-line logs stay smooth.
+const VIRTUALIZE_AFTER_LINES = 1000;
+const OVERSCAN = 20;
+const MAX_MATCHES = 10000;
+
+function findMatches(rawLines, query) {
+  const q = query.toLowerCase();
+  const out = [];
+  if (!q) return out;
+  for (let i = 0; i < rawLines.length && out.length < MAX_MATCHES; i++) {
+    const line = rawLines[i].toLowerCase();
+    let from = 0;
+    let at;
+    while ((at = line.indexOf(q, from)) !== -1 && out.length < MAX_MATCHES) {
+      out.push({ line: i + 1, start: at, end: at + q.length });
+      from = at + q.length;
+    }
+  }
+  return out;
+}
+
+/** A line with search hits, as plain text plus <mark>s (syntax colours are dropped). */
+function MarkedLine({ text, hits, current }) {
+  const parts = [];
+  let pos = 0;
+  hits.forEach((h, i) => {
+    if (h.start > pos) parts.push(text.slice(pos, h.start));
+    parts.push(
+      <mark key={i} className={h === current ? "search-current" : "search-hit"}>
+        {text.slice(h.start, h.end)}
+      </mark>
+    );
+    pos = h.end;
+  });
+  parts.push(text.slice(pos));
+  return <code className="line-text">{parts}</code>;
+}
+
+/**
+ * Paste content with line numbers, syntax highlighting, search and
+ * jump-to-line.
+ *
+ * When `onSelectRange` is given, line numbers become anchors: click selects a
+ * line, shift+click extends the selection. `selected` ({ start, end }) is
+ * highlighted and scrolled into view.
+ */
+export default function CodeView({ content, language, selected, onSelectRange }) {
+  const { language: lang, lines, truncated } = useMemo(
+    () => highlightLines(content, language),
+    [content, language]
+  );
+  const rawLines = useMemo(() => (content ?? "").split("\n"), [content]);
+  const virtual = lines.length > VIRTUALIZE_AFTER_LINES;
+  const { prefs } = usePrefs();
+  const { t } = useI18n();
+  const rowHeight = codeLineHeight(prefs);
+
+  const containerRef = useRef(null);
+  const anchorRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(600);
+
+  const [query, setQuery] = useState("");
+  const deferredQuery = useDeferredValue(query);
+  const matches = useMemo(() => findMatches(rawLines, deferredQuery), [rawLines, deferredQuery]);
+  const [matchIdx, setMatchIdx] = useState(0);
+  const current = matches.length ? matches[Math.min(matchIdx, matches.length - 1)] : null;
+  const hitsByLine = useMemo(() => {
+    const map = new Map();
+    for (const m of matches) {
+      if (!map.has(m.line)) map.set(m.line, []);
+      map.get(m.line).push(m);
+    }
+    return map;
+  }, [matches]);
+
+  const [gotoLine, setGotoLine] = useState("");
+
+  // Changes with the layout, so the effects below also re-center after a
+  // switch to or from virtual rows or a new line height.
+  const scrollToLine = useCallback(
+    (n) => {
+      const el = containerRef.current;
+      if (!el) return;
+      if (virtual) {
+        el.scrollTop = Math.max(0, (n - 1) * rowHeight - el.clientHeight / 2);
+      } else {
+        el.querySelector(`[data-line="${n}"]`)?.scrollIntoView({ block: "center" });
+      }
+    },
+    [virtual, rowHeight]
+  );
+
+  useEffect(() => {
+    if (selected) scrollToLine(selected.start);
+  }, [selected, scrollToLine]);
+
+  useEffect(() => {
+    if (current) scrollToLine(current.line);
+  }, [current, scrollToLine]);
+
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!el || !virtual) return;
+    const measure = () => setViewportHeight(el.clientHeight);
+    measure();
+    const ro = new ResizeObserver(measure);
+    ro.observe(el);
+    return () => ro.disconnect();
+  }, [virtual]);
+
+  function onLineClick(e, n) {
+    e.preventDefault();
+    if (e.shiftKey && anchorRef.current) {
+      onSelectRange({ start: Math.min(anchorRef.current, n), end: Math.max(anchorRef.current, n) });
+    } else {
+      anchorRef.current = n;
+      onSelectRange({ start: n, end: n });
+    }
+  }
+
+  function stepMatch(delta) {
+    if (!matches.length) return;
+    setMatchIdx((i) => (Math.min(i, matches.length - 1) + delta + matches.length) % matches.length);
+  }
+
+  function onSearchKey(e) {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      stepMatch(e.shiftKey ? -1 : 1);
+    } else if (e.key === "Escape") {
+      setQuery("");
+    }
+  }
+
+  function submitGoto(e) {
+    e.preventDefault();
+    const n = Math.min(Math.max(1, Number(gotoLine) || 1), lines.length);
+    if (onSelectRange) onSelectRange({ start: n, end: n });
+    else scrollToLine(n);
+  }
+
+  function renderLine(i) {
+    const n = i + 1;
+    const isSel = selected && n >= selected.start && n <= selected.end;
+    const hits = hitsByLine.get(n);
+    const style = virtual
+      ? { position: "absolute", top: i * rowHeight, left: 0, right: 0, height: rowHeight, lineHeight: `${rowHeight}px` }
+      : undefined;
+    return (
+      <div
+        key={n}
+        className={`code-line${isSel ? " selected" : ""}${current?.line === n ? " current-match" : ""}`}
+        data-line={n}
+        style={style}
+      >
+        {onSelectRange ? (
+          <a href={`#L${n}`} className="line-number" onClick={(e) => onLineClick(e, n)} aria-label={t("code.line", { n })}>
+            {n}
+          </a>
+        ) : (
+          <span className="line-number">{n}</span>
+        )}
+        {hits ? (
+          <MarkedLine text={rawLines[i]} hits={hits} current={current} />
+        ) : (
+          <code className="line-text" dangerouslySetInnerHTML={{ __html: lines[i] || "\n" }} />
+        )}
+      </div>
+    );
+  }
+
+  let body;
+  if (virtual) {
+    const first = Math.max(0, Math.floor(scrollTop / rowHeight) - OVERSCAN);
+    const last = Math.min(lines.length, Math.ceil((scrollTop + viewportHeight) / rowHeight) + OVERSCAN);
+    const rows = [];
+    for (let i = first; i < last; i++) rows.push(renderLine(i));
+    body = (
+      <pre className="hljs" style={{ position: "relative", height: lines.length * rowHeight }}>
+        {rows}
+      </pre>
+    );
+  } else {
+    body = <pre className="hljs">{lines.map((_, i) => renderLine(i))}</pre>;
+  }
+
+  return (
+    <div className="code-view">
+      <div className="code-view-header">
+        <span>{languageLabel(lang, t)}</span>
+        <span>
+          {t("code.lines", { count: lines.length })}
+          {truncated && ` · ${t("code.tooLarge")}`}
+        </span>
+      </div>
+      <div className="code-view-tools">
+        <div className="code-search" role="search">
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => {
+              setQuery(e.target.value);
+              setMatchIdx(0);
+            }}
+            onKeyDown={onSearchKey}
+            placeholder={t("code.search")}
+            aria-label={t("code.search")}
+            data-search-input
+          />
+          <span className="field-hint" aria-live="polite">
+            {deferredQuery
+              ? matches.length
+                ? t(matches.length >= MAX_MATCHES ? "code.matchOfMany" : "code.matchOf", {
+                    index: Math.min(matchIdx, matches.length - 1) + 1,
+                    count: matches.length,
+                  })
+                : t("code.noMatches")
+              : ""}
+          </span>
+          <button type="button" className="link-button" onClick={() => stepMatch(-1)} disabled={!matches.length} aria-label={t("code.prevMatch")}>
+            ↑
+          </button>
+          <button type="button" className="link-button" onClick={() => stepMatch(1)} disabled={!matches.length} aria-label={t("code.nextMatch")}>
+            ↓
+          </button>
+        </div>
+        <form className="code-goto" onSubmit={submitGoto}>
+          <input
+            type="number"
+            min={1}
+            max={lines.length}
+            value={gotoLine}
+            onChange={(e) => setGotoLine(e.target.value)}
+            placeholder={t("code.linePlaceholder")}
+            aria-label={t("code.goToLine")}
+          />
+          <button type="submit" className="link-button">
+            {t("code.go")}
+          </button>
+        </form>
+      </div>
+      <div
+        className={`paste-content code-view-body${virtual ? " code-view-virtual" : ""}`}
+        ref={containerRef}
+        onScroll={virtual ? (e) => setScrollTop(e.currentTarget.scrollTop) : undefined}
+      >
+        {body}
+      </div>
+    </div>
+  );
+}
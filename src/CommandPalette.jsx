@@ -0,0 +1,310 @@
+import { useCallback, useEffect, useId, useMemo, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  CommandContext,
+  matchShortcut,
+  pasteIdFromInput,
+  shortcutKeys,
+  useCommandUi,
+  useCommands,
+} from "./lib/commands.js";
+import { THEMES, usePrefs } from "./lib/prefs.js";
+import { LOCALES, useI18n } from "./lib/i18n.js";
+
+function Keys({ shortcut }) {
+  return (
+    <span className="shortcut-keys">
+      {shortcutKeys(shortcut).map((k, i) => (
+        <kbd key={i}>{k}</kbd>
+      ))}
+    </span>
+  );
+}
+
+// Puts focus back where it was when a dialog closes.
+function useRestoreFocus() {
+  useEffect(() => {
+    const previous = document.activeElement;
+    return () => {
+      if (previous instanceof HTMLElement && previous.isConnected) previous.focus();
+    };
+  }, []);
+}
+
+function Palette({ commands, onClose }) {
+  const navigate = useNavigate();
+  const { t } = useI18n();
+  const [query, setQuery] = useState("");
+  const [active, setActive] = useState(0);
+  const inputRef = useRef(null);
+  const listId = useId();
+  useRestoreFocus();
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  const items = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    const list = commands.filter((c) => !c.hidden && !c.disabled && (!q || c.title.toLowerCase().includes(q)));
+    const id = pasteIdFromInput(query);
+    if (id) {
+      list.unshift({
+        id: "open-paste",
+        title: t("cmd.openPaste", { id }),
+        section: t("cmd.section.goTo"),
+        run: () => navigate(`/p/${id}`),
+      });
+    }
+    return list;
+  }, [commands, query, navigate, t]);
+
+  const current = Math.min(active, items.length - 1);
+
+  function runItem(item) {
+    onClose();
+    item.run();
+  }
+
+  function onKeyDown(e) {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setActive((current + 1) % items.length || 0);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActive((current - 1 + items.length) % items.length || 0);
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      if (items[current]) runItem(items[current]);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      onClose();
+    } else if (e.key === "Tab") {
+      // The input is the only focus stop; keep focus inside the dialog.
+      e.preventDefault();
+    }
+  }
+
+  return (
+    <div className="overlay-backdrop" onMouseDown={onClose}>
+      <div
+        className="palette"
+        role="dialog"
+        aria-modal="true"
+        aria-label={t("palette.label")}
+        onMouseDown={(e) => e.stopPropagation()}
+      >
+        <input
+          ref={inputRef}
+          className="palette-input"
+          role="combobox"
+          aria-expanded="true"
+          aria-controls={listId}
+          aria-autocomplete="list"
+          aria-activedescendant={items[current] ? `${listId}-${current}` : undefined}
+          placeholder={t("palette.placeholder")}
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setActive(0);
+          }}
+          onKeyDown={onKeyDown}
+        />
+        <ul id={listId} role="listbox" className="palette-list" aria-label={t("palette.commands")}>
+          {items.length === 0 && <li className="palette-empty">{t("palette.empty")}</li>}
+          {items.map((c, i) => (
+            <li
+              key={c.id}
+              id={`${listId}-${i}`}
+              role="option"
+              aria-selected={i === current}
+              className={`palette-item${i === current ? " active" : ""}`}
+              onMouseMove={() => setActive(i)}
+              onClick={() => runItem(c)}
+            >
+              <span>
+                {c.section && <span className="palette-section">{c.section}</span>}
+                {c.title}
+              </span>
+              {c.shortcut && <Keys shortcut={c.shortcut} />}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+function ShortcutHelp({ commands, onClose }) {
+  const { t } = useI18n();
+  const closeRef = useRef(null);
+  const titleId = useId();
+  useRestoreFocus();
+
+  useEffect(() => {
+    closeRef.current?.focus();
+  }, []);
+
+  const rows = commands.filter((c) => c.shortcut);
+
+  function onKeyDown(e) {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      onClose();
+    } else if (e.key === "Tab") {
+      e.preventDefault();
+    }
+  }
+
+  return (
+    <div className="overlay-backdrop" onMouseDown={onClose}>
+      <div
+        className="card shortcut-help"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        onMouseDown={(e) => e.stopPropagation()}
+        onKeyDown={onKeyDown}
+      >
+        <div className="card-header">
+          <h2 className="card-title" id={titleId}>
+            ⌨️ {t("help.title")}
+          </h2>
+          <button ref={closeRef} type="button" className="link-button" onClick={onClose} aria-label={t("common.close")}>
+            ✕
+          </button>
+        </div>
+        <dl className="shortcut-list">
+          {rows.map((c) => (
+            <div key={c.id} className="shortcut-row">
+              <dt>
+                <Keys shortcut={c.shortcut} />
+              </dt>
+              <dd>{c.title}</dd>
+            </div>
+          ))}
+        </dl>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Global shortcut handling. Page commands come from useCommands(); the
+ * palette and help overlay list whatever is registered at the moment they open.
+ */
+export function CommandProvider({ children }) {
+  const navigate = useNavigate();
+  const sources = useRef(new Set());
+  const [overlay, setOverlay] = useState(null); // null | "palette" | "help"
+  const [snapshot, setSnapshot] = useState([]);
+
+  const register = useCallback((getCommands) => {
+    sources.current.add(getCommands);
+    return () => sources.current.delete(getCommands);
+  }, []);
+
+  const collect = useCallback(() => {
+    const all = [];
+    // Most recently mounted (the page) first, app-wide commands last.
+    for (const get of [...sources.current].reverse()) all.push(...get());
+    return all;
+  }, []);
+
+  const openPalette = useCallback(() => {
+    setSnapshot(collect());
+    setOverlay("palette");
+  }, [collect]);
+
+  const openHelp = useCallback(() => {
+    setSnapshot(collect());
+    setOverlay("help");
+  }, [collect]);
+
+  const ctx = useMemo(() => ({ register, openPalette, openHelp }), [register, openPalette, openHelp]);
+
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (e.defaultPrevented || e.isComposing) return;
+      if (matchShortcut(e, "mod+k")) {
+        e.preventDefault();
+        if (overlay === "palette") setOverlay(null);
+        else openPalette();
+        return;
+      }
+      if (overlay) return;
+      const cmd = collect().find((c) => c.shortcut && !c.disabled && matchShortcut(e, c.shortcut));
+      if (cmd) {
+        e.preventDefault();
+        cmd.run();
+      }
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [overlay, collect, openPalette]);
+
+  return (
+    <CommandContext.Provider value={ctx}>
+      <GlobalCommands navigate={navigate} openHelp={openHelp} openPalette={openPalette} />
+      {children}
+      {overlay === "palette" && <Palette commands={snapshot} onClose={() => setOverlay(null)} />}
+      {overlay === "help" && <ShortcutHelp commands={snapshot} onClose={() => setOverlay(null)} />}
+    </CommandContext.Provider>
+  );
+}
+
+// App-wide commands, registered like any page's so they share one list.
+function GlobalCommands({ navigate, openHelp, openPalette }) {
+  const { prefs, updatePrefs } = usePrefs();
+  const { t, locale } = useI18n();
+  const nextTheme = THEMES[(THEMES.findIndex((th) => th.value === prefs.theme) + 1) % THEMES.length];
+  const nextLocale = LOCALES[(LOCALES.findIndex((l) => l.code === locale) + 1) % LOCALES.length];
+  const general = t("cmd.section.general");
+  const goTo = t("cmd.section.goTo");
+  const preferences = t("nav.preferences");
+  useCommands([
+    { id: "palette", title: t("cmd.palette"), section: general, shortcut: "mod+k", hidden: true, run: openPalette },
+    { id: "help", title: t("cmd.help"), section: general, shortcut: "?", run: openHelp },
+    {
+      id: "focus-search",
+      title: t("cmd.focusSearch"),
+      section: general,
+      shortcut: "/",
+      run: () => document.querySelector("[data-search-input]")?.focus(),
+    },
+    { id: "go-home", title: t("cmd.goHome"), section: goTo, run: () => navigate("/") },
+    { id: "go-history", title: t("history.title"), section: goTo, run: () => navigate("/history") },
+    { id: "go-status", title: t("status.subtitle"), section: goTo, run: () => navigate("/status") },
+    { id: "go-settings", title: preferences, section: goTo, run: () => navigate("/settings") },
+    {
+      id: "theme",
+      title: t("cmd.theme", { theme: t(`prefs.theme.${nextTheme.value}`) }),
+      section: preferences,
+      run: () => updatePrefs({ theme: nextTheme.value }),
+    },
+    {
+      id: "wrap",
+      title: prefs.wrap ? t("cmd.wrapOff") : t("cmd.wrapOn"),
+      section: preferences,
+      run: () => updatePrefs({ wrap: !prefs.wrap }),
+    },
+    {
+      id: "language",
+      title: t("cmd.language", { language: nextLocale.label }),
+      section: preferences,
+      run: () => updatePrefs({ locale: nextLocale.code }),
+    },
+  ]);
+  return null;
+}
+
+/** Nav button that makes the shortcuts discoverable without knowing `?`. */
+export function ShortcutHint() {
+  const { openHelp } = useCommandUi();
+  const { t } = useI18n();
+  return (
+    <button type="button" className="link-button" onClick={openHelp} aria-keyshortcuts="Shift+?">
+      ⌨️ {t("nav.shortcuts")} <kbd>?</kbd>
+    </button>
+  );
+}
@@ -0,0 +1,199 @@
+import { useMemo, useState } from "react";
+import { Link, useLocation, useParams } from "react-router-dom";
+import "./App.css";
+import * as api from "./lib/api.js";
+import { parseBundle } from "./lib/bundle.js";
+import { diffLines, toHunks, toRows } from "./lib/diff.js";
+import { useI18n } from "./lib/i18n.js";
+import { useRevealedPaste } from "./lib/pasteLoader.js";
+
+/** Plain text of a paste for diffing; bundles are flattened file by file. */
+function diffText(content) {
+  const bundle = parseBundle(content);
+  if (bundle) {
+    return bundle.files.map((f) => `=== ${f.name} ===\n${f.content}`).join("\n");
+  }
+  return content;
+}
+
+// Why one side can't be compared, or null.
+function sideError(id, side, t, errorText) {
+  if (side.phase === "error" || side.lock === "key") return errorText(side.error);
+  if (side.lock === "password") return t("diff.password", { id });
+  if (side.lock === "passphrase") return t("diff.passphrase", { id });
+  return null;
+}
+
+function Words({ line, fallback }) {
+  if (!line) return null;
+  if (!line.words) return line.text || fallback;
+  return line.words.map((w, i) =>
+    w.changed ? (
+      <mark key={i} className="diff-word">
+        {w.text}
+      </mark>
+    ) : (
+      <span key={i}>{w.text}</span>
+    )
+  );
+}
+
+export default function DiffView() {
+  const { a, b } = useParams();
+  const { hash } = useLocation();
+  const keys = useMemo(() => new URLSearchParams(hash.replace(/^#/, "")), [hash]);
+  const { t, error: errorText } = useI18n();
+
+  const [mode, setMode] = useState("split"); // split | unified
+
+  // Each side reveals on its own when it has no view budget; the rest share one confirmation.
+  const sideA = useRevealedPaste(a, keys.get("ka"));
+  const sideB = useRevealedPaste(b, keys.get("kb"));
+  const sides = [sideA, sideB];
+  const error = sideError(a, sideA, t, errorText) || sideError(b, sideB, t, errorText);
+  let phase = "loading"; // checking | confirm | loading | ready | error
+  if (error) phase = "error";
+  else if (sides.some((s) => s.phase === "checking")) phase = "checking";
+  else if (sides.some((s) => s.phase === "confirm")) phase = "confirm";
+  else if (sides.every((s) => s.phase === "ready")) phase = "ready";
+
+  function compare() {
+    for (const s of sides) if (s.phase === "confirm") s.reveal();
+  }
+
+  const texts = useMemo(
+    () => (sideA.content != null && sideB.content != null ? [diffText(sideA.content), diffText(sideB.content)] : null),
+    [sideA.content, sideB.content]
+  );
+  const diff = useMemo(() => (texts ? diffLines(texts[0], texts[1]) : null), [texts]);
+  const rows = useMemo(() => (diff && mode === "split" ? toRows(diff.blocks) : null), [diff, mode]);
+  const hunks = useMemo(() => (diff && mode === "unified" ? toHunks(diff.blocks) : null), [diff, mode]);
+
+  const viewsNote = (id, meta) => {
+    const left = api.remainingViews(meta);
+    if (!meta) return t("diff.budgetUnknown", { id });
+    return left == null ? t("diff.noLimit", { id }) : t("diff.viewsLeft", { id, count: left });
+  };
+
+  return (
+    <div className="app-container">
+      <div className="app-header">
+        <h1 className="app-title">{t("app.title")}</h1>
+        <p className="app-subtitle">{t("diff.subtitle")}</p>
+      </div>
+
+      <div className="main-content">
+        <div className="card">
+          <div className="card-title" style={{ justifyContent: "space-between", alignItems: "center" }}>
+            <span>
+              🔀 <Link to={`/p/${encodeURIComponent(a)}`}>{a}</Link> → <Link to={`/p/${encodeURIComponent(b)}`}>{b}</Link>
+            </span>
+            <Link to="/" className="secondary" style={{ textDecoration: "none", padding: "0.5rem 1rem", borderRadius: "6px", fontSize: "0.875rem", border: "1px solid var(--border-medium)", backgroundColor: "var(--bg-secondary)" }}>
+              {t("common.backHome")}
+            </Link>
+          </div>
+
+          {(phase === "checking" || phase === "loading") && (
+            <div style={{ textAlign: "center", padding: "2rem" }}>
+              <span className="loading-spinner" style={{ width: "24px", height: "24px" }}></span>
+              <p style={{ marginTop: "1rem", color: "var(--text-secondary)" }}>
+                {phase === "checking" ? t("diff.checking") : t("diff.loading")}
+              </p>
+            </div>
+          )}
+
+          {phase === "confirm" && (
+            <div className="status-message status-warning" role="dialog" aria-label={t("diff.confirmLabel")}>
+              {t("diff.confirm")}
+              <ul style={{ margin: "0.5rem 0" }}>
+                <li>{viewsNote(a, sideA.meta)}</li>
+                <li>{viewsNote(b, sideB.meta)}</li>
+              </ul>
+              <button className="primary" onClick={compare} autoFocus>
+                {t("diff.compare")}
+              </button>
+            </div>
+          )}
+
+          {phase === "error" && (
+            <div className="status-message status-error">
+              <strong>{t("common.error")}</strong> {error}
+            </div>
+          )}
+
+          {phase === "ready" && diff && (
+            <>
+              <div className="paste-actions" style={{ justifyContent: "space-between", marginBottom: "0.75rem" }}>
+                <span>
+                  <span className="diff-stat-add">+{diff.added}</span>{" "}
+                  <span className="diff-stat-del">−{diff.removed}</span>
+                </span>
+                <span className="preset-group" role="radiogroup" aria-label={t("diff.layout")}>
+                  {[
+                    ["split", t("diff.split")],
+                    ["unified", t("diff.unified")],
+                  ].map(([value, label]) => (
+                    <button
+                      key={value}
+                      role="radio"
+                      aria-checked={mode === value}
+                      className={`preset${mode === value ? " active" : ""}`}
+                      onClick={() => setMode(value)}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </span>
+              </div>
+
+              {diff.added === 0 && diff.removed === 0 ? (
+                <div className="status-message status-info">{t("diff.identical")}</div>
+              ) : mode === "split" ? (
+                <div className="paste-content diff-view">
+                  <table className="diff-table diff-split">
+                    <tbody>
+                      {rows.map((r, i) => (
+                        <tr key={i} className={r.type === "equal" ? "" : "diff-change"}>
+                          <td className="line-number">{r.left?.aNo}</td>
+                          <td className={r.type === "change" && r.left ? "diff-del" : r.left ? "" : "diff-empty"}>
+                            <Words line={r.left} fallback={" "} />
+                          </td>
+                          <td className="line-number">{r.right?.bNo}</td>
+                          <td className={r.type === "change" && r.right ? "diff-add" : r.right ? "" : "diff-empty"}>
+                            <Words line={r.right} fallback={" "} />
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <div className="paste-content diff-view">
+                  <table className="diff-table">
+                    <tbody>
+                      {hunks.map((h, hi) => [
+                        <tr key={`h${hi}`} className="diff-hunk">
+                          <td colSpan={3}>{h.header}</td>
+                        </tr>,
+                        ...h.lines.map((l, li) => (
+                          <tr key={`${hi}-${li}`}>
+                            <td className="line-number">{l.aNo != null && l.type !== "+" ? l.aNo : ""}</td>
+                            <td className="line-number">{l.bNo != null && l.type !== "-" ? l.bNo : ""}</td>
+                            <td className={l.type === "-" ? "diff-del" : l.type === "+" ? "diff-add" : ""}>
+                              {l.type}
+                              <Words line={l} fallback="" />
+                            </td>
+                          </tr>
+                        )),
+                      ])}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+import { useState } from "react";
+import { keyFromHash } from "./lib/crypto.js";
+import { embedUrl, iframeSnippet, rawUrl, scriptSnippet } from "./lib/embed.js";
+import { useI18n } from "./lib/i18n.js";
+
+/**
+ * Copy-able embed snippets for a paste. `hash` is the paste page's fragment;
+ * a #k= key is carried into the embed URL so encrypted pastes still render.
+ */
+export default function EmbedPanel({ id, hash, limited }) {
+  const { t } = useI18n();
+  const [copied, setCopied] = useState("");
+  const origin = window.location.origin;
+  const src = embedUrl(origin, id, hash);
+  const hasKey = !!keyFromHash(hash);
+  const snippets = [
+    { kind: "iframe", label: t("embed.iframe"), code: iframeSnippet(src, { title: t("embed.title", { id }) }) },
+    { kind: "script", label: t("embed.script"), code: scriptSnippet(origin, src) },
+  ];
+
+  async function copy(kind, code) {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopied(kind);
+      setTimeout(() => setCopied(""), 2000);
+    } catch {
+      window.prompt(t("share.copyPrompt"), code);
+    }
+  }
+
+  return (
+    <div className="embed-panel">
+      {snippets.map(({ kind, label, code }) => (
+        <div key={kind} className="form-group">
+          <label htmlFor={`embed-${kind}`}>{label}</label>
+          <div className="share-url">
+            <textarea id={`embed-${kind}`} value={code} readOnly rows={2} dir="ltr" onFocus={(e) => e.target.select()} />
+            <button type="button" className="secondary" onClick={() => copy(kind, code)}>
+              {copied === kind ? `✓ ${t("share.copied")}` : `📋 ${t("embed.copy")}`}
+            </button>
+          </div>
+        </div>
+      ))}
+      {limited && <p className="field-hint">{t("embed.limitedNote")}</p>}
+      {hasKey && <p className="field-hint">{t("embed.keyNote")}</p>}
+      <p className="field-hint">
+        <a href={rawUrl(origin, id, hash)} target="_blank" rel="noopener noreferrer">
+          {t("embed.raw")} ↗
+        </a>
+      </p>
+    </div>
+  );
+}
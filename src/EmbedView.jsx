@@ -0,0 +1,117 @@
+import { useEffect, useRef } from "react";
+import { useLocation, useParams } from "react-router-dom";
+import "./App.css";
+import * as api from "./lib/api.js";
+import { keyFromHash } from "./lib/crypto.js";
+import { EMBED_HEIGHT_MESSAGE } from "./lib/embed.js";
+import { useI18n } from "./lib/i18n.js";
+import { errorSubtitleKey, useRevealedPaste } from "./lib/pasteLoader.js";
+import CodeView from "./CodeView.jsx";
+import MarkdownView from "./MarkdownView.jsx";
+
+/**
+ * Everything but the paste itself, for the minimal views: spinner, reveal
+ * prompt for view-limited pastes, encrypted and error notices. `fullUrl`
+ * opens the regular paste page in a new tab.
+ */
+export function PasteGate({ loader, fullUrl }) {
+  const i18n = useI18n();
+  const { t, rich } = i18n;
+  const { phase, meta, error, reveal } = loader;
+
+  if (phase === "checking" || phase === "loading") {
+    return (
+      <div className="embed-notice" role="status">
+        <span className="loading-spinner"></span> {t("paste.loading")}
+      </div>
+    );
+  }
+
+  if (phase === "confirm") {
+    const left = api.remainingViews(meta);
+    return (
+      <div className="embed-notice">
+        <p>
+          {left != null
+            ? rich("reveal.viewsLeft", { count: left, n: <strong>{i18n.number(left)}</strong> })
+            : t("reveal.unknown")}
+        </p>
+        <button type="button" className="primary" onClick={reveal}>
+          {t("reveal.submit")}
+        </button>
+      </div>
+    );
+  }
+
+  if (phase === "locked") {
+    return (
+      <div className="embed-notice">
+        <p>🔒 {t("embed.locked")}</p>
+        <a href={fullUrl} target="_blank" rel="noopener noreferrer">
+          {t("embed.open")} ↗
+        </a>
+      </div>
+    );
+  }
+
+  if (phase === "error") {
+    return (
+      <div className="status-message status-error">
+        <strong>{t(errorSubtitleKey(error))}</strong>
+        {error.message && ` — ${i18n.error(error)}`}
+      </div>
+    );
+  }
+
+  return null;
+}
+
+/** Reports the embed's height to the embedding page (public/embed.js resizes the iframe). */
+function useReportHeight(ref) {
+  useEffect(() => {
+    if (window.parent === window || !ref.current) return;
+    const el = ref.current;
+    const post = () => window.parent.postMessage({ type: EMBED_HEIGHT_MESSAGE, height: el.offsetHeight }, "*");
+    const ro = new ResizeObserver(post);
+    ro.observe(el);
+    return () => ro.disconnect();
+  }, [ref]);
+}
+
+/** /embed/:id — the paste alone, sized for an iframe, with a link to the full view. */
+export default function EmbedView() {
+  const { id } = useParams();
+  const { hash } = useLocation();
+  const { t } = useI18n();
+  const loader = useRevealedPaste(id, keyFromHash(hash));
+  const { phase, files } = loader;
+  const ref = useRef(null);
+  useReportHeight(ref);
+
+  const fullUrl = `/p/${encodeURIComponent(id)}${hash}`;
+
+  return (
+    <div className="embed" ref={ref}>
+      <div className="embed-header">
+        <span className="embed-title">{files?.length === 1 ? files[0].name : t("embed.title", { id })}</span>
+        <a href={fullUrl} target="_blank" rel="noopener noreferrer">
+          {t("app.title")} ↗
+        </a>
+      </div>
+      {phase === "ready" ? (
+        files.map((f, i) => (
+          <div key={i} className="embed-file">
+            {files.length > 1 && <div className="embed-file-name">📄 {f.name}</div>}
+            {f.language === "markdown" ? (
+              <MarkdownView content={f.content} />
+            ) : (
+              <CodeView content={f.content} language={f.language} />
+            )}
+          </div>
+        ))
+      ) : (
+        <PasteGate loader={loader} fullUrl={fullUrl} />
+      )}
+    </div>
+  );
+}
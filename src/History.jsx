@@ -0,0 +1,212 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { Link } from "react-router-dom";
+import "./App.css";
+import {
+  deleteHistoryEntry,
+  expiresAt,
+  exportHistory,
+  importHistory,
+  listHistory,
+} from "./lib/history.js";
+import { languageLabel } from "./lib/highlight.js";
+import { downloadBlob } from "./lib/files.js";
+import { useNow } from "./lib/time.js";
+import { useI18n } from "./lib/i18n.js";
+
+const SORTS = {
+  newest: (a, b) => b.created_at - a.created_at,
+  oldest: (a, b) => a.created_at - b.created_at,
+  expiring: (a, b) => (expiresAt(a) ?? Infinity) - (expiresAt(b) ?? Infinity),
+};
+
+export default function History() {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // The thrown error; rendered with i18n.error() so it follows the UI language.
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState("");
+  const [query, setQuery] = useState("");
+  const [sort, setSort] = useState("newest");
+  const fileRef = useRef(null);
+  const now = useNow(1000);
+  const i18n = useI18n();
+  const { t } = i18n;
+
+  useEffect(() => {
+    let cancelled = false;
+    listHistory()
+      .then((list) => {
+        if (!cancelled) setEntries(list);
+      })
+      .catch((e) => {
+        if (!cancelled) setError(e);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const visible = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    const list = q
+      ? entries.filter(
+          (e) =>
+            e.id.toLowerCase().includes(q) ||
+            e.preview.toLowerCase().includes(q) ||
+            (e.language || "").toLowerCase().includes(q)
+        )
+      : entries.slice();
+    return list.sort(SORTS[sort]);
+  }, [entries, query, sort]);
+
+  async function remove(id) {
+    setError(null);
+    try {
+      await deleteHistoryEntry(id);
+      setEntries((list) => list.filter((e) => e.id !== id));
+    } catch (e) {
+      setError(e);
+    }
+  }
+
+  async function doExport() {
+    setError(null);
+    try {
+      const blob = new Blob([await exportHistory()], { type: "application/json" });
+      downloadBlob(blob, "pastebin-lite-history.json");
+    } catch (e) {
+      setError(e);
+    }
+  }
+
+  async function doImport(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setError(null);
+    setNotice("");
+    try {
+      const n = await importHistory(await file.text());
+      setNotice(t("history.imported", { count: n }));
+      setEntries(await listHistory());
+    } catch (err) {
+      setError(err);
+    }
+  }
+
+  return (
+    <div className="app-container">
+      <div className="app-header">
+        <h1 className="app-title">{t("app.title")}</h1>
+        <p className="app-subtitle">{t("history.subtitle")}</p>
+      </div>
+
+      <div className="main-content">
+        <div className="card">
+          <div className="card-title" style={{ justifyContent: "space-between", alignItems: "center" }}>
+            <span>📜 {t("history.title")}</span>
+            <Link to="/" className="secondary" style={{ textDecoration: "none", padding: "0.5rem 1rem", borderRadius: "6px", fontSize: "0.875rem", border: "1px solid var(--border-medium)", backgroundColor: "var(--bg-secondary)" }}>
+              {t("common.backHome")}
+            </Link>
+          </div>
+
+          <div className="history-toolbar">
+            <input
+              type="search"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder={t("history.search.placeholder")}
+              aria-label={t("history.search")}
+              data-search-input
+            />
+            <select value={sort} onChange={(e) => setSort(e.target.value)} aria-label={t("history.sort")}>
+              <option value="newest">{t("history.sort.newest")}</option>
+              <option value="oldest">{t("history.sort.oldest")}</option>
+              <option value="expiring">{t("history.sort.expiring")}</option>
+            </select>
+            <button className="secondary" onClick={doExport} disabled={!entries.length}>
+              ⬇️ {t("history.export")}
+            </button>
+            <button className="secondary" onClick={() => fileRef.current?.click()}>
+              ⬆️ {t("history.import")}
+            </button>
+            <input
+              ref={fileRef}
+              type="file"
+              accept="application/json,.json"
+              onChange={doImport}
+              style={{ display: "none" }}
+            />
+          </div>
+
+          {error && (
+            <div className="status-message status-error">
+              <strong>{t("common.error")}</strong> {i18n.error(error)}
+            </div>
+          )}
+          {notice && <div className="status-message status-success">{notice}</div>}
+
+          {loading ? (
+            <p style={{ color: "var(--text-secondary)" }}>{t("history.loading")}</p>
+          ) : visible.length === 0 ? (
+            <p className="tip-text">
+              {entries.length ? t("history.noMatches") : t("history.empty")}
+            </p>
+          ) : (
+            <ul className="history-list">
+              {visible.map((e) => {
+                const exp = expiresAt(e);
+                const expired = exp != null && exp <= now;
+                return (
+                  <li key={e.id} className={`history-item${expired ? " expired" : ""}`}>
+                    <div className="history-item-main">
+                      <div className="history-item-head">
+                        {expired ? (
+                          <code>{e.id}</code>
+                        ) : (
+                          <Link to={e.url}>
+                            <code>{e.id}</code>
+                          </Link>
+                        )}
+                        {e.language && (
+                          <span className="badge">{e.language === "bundle" ? t("history.multiFile") : languageLabel(e.language, t)}</span>
+                        )}
+                        {expired ? (
+                          <span className="badge badge-error">{t("history.expired")}</span>
+                        ) : exp != null ? (
+                          <span className="badge badge-warning" title={i18n.date(exp)}>
+                            {t("history.expiresIn", { time: i18n.duration(exp - now) })}
+                          </span>
+                        ) : (
+                          <span className="badge">{t("history.noExpiry")}</span>
+                        )}
+                        {e.max_views && <span className="badge">{t("history.maxViews", { count: e.max_views })}</span>}
+                      </div>
+                      <div className="history-preview" dir="auto">
+                        {e.preview || <em>{t("common.empty")}</em>}
+                      </div>
+                      <div className="history-date" title={i18n.date(e.created_at)}>
+                        {t("history.created", { when: i18n.relative(e.created_at, now) })}
+                      </div>
+                    </div>
+                    <button
+                      className="secondary"
+                      onClick={() => remove(e.id)}
+                      title={t("history.remove.title")}
+                      aria-label={t("history.remove", { id: e.id })}
+                    >
+                      🗑️
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
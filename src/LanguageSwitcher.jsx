@@ -0,0 +1,39 @@
+import { useEffect, useMemo } from "react";
+import { I18nContext, LOCALES, createI18n, resolveLocale, useI18n } from "./lib/i18n.js";
+import { usePrefs } from "./lib/prefs.js";
+
+/** Provides translations for the language chosen in preferences and sets <html lang dir>. */
+export function I18nProvider({ children }) {
+  const { prefs } = usePrefs();
+  const code = resolveLocale(prefs.locale);
+  const i18n = useMemo(() => createI18n(code), [code]);
+
+  useEffect(() => {
+    document.documentElement.lang = i18n.locale;
+    document.documentElement.dir = i18n.dir;
+  }, [i18n]);
+
+  return <I18nContext.Provider value={i18n}>{children}</I18nContext.Provider>;
+}
+
+/** UI language picker; "Automatic" follows the browser's language list. */
+export function LanguageSwitcher({ id = "language-switcher", className }) {
+  const { t } = useI18n();
+  const { prefs, updatePrefs } = usePrefs();
+  return (
+    <select
+      id={id}
+      className={className}
+      value={prefs.locale}
+      onChange={(e) => updatePrefs({ locale: e.target.value })}
+      aria-label={t("prefs.language")}
+    >
+      <option value="">{t("prefs.language.auto")}</option>
+      {LOCALES.map((l) => (
+        <option key={l.code} value={l.code} lang={l.code}>
+          {l.label}
+        </option>
+      ))}
+    </select>
+  );
+}
@@ -0,0 +1,8 @@
+import { useMemo } from "react";
+import { renderMarkdown } from "./lib/markdown.js";
+
+/** Rendered (and sanitized) Markdown paste. */
+export default function MarkdownView({ content }) {
+  const html = useMemo(() => renderMarkdown(content), [content]);
+  return <div className="paste-content markdown-body" dangerouslySetInnerHTML={{ __html: html }} />;
+}
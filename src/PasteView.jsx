@@ -1,66 +1,131 @@
-import { useState, useEffect } from "react";
-import { useParams, Link } from "react-router-dom";
+import { useState, useMemo } from "react";
+import { useParams, useLocation, useNavigate, Link } from "react-router-dom";
 import "./App.css";
+import * as api from "./lib/api.js";
+import { keyFromHash } from "./lib/crypto.js";
+import { parseLineRange, withLineRange } from "./lib/highlight.js";
+import { useNow } from "./lib/time.js";
+import { parseBundle } from "./lib/bundle.js";
+import { downloadBlob, formatBytes } from "./lib/files.js";
+import { createZip } from "./lib/zip.js";
+import { useCommands } from "./lib/commands.js";
+import { useI18n } from "./lib/i18n.js";
+import { errorSubtitleKey, useRevealedPaste } from "./lib/pasteLoader.js";
+import { oembedUrl } from "./lib/embed.js";
+import CodeView from "./CodeView.jsx";
+import EmbedPanel from "./EmbedPanel.jsx";
+import MarkdownView from "./MarkdownView.jsx";
+import UnlockForm from "./UnlockForm.jsx";
 
-const API_BASE = "";
+export default function PasteView() {
+  const { id } = useParams();
+  const i18n = useI18n();
+  const { t, rich } = i18n;
+  // End-to-end encrypted pastes: plaintext only ever exists in this component
+  // tree. Viewing spends one of the paste's views, so the loader asks first.
+  const { hash } = useLocation();
+  const navigate = useNavigate();
+  const linkKey = keyFromHash(hash);
+  const { phase, lock, meta, paste, encrypted, content, error, progress, reveal, unlock } =
+    useRevealedPaste(id, linkKey);
+
+  // Expiry is judged on the server's clock (see api.clockOffset).
+  const now = useNow(1000);
+  const expiresAt = api.pasteExpiresAt(paste);
+  const msLeft = expiresAt == null ? null : expiresAt - (now + api.clockOffset());
+  const expired = msLeft != null && msLeft <= 0;
+  const viewsLeft = api.remainingViews(paste);
+
+  // Multi-file bundles show one file at a time; plain pastes are a bundle of one.
+  const bundle = useMemo(() => parseBundle(content), [content]);
+  const [activeIdx, setActiveIdx] = useState(0);
+  const shown = bundle
+    ? bundle.files[Math.min(activeIdx, bundle.files.length - 1)]
+    : { name: paste?.filename || `paste-${paste?.id}.txt`, content, language: paste?.language };
+
+  const isMarkdown = shown.language === "markdown";
+  const [showRaw, setShowRaw] = useState(false);
+  const [showEmbed, setShowEmbed] = useState(false);
 
-async function safeJsonResponse(resp) {
-  const text = await resp.text();
-  try {
-    return { json: JSON.parse(text), text };
-  } catch {
-    return { json: null, text };
+  const selectedLines = useMemo(() => parseLineRange(hash), [hash]);
+
+  function selectLines(range) {
+    navigate({ hash: withLineRange(hash, range) }, { replace: true });
   }
-}
 
-export default function PasteView() {
-  const { id } = useParams();
-  const [paste, setPaste] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState("");
-
-  useEffect(() => {
-    async function fetchPaste() {
-      if (!id) {
-        setError("No paste ID provided");
-        setLoading(false);
-        return;
-      }
-
-      try {
-        const r = await fetch(`${API_BASE}/api/pastes/${encodeURIComponent(id)}`, { method: "GET" });
-        const { json, text } = await safeJsonResponse(r);
-
-        if (!r.ok) {
-          throw new Error(json?.error || `HTTP ${r.status} - ${text?.slice(0, 140) || "Not found"}`);
-        }
-        if (!json) {
-          throw new Error(`Non-JSON response (HTTP ${r.status}).`);
-        }
-
-        setPaste(json);
-      } catch (e) {
-        setError(String(e.message || e));
-      } finally {
-        setLoading(false);
-      }
+  // Opens the Create form prefilled with this paste; App reads location.state.fork.
+  function forkPaste() {
+    const fork = { parentId: paste.id, encrypted };
+    if (bundle) {
+      fork.files = bundle.files.map(({ name, content }) => ({ name, content }));
+    } else {
+      fork.content = content;
+      fork.language = paste.language || "";
+      fork.filename = paste.filename || "";
     }
+    navigate("/", { state: { fork } });
+  }
 
-    fetchPaste();
-  }, [id]);
+  function selectFile(i) {
+    setActiveIdx(i);
+    // Line anchors refer to the file they were made on.
+    if (selectedLines) selectLines(null);
+  }
+
+  function downloadShown() {
+    downloadBlob(new Blob([shown.content], { type: "text/plain" }), shown.name);
+  }
+
+  useCommands([
+    {
+      id: "copy-url",
+      title: t("cmd.copyLink"),
+      section: t("cmd.section.paste"),
+      shortcut: "y",
+      // The full href keeps the #k= decryption key.
+      run: () => navigator.clipboard?.writeText(window.location.href),
+    },
+    {
+      id: "copy-content",
+      title: t("cmd.copyContent"),
+      section: t("cmd.section.paste"),
+      disabled: !content,
+      run: () => navigator.clipboard?.writeText(shown.content),
+    },
+    { id: "download", title: t("cmd.download"), section: t("cmd.section.paste"), disabled: !content, run: downloadShown },
+    {
+      id: "toggle-raw",
+      title: showRaw ? t("cmd.showRendered") : t("cmd.showRaw"),
+      section: t("cmd.section.paste"),
+      disabled: !content || !isMarkdown,
+      run: () => setShowRaw((v) => !v),
+    },
+    { id: "fork", title: t("cmd.fork"), section: t("cmd.section.paste"), disabled: !content, run: forkPaste },
+  ]);
 
-  if (loading) {
+  if (phase === "checking" || phase === "loading") {
     return (
       <div className="app-container">
         <div className="app-header">
-          <h1 className="app-title">Pastebin Lite</h1>
-          <p className="app-subtitle">Loading paste...</p>
+          <h1 className="app-title">{t("app.title")}</h1>
+          <p className="app-subtitle">{t("paste.loading")}</p>
         </div>
         <div className="main-content">
           <div className="card">
             <div style={{ textAlign: "center", padding: "2rem" }}>
               <span className="loading-spinner" style={{ width: "24px", height: "24px" }}></span>
-              <p style={{ marginTop: "1rem", color: "var(--text-secondary)" }}>Loading paste...</p>
+              <p style={{ marginTop: "1rem", color: "var(--text-secondary)" }}>
+                {t("paste.loading")}
+                {progress?.loaded > 0 &&
+                  ` ${
+                    progress.total
+                      ? t("paste.loadedOf", { loaded: formatBytes(progress.loaded), total: formatBytes(progress.total) })
+                      : formatBytes(progress.loaded)
+                  }`}
+              </p>
+              {progress?.total > 0 && (
+                <progress className="load-progress" value={progress.loaded} max={progress.total} />
+              )}
             </div>
           </div>
         </div>
@@ -68,21 +133,92 @@ export default function PasteView() {
     );
   }
 
-  if (error) {
+  if (phase === "error" || expired) {
     return (
       <div className="app-container">
         <div className="app-header">
-          <h1 className="app-title">Pastebin Lite</h1>
-          <p className="app-subtitle">Paste not found</p>
+          <h1 className="app-title">{t("app.title")}</h1>
+          <p className="app-subtitle">{t(expired ? "paste.error.expired" : errorSubtitleKey(error))}</p>
         </div>
         <div className="main-content">
           <div className="card">
             <div className="status-message status-error">
-              <strong>Error:</strong> {error}
+              {expired ? (
+                <>{t("paste.expiredDetail")}</>
+              ) : (
+                <>
+                  <strong>{t("common.error")}</strong> {i18n.error(error)}
+                </>
+              )}
             </div>
             <div style={{ marginTop: "1.5rem", textAlign: "center" }}>
               <Link to="/" className="primary" style={{ textDecoration: "none", padding: "0.75rem 1.5rem", borderRadius: "8px", backgroundColor: "var(--accent-primary)", color: "white", display: "inline-block" }}>
-                ← Back to Home
+                {t("common.backHome")}
+              </Link>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (phase === "confirm") {
+    const left = api.remainingViews(meta);
+    return (
+      <div className="app-container">
+        <div className="app-header">
+          <h1 className="app-title">{t("app.title")}</h1>
+          <p className="app-subtitle">{t("reveal.subtitle")}</p>
+        </div>
+        <div className="main-content">
+          <div className="card" role="dialog" aria-labelledby="reveal-title">
+            <h3 className="card-title" id="reveal-title">👁️ {t("reveal.title")}</h3>
+            <p>
+              {left != null ? (
+                <>
+                  {rich("reveal.viewsLeft", { count: left, n: <strong>{i18n.number(left)}</strong> })}
+                  {left === 1 && ` ${t("reveal.lastView")}`}
+                </>
+              ) : (
+                t("reveal.unknown")
+              )}
+            </p>
+            <div className="button-group">
+              <button className="primary" onClick={reveal} autoFocus>
+                {t("reveal.submit")}
+              </button>
+              <Link to="/" className="secondary" style={{ textDecoration: "none", padding: "0.75rem 1.5rem", borderRadius: "8px", border: "1px solid var(--border-medium)", backgroundColor: "var(--bg-secondary)" }}>
+                {t("common.cancel")}
+              </Link>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // Server-side password, or content encrypted with a passphrase: either way
+  // nothing is shown until it's unlocked. A missing link key shows the details.
+  if (lock === "password" || lock === "passphrase") {
+    const left = lock === "password" ? api.remainingViews(meta) : null;
+    return (
+      <div className="app-container">
+        <div className="app-header">
+          <h1 className="app-title">{t("app.title")}</h1>
+          <p className="app-subtitle">{t("unlock.subtitle")}</p>
+        </div>
+        <div className="main-content">
+          <div className="card" role="dialog" aria-labelledby="unlock-title">
+            <h3 className="card-title" id="unlock-title">🔒 {t("unlock.title")}</h3>
+            <UnlockForm
+              key={lock}
+              id="unlock-password"
+              onUnlock={unlock}
+              note={left != null ? t("unlock.viewNote", { count: left }) : null}
+            />
+            <div className="button-group">
+              <Link to="/" className="secondary" style={{ textDecoration: "none", padding: "0.75rem 1.5rem", borderRadius: "8px", border: "1px solid var(--border-medium)", backgroundColor: "var(--bg-secondary)" }}>
+                {t("common.cancel")}
               </Link>
             </div>
           </div>
@@ -93,82 +229,187 @@ export default function PasteView() {
 
   return (
     <div className="app-container">
+      {/* oEmbed discovery; the URL leaves out the fragment so a #k= key never reaches the server. */}
+      <link
+        rel="alternate"
+        type="application/json+oembed"
+        href={oembedUrl(window.location.origin, `${window.location.origin}/p/${encodeURIComponent(paste.id)}`)}
+        title={t("embed.title", { id: paste.id })}
+      />
       <div className="app-header">
-        <h1 className="app-title">Pastebin Lite</h1>
-        <p className="app-subtitle">Viewing paste</p>
+        <h1 className="app-title">{t("app.title")}</h1>
+        <p className="app-subtitle">{t("paste.viewing")}</p>
       </div>
       
       <div className="main-content">
         <div className="card">
           <div className="card-title" style={{ justifyContent: "space-between", alignItems: "center" }}>
-            <span>📄 Paste Details</span>
+            <span>📄 {t("paste.details")}</span>
             <Link to="/" className="secondary" style={{ textDecoration: "none", padding: "0.5rem 1rem", borderRadius: "6px", fontSize: "0.875rem", border: "1px solid var(--border-medium)", backgroundColor: "var(--bg-secondary)" }}>
-              ← Back to Home
+              {t("common.backHome")}
             </Link>
           </div>
 
           <div className="paste-result">
             <div className="paste-meta">
               <div className="paste-meta-item">
-                <span className="paste-meta-label">ID:</span>
+                <span className="paste-meta-label">{t("paste.id")}</span>
                 <code className="paste-meta-value">{paste.id}</code>
               </div>
+              {paste.parent_id && (
+                <div className="paste-meta-item">
+                  <span className="paste-meta-label">{t("paste.forkedFrom")}</span>
+                  <span className="paste-meta-value">
+                    <Link to={`/p/${encodeURIComponent(paste.parent_id)}`}>{paste.parent_id}</Link>
+                    {" · "}
+                    <Link
+                      to={`/diff/${encodeURIComponent(paste.parent_id)}/${encodeURIComponent(paste.id)}${
+                        linkKey ? `#kb=${linkKey}` : ""
+                      }`}
+                    >
+                      {t("paste.compare")}
+                    </Link>
+                  </span>
+                </div>
+              )}
+              {paste.filename && (
+                <div className="paste-meta-item">
+                  <span className="paste-meta-label">{t("paste.file")}</span>
+                  <span className="paste-meta-value">{paste.filename}</span>
+                </div>
+              )}
               {paste.created_at && (
                 <div className="paste-meta-item">
-                  <span className="paste-meta-label">Created:</span>
-                  <span className="paste-meta-value">{new Date(paste.created_at).toLocaleString()}</span>
+                  <span className="paste-meta-label">{t("paste.created")}</span>
+                  <span className="paste-meta-value" title={i18n.date(paste.created_at)}>
+                    {i18n.relative(paste.created_at, now + api.clockOffset())}
+                  </span>
                 </div>
               )}
               {paste.ttl_seconds && (
                 <div className="paste-meta-item">
-                  <span className="paste-meta-label">TTL:</span>
-                  <span className="paste-meta-value">{paste.ttl_seconds} seconds</span>
+                  <span className="paste-meta-label">{t("paste.ttl")}</span>
+                  <span className="paste-meta-value">{i18n.duration(paste.ttl_seconds * 1000, { long: true })}</span>
+                </div>
+              )}
+              {msLeft != null && (
+                <div className="paste-meta-item">
+                  <span className="paste-meta-label">{t("paste.expiresIn")}</span>
+                  <span
+                    className={`paste-meta-value countdown${msLeft < 60000 ? " countdown-urgent" : ""}`}
+                    role="timer"
+                    title={i18n.date(expiresAt)}
+                  >
+                    {i18n.duration(msLeft)}
+                  </span>
                 </div>
               )}
               {paste.max_views && (
                 <div className="paste-meta-item">
-                  <span className="paste-meta-label">Max Views:</span>
-                  <span className="paste-meta-value">{paste.max_views}</span>
+                  <span className="paste-meta-label">{t("paste.maxViews")}</span>
+                  <span className="paste-meta-value">{i18n.number(paste.max_views)}</span>
                 </div>
               )}
               {paste.views !== undefined && (
                 <div className="paste-meta-item">
-                  <span className="paste-meta-label">Views:</span>
-                  <span className="paste-meta-value">{paste.views}</span>
+                  <span className="paste-meta-label">{t("paste.views")}</span>
+                  <span className="paste-meta-value">{i18n.number(paste.views)}</span>
+                </div>
+              )}
+              {viewsLeft != null && (
+                <div className="paste-meta-item">
+                  <span className="paste-meta-label">{t("paste.viewsLeft")}</span>
+                  <span className={`badge${viewsLeft === 0 ? " badge-error" : viewsLeft <= 1 ? " badge-warning" : ""}`}>
+                    {viewsLeft === 0 ? t("paste.lastView") : t("paste.viewsLeftBadge", { count: viewsLeft })}
+                  </span>
                 </div>
               )}
             </div>
 
-            {paste.content && (
+            {lock === "key" && (
+              <div className="status-message status-error">
+                <strong>{t("unlock.cannotDecrypt")}</strong> {i18n.error(error)}
+              </div>
+            )}
+
+            {content && (
               <>
+                {bundle && (
+                  <div className="file-tabs" role="tablist" aria-label={t("files.tabsLabel")}>
+                    {bundle.files.map((f, i) => (
+                      <div key={i} className={`file-tab${f === shown ? " active" : ""}`}>
+                        <button
+                          role="tab"
+                          aria-selected={f === shown}
+                          className="link-button"
+                          onClick={() => selectFile(i)}
+                        >
+                          📄 {f.name}
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
                 <div className="paste-actions">
                   <button 
-                    onClick={() => navigator.clipboard?.writeText(paste.content)}
+                    onClick={() => navigator.clipboard?.writeText(shown.content)}
                     className="secondary"
                     style={{ fontSize: "0.875rem" }}
                   >
-                    📋 Copy to Clipboard
+                    📋 {t(bundle ? "paste.copyFile" : "paste.copy")}
                   </button>
                   <button 
-                    onClick={() => {
-                      const blob = new Blob([paste.content], { type: 'text/plain' });
-                      const url = URL.createObjectURL(blob);
-                      const a = document.createElement('a');
-                      a.href = url;
-                      a.download = `paste-${paste.id}.txt`;
-                      a.click();
-                      URL.revokeObjectURL(url);
-                    }}
+                    onClick={downloadShown}
+                    className="secondary"
+                    style={{ fontSize: "0.875rem" }}
+                  >
+                    💾 {t(bundle ? "paste.downloadFile" : "paste.download")}
+                  </button>
+                  {bundle && (
+                    <button
+                      onClick={() => downloadBlob(createZip(bundle.files), `paste-${paste.id}.zip`)}
+                      className="secondary"
+                      style={{ fontSize: "0.875rem" }}
+                    >
+                      🗜️ {t("paste.downloadZip")}
+                    </button>
+                  )}
+                  {isMarkdown && (
+                    <button
+                      onClick={() => setShowRaw((v) => !v)}
+                      className="secondary"
+                      style={{ fontSize: "0.875rem" }}
+                      aria-pressed={showRaw}
+                    >
+                      {showRaw ? `📖 ${t("paste.rendered")}` : `📝 ${t("paste.raw")}`}
+                    </button>
+                  )}
+                  <button onClick={forkPaste} className="secondary" style={{ fontSize: "0.875rem" }}>
+                    🍴 {t("paste.fork")}
+                  </button>
+                  <button
+                    onClick={() => setShowEmbed((v) => !v)}
                     className="secondary"
                     style={{ fontSize: "0.875rem" }}
+                    aria-expanded={showEmbed}
                   >
-                    💾 Download
+                    🧩 {t("embed.button")}
                   </button>
                 </div>
+
+                {showEmbed && <EmbedPanel id={paste.id} hash={hash} limited={viewsLeft != null} />}
                 
-                <div className="paste-content">
-                  <pre>{paste.content}</pre>
-                </div>
+                {isMarkdown && !showRaw ? (
+                  <MarkdownView content={shown.content} />
+                ) : (
+                  <CodeView
+                    content={shown.content}
+                    language={shown.language}
+                    selected={selectedLines}
+                    onSelectRange={selectLines}
+                  />
+                )}
               </>
             )}
           </div>
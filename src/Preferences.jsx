@@ -0,0 +1,249 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import "./App.css";
+import {
+  DEFAULT_PREFS,
+  FONT_SIZES,
+  PREFS_KEY,
+  PrefsContext,
+  TAB_WIDTHS,
+  THEMES,
+  applyPrefs,
+  loadPrefs,
+  normalizePrefs,
+  savePrefs,
+  usePrefs,
+} from "./lib/prefs.js";
+import { TTL_PRESETS } from "./lib/time.js";
+import { SECRET_RULE_IDS, parseCustomRules } from "./lib/secrets.js";
+import { useI18n } from "./lib/i18n.js";
+import CodeView from "./CodeView.jsx";
+import { LanguageSwitcher } from "./LanguageSwitcher.jsx";
+
+const SAMPLE = `function greet(name) {
+\tif (!name) {
+\t\treturn "Hello, stranger! This line is long enough to show how wrapping behaves in the paste viewer.";
+\t}
+\treturn \`Hello, \${name}!\`;
+}`;
+
+/** Holds preferences for the whole app and keeps <html> in sync with them. */
+export function PrefsProvider({ children }) {
+  const [prefs, setPrefs] = useState(loadPrefs);
+
+  useEffect(() => {
+    applyPrefs(prefs);
+    savePrefs(prefs);
+  }, [prefs]);
+
+  // "System" follows OS theme changes while the page is open.
+  useEffect(() => {
+    if (prefs.theme !== "system" || typeof matchMedia !== "function") return;
+    const mq = matchMedia("(prefers-color-scheme: dark)");
+    const onChange = () => applyPrefs(prefs);
+    mq.addEventListener("change", onChange);
+    return () => mq.removeEventListener("change", onChange);
+  }, [prefs]);
+
+  // Changes made in another tab.
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key === PREFS_KEY) setPrefs(loadPrefs());
+    };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, []);
+
+  const updatePrefs = useCallback((patch) => setPrefs((p) => normalizePrefs({ ...p, ...patch })), []);
+  const resetPrefs = useCallback(() => setPrefs({ ...DEFAULT_PREFS }), []);
+  const value = useMemo(() => ({ prefs, updatePrefs, resetPrefs }), [prefs, updatePrefs, resetPrefs]);
+
+  return <PrefsContext.Provider value={value}>{children}</PrefsContext.Provider>;
+}
+
+function PresetGroup({ id, label, options, value, onChange }) {
+  return (
+    <div className="form-group">
+      <label id={`pref-${id}`}>{label}</label>
+      <div className="preset-group" role="radiogroup" aria-labelledby={`pref-${id}`}>
+        {options.map((o) => (
+          <button
+            key={o.value}
+            type="button"
+            role="radio"
+            aria-checked={value === o.value}
+            className={`preset${value === o.value ? " active" : ""}`}
+            onClick={() => onChange(o.value)}
+          >
+            {o.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/** /settings: theme, code display and Create-form defaults. Changes apply and save immediately. */
+export default function Preferences() {
+  const { prefs, updatePrefs, resetPrefs } = usePrefs();
+  const { t } = useI18n();
+  const mvInvalid = prefs.defaultMaxViews !== "" && !(Number(prefs.defaultMaxViews) > 0);
+  const customInvalid = parseCustomRules(prefs.secretCustomRules).invalid;
+  const rulesOff = prefs.secretRulesOff;
+
+  return (
+    <div className="app-container">
+      <div className="app-header">
+        <h1 className="app-title">{t("app.title")}</h1>
+        <p className="app-subtitle">{t("nav.preferences")}</p>
+      </div>
+
+      <div className="main-content">
+        <div className="card">
+          <div className="card-title" style={{ justifyContent: "space-between", alignItems: "center" }}>
+            <span>⚙️ {t("nav.preferences")}</span>
+            <Link to="/" className="secondary" style={{ textDecoration: "none", padding: "0.5rem 1rem", borderRadius: "6px", fontSize: "0.875rem", border: "1px solid var(--border-medium)", backgroundColor: "var(--bg-secondary)" }}>
+              {t("common.backHome")}
+            </Link>
+          </div>
+          <p className="field-hint" style={{ marginTop: 0 }}>
+            {t("prefs.savedLocally")}
+          </p>
+
+          <h4 style={{ margin: "1rem 0 0.5rem 0" }}>{t("prefs.appearance")}</h4>
+          <PresetGroup
+            id="theme"
+            label={t("prefs.theme")}
+            options={THEMES.map((th) => ({ value: th.value, label: t(`prefs.theme.${th.value}`) }))}
+            value={prefs.theme}
+            onChange={(theme) => updatePrefs({ theme })}
+          />
+
+          <div className="form-group">
+            <label htmlFor="pref-language">{t("prefs.language")}</label>
+            <LanguageSwitcher id="pref-language" />
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="pref-font-size">{t("prefs.fontSize")}</label>
+              <select
+                id="pref-font-size"
+                value={prefs.fontSize}
+                onChange={(e) => updatePrefs({ fontSize: Number(e.target.value) })}
+              >
+                {FONT_SIZES.map((n) => (
+                  <option key={n} value={n}>
+                    {t("prefs.px", { n })}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="pref-tab-width">{t("prefs.tabWidth")}</label>
+              <select
+                id="pref-tab-width"
+                value={prefs.tabWidth}
+                onChange={(e) => updatePrefs({ tabWidth: Number(e.target.value) })}
+              >
+                {TAB_WIDTHS.map((n) => (
+                  <option key={n} value={n}>
+                    {t("prefs.spaces", { count: n })}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label className="checkbox-label">
+              <input type="checkbox" checked={prefs.wrap} onChange={(e) => updatePrefs({ wrap: e.target.checked })} />
+              {t("prefs.wrap")}
+            </label>
+            <div className="field-hint">{t("prefs.wrap.hint")}</div>
+          </div>
+
+          <CodeView content={SAMPLE} language="javascript" />
+
+          <h4 style={{ margin: "1.5rem 0 0.5rem 0" }}>{t("prefs.defaults")}</h4>
+          <PresetGroup
+            id="ttl"
+            label={t("create.expiresAfter")}
+            options={TTL_PRESETS.filter((p) => p.value !== "custom").map((p) => ({ value: p.value, label: t(`ttl.${p.value}`) }))}
+            value={prefs.defaultTtl}
+            onChange={(defaultTtl) => updatePrefs({ defaultTtl })}
+          />
+          <div className="form-group">
+            <label htmlFor="pref-max-views">{t("prefs.maxViews")}</label>
+            <input
+              id="pref-max-views"
+              inputMode="numeric"
+              value={prefs.defaultMaxViews}
+              onChange={(e) => updatePrefs({ defaultMaxViews: e.target.value.replace(/\D/g, "") })}
+              placeholder={t("prefs.unlimited")}
+              aria-invalid={mvInvalid}
+            />
+            {mvInvalid && <div className="field-error">{t("prefs.maxViews.invalid")}</div>}
+          </div>
+
+          <h4 style={{ margin: "1.5rem 0 0.5rem 0" }}>{t("prefs.secrets")}</h4>
+          <div className="form-group">
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={prefs.secretScan}
+                onChange={(e) => updatePrefs({ secretScan: e.target.checked })}
+              />
+              {t("prefs.secrets.enable")}
+            </label>
+            <div className="field-hint">{t("prefs.secrets.hint")}</div>
+          </div>
+          {prefs.secretScan && (
+            <>
+              <fieldset className="form-group secret-rules">
+                <legend>{t("prefs.secrets.rules")}</legend>
+                {SECRET_RULE_IDS.map((id) => (
+                  <label key={id} className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={!rulesOff.includes(id)}
+                      onChange={(e) =>
+                        updatePrefs({
+                          secretRulesOff: e.target.checked ? rulesOff.filter((r) => r !== id) : [...rulesOff, id],
+                        })
+                      }
+                    />
+                    {t(`secrets.rule.${id}`)}
+                  </label>
+                ))}
+              </fieldset>
+              <div className="form-group">
+                <label htmlFor="pref-secret-custom">{t("prefs.secrets.custom")}</label>
+                <textarea
+                  id="pref-secret-custom"
+                  rows={3}
+                  dir="ltr"
+                  spellCheck={false}
+                  value={prefs.secretCustomRules}
+                  onChange={(e) => updatePrefs({ secretCustomRules: e.target.value })}
+                  placeholder="/acme_[a-z0-9]{32}/i"
+                  aria-invalid={customInvalid.length > 0}
+                />
+                <div className="field-hint">{t("prefs.secrets.customHint")}</div>
+                {customInvalid.length > 0 && (
+                  <div className="field-error">{t("prefs.secrets.invalid", { lines: customInvalid.join(", ") })}</div>
+                )}
+              </div>
+            </>
+          )}
+
+          <div className="button-group">
+            <button type="button" className="secondary" onClick={resetPrefs}>
+              {t("prefs.reset")}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
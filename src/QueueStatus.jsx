@@ -0,0 +1,106 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { useBackendStatus } from "./lib/backendStatus.js";
+import { flushQueue, listQueue, onQueueChange, onQueueSent, removeFromQueue } from "./lib/queue.js";
+import { useNow } from "./lib/time.js";
+import { useI18n } from "./lib/i18n.js";
+
+function useQueue() {
+  const [items, setItems] = useState([]);
+  useEffect(() => {
+    let cancelled = false;
+    const load = () =>
+      listQueue()
+        .then((list) => {
+          if (!cancelled) setItems(list);
+        })
+        .catch(() => {});
+    load();
+    const off = onQueueChange(load);
+    return () => {
+      cancelled = true;
+      off();
+    };
+  }, []);
+  return items;
+}
+
+/**
+ * Sends queued pastes whenever the backend becomes reachable. Mounted once,
+ * app-wide, so the queue drains whichever page is open.
+ */
+export function OfflineQueueSync() {
+  const { offline } = useBackendStatus();
+  useEffect(() => {
+    if (!offline) flushQueue().catch(() => {});
+  }, [offline]);
+  return null;
+}
+
+/** Queued-paste panel for the Create card; renders nothing when the queue is empty. */
+export default function QueueStatus() {
+  const items = useQueue();
+  const { offline } = useBackendStatus();
+  const { t, relative, error: errorText } = useI18n();
+  const [sending, setSending] = useState(false);
+  const [sent, setSent] = useState([]);
+  const now = useNow(30000);
+
+  useEffect(() => onQueueSent((p) => setSent((list) => [...list, p])), []);
+
+  const sendNow = useCallback(async () => {
+    setSending(true);
+    try {
+      await flushQueue();
+    } catch {
+      // Items stay queued; the panel keeps showing them.
+    } finally {
+      setSending(false);
+    }
+  }, []);
+
+  if (!items.length && !sent.length) return null;
+
+  return (
+    <div className="status-message status-info queue-status" aria-live="polite">
+      {items.length > 0 && (
+        <>
+          <strong>📥 {t("queue.waiting", { count: items.length })}</strong>
+          {offline ? ` — ${t("queue.autoSend")}` : ""}
+          <ul>
+            {items.map((it) => (
+              <li key={it.qid}>
+                <span className="history-preview" style={{ display: "inline" }}>
+                  {it.preview || t("common.empty")}
+                </span>{" "}
+                <span className="field-hint">{t("queue.queuedAt", { when: relative(it.queued_at, now) })}</span>
+                {it.error && <div className="field-error">{t("queue.rejected", { error: errorText(it.error) })}</div>}
+                <button
+                  type="button"
+                  className="link-button"
+                  onClick={() => removeFromQueue(it.qid)}
+                  aria-label={t("queue.discardLabel")}
+                >
+                  {t("queue.discard")}
+                </button>
+              </li>
+            ))}
+          </ul>
+          <button type="button" className="secondary" onClick={sendNow} disabled={sending}>
+            {sending ? t("queue.sending") : t("queue.sendNow")}
+          </button>
+        </>
+      )}
+      {sent.length > 0 && (
+        <div style={{ marginTop: items.length ? "0.75rem" : 0 }}>
+          ✅ {t("queue.sent", { count: sent.length })}{" "}
+          {sent.map((p) => (
+            <Link key={p.id} to={p.url} style={{ marginInlineEnd: "0.5rem" }}>
+              {p.id}
+            </Link>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,30 @@
+import { useLocation, useParams, useSearchParams } from "react-router-dom";
+import "./App.css";
+import { keyFromHash } from "./lib/crypto.js";
+import { useRevealedPaste } from "./lib/pasteLoader.js";
+import { PasteGate } from "./EmbedView.jsx";
+
+/**
+ * /raw/:id — only the paste's text. Multi-file pastes show every file under a
+ * "=== name ===" line, or just one with ?file=<name>.
+ */
+export default function RawView() {
+  const { id } = useParams();
+  const { hash } = useLocation();
+  const [params] = useSearchParams();
+  const loader = useRevealedPaste(id, keyFromHash(hash));
+  const { phase, files } = loader;
+
+  if (phase !== "ready") {
+    return (
+      <div className="embed">
+        <PasteGate loader={loader} fullUrl={`/p/${encodeURIComponent(id)}${hash}`} />
+      </div>
+    );
+  }
+
+  const one = files.length === 1 ? files[0] : files.find((f) => f.name === params.get("file"));
+  const text = one ? one.content : files.map((f) => `=== ${f.name} ===\n${f.content}`).join("\n");
+
+  return <pre className="raw-text">{text}</pre>;
+}
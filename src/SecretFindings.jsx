@@ -0,0 +1,44 @@
+import { maskedLine } from "./lib/secrets.js";
+import { useI18n } from "./lib/i18n.js";
+
+const MAX_ROWS = 50;
+
+/**
+ * Credentials found in the Create form, shown before anything is sent.
+ * `hits` is [{ name, content, findings }], one entry per file with findings
+ * (see secrets.js); secrets are shown masked.
+ */
+export default function SecretFindings({ hits, onRedact, onProceed, disabled }) {
+  const { t } = useI18n();
+  const rows = hits.flatMap((h) => h.findings.map((f) => ({ ...f, hit: h })));
+  const ruleLabel = (id) =>
+    id.startsWith("custom:") ? t("secrets.rule.custom", { pattern: id.slice(7) }) : t(`secrets.rule.${id}`);
+
+  return (
+    <div className="status-message status-warning secret-findings" role="alert">
+      <strong>🔑 {t("secrets.title", { count: rows.length })}</strong>
+      <p style={{ margin: "0.25rem 0 0.5rem 0" }}>{t("secrets.intro")}</p>
+      <ul className="secret-list">
+        {rows.slice(0, MAX_ROWS).map((r, i) => (
+          <li key={i}>
+            <span className="secret-where">
+              {hits.length > 1 || r.hit.name ? `${r.hit.name} · ` : ""}
+              {t("code.line", { n: r.line })}
+            </span>
+            <span className="secret-rule">{ruleLabel(r.rule)}</span>
+            <code dir="ltr">{maskedLine(r.hit.content, r.hit.findings, r.line)}</code>
+          </li>
+        ))}
+      </ul>
+      {rows.length > MAX_ROWS && <p className="field-hint">{t("secrets.more", { count: rows.length - MAX_ROWS })}</p>}
+      <div className="button-group-inline" style={{ marginTop: "0.75rem" }}>
+        <button type="button" className="primary" onClick={onRedact} disabled={disabled}>
+          {t("secrets.redact")}
+        </button>
+        <button type="button" className="secondary" onClick={onProceed} disabled={disabled}>
+          {t("secrets.proceed")}
+        </button>
+      </div>
+    </div>
+  );
+}
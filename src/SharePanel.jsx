@@ -0,0 +1,82 @@
+import { useEffect, useState } from "react";
+import QRCode from "qrcode";
+import { useI18n } from "./lib/i18n.js";
+
+/**
+ * Share actions for a created paste: copy link, native share sheet (Web
+ * Share API, where supported) and a QR code rendered locally. `url` is the
+ * full link, including any #k= decryption key.
+ */
+export default function SharePanel({ url, title }) {
+  const { t } = useI18n();
+  const [copied, setCopied] = useState(false);
+  const [showQr, setShowQr] = useState(false);
+  const [qrSrc, setQrSrc] = useState("");
+  const [qrErr, setQrErr] = useState("");
+  const canShare = typeof navigator !== "undefined" && typeof navigator.share === "function";
+
+  useEffect(() => {
+    if (!showQr) return;
+    let cancelled = false;
+    QRCode.toString(url, { type: "svg", margin: 1, errorCorrectionLevel: "M" })
+      .then((svg) => {
+        if (!cancelled) setQrSrc(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`);
+      })
+      .catch((e) => {
+        if (!cancelled) setQrErr(String(e.message || e));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [showQr, url]);
+
+  async function copy() {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      window.prompt(t("share.copyPrompt"), url);
+    }
+  }
+
+  async function share() {
+    try {
+      await navigator.share({ title: title || t("share.title"), url });
+    } catch {
+      // The user closed the share sheet; nothing to do.
+    }
+  }
+
+  return (
+    <div className="share-panel">
+      <div className="share-url">
+        <input value={url} readOnly onFocus={(e) => e.target.select()} aria-label={t("share.link")} dir="ltr" />
+        <button type="button" className="primary" onClick={copy}>
+          {copied ? `✓ ${t("share.copied")}` : `📋 ${t("share.copy")}`}
+        </button>
+      </div>
+      <div className="button-group-inline" style={{ marginTop: "0.5rem" }}>
+        {canShare && (
+          <button type="button" className="secondary" onClick={share}>
+            📤 {t("share.share")}
+          </button>
+        )}
+        <button type="button" className="secondary" onClick={() => setShowQr((v) => !v)} aria-expanded={showQr}>
+          {showQr ? t("share.hideQr") : `📱 ${t("share.qr")}`}
+        </button>
+      </div>
+      {showQr && (
+        <div className="share-qr">
+          {qrErr ? (
+            <span className="field-error">{t("share.qrError", { error: qrErr })}</span>
+          ) : qrSrc ? (
+            <img src={qrSrc} alt={t("share.qrAlt", { url })} width={200} height={200} />
+          ) : (
+            <span className="loading-spinner"></span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,152 @@
+import { useEffect } from "react";
+import { Link } from "react-router-dom";
+import "./App.css";
+import { getApiBase } from "./lib/api.js";
+import { FAST_POLL_MS, labelForKey, useBackendStatus } from "./lib/backendStatus.js";
+import { useI18n } from "./lib/i18n.js";
+
+const CHART_W = 600;
+const CHART_H = 120;
+
+function formatValue(v, t) {
+  if (v === true) return `✅ ${t("common.yes")}`;
+  if (v === false) return `❌ ${t("common.no")}`;
+  if (v == null) return "—";
+  if (typeof v === "object") return JSON.stringify(v);
+  return String(v);
+}
+
+function LatencyChart({ samples }) {
+  const { t } = useI18n();
+  if (samples.length < 2) {
+    return <p className="field-hint">{t("status.collecting")}</p>;
+  }
+  const max = Math.max(100, ...samples.map((s) => s.latencyMs)) * 1.1;
+  const step = CHART_W / (samples.length - 1);
+  const x = (i) => i * step;
+  const y = (ms) => CHART_H - (ms / max) * CHART_H;
+  const okPoints = samples.map((s, i) => `${x(i).toFixed(1)},${y(s.latencyMs).toFixed(1)}`).join(" ");
+
+  return (
+    <svg
+      className="latency-chart"
+      viewBox={`0 0 ${CHART_W} ${CHART_H}`}
+      preserveAspectRatio="none"
+      role="img"
+      aria-label={t("status.chartLabel", { count: samples.length, max: Math.round(max) })}
+    >
+      <polyline points={okPoints} fill="none" stroke="var(--accent-primary)" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+      {samples.map((s, i) =>
+        s.ok ? null : (
+          <line
+            key={s.at}
+            x1={x(i)}
+            x2={x(i)}
+            y1={0}
+            y2={CHART_H}
+            stroke="var(--error)"
+            strokeWidth="2"
+            vectorEffect="non-scaling-stroke"
+            opacity="0.6"
+          />
+        )
+      )}
+    </svg>
+  );
+}
+
+export default function Status() {
+  const { samples, latest, offline, checkNow, setFastPolling } = useBackendStatus();
+  const { t, rich, date } = useI18n();
+
+  useEffect(() => {
+    setFastPolling(true);
+    return () => setFastPolling(false);
+  }, [setFastPolling]);
+
+  const okCount = samples.filter((s) => s.ok).length;
+  const successRate = samples.length ? Math.round((okCount / samples.length) * 100) : null;
+  const okLatencies = samples.filter((s) => s.ok).map((s) => s.latencyMs);
+  const avgLatency = okLatencies.length
+    ? Math.round(okLatencies.reduce((a, b) => a + b, 0) / okLatencies.length)
+    : null;
+  const lastPayload = [...samples].reverse().find((s) => s.payload)?.payload;
+
+  return (
+    <div className="app-container">
+      <div className="app-header">
+        <h1 className="app-title">{t("app.title")}</h1>
+        <p className="app-subtitle">{t("status.subtitle")}</p>
+      </div>
+
+      <div className="main-content">
+        <div className="card">
+          <div className="card-title" style={{ justifyContent: "space-between", alignItems: "center" }}>
+            <span>📈 {t("nav.status")}</span>
+            <Link to="/" className="secondary" style={{ textDecoration: "none", padding: "0.5rem 1rem", borderRadius: "6px", fontSize: "0.875rem", border: "1px solid var(--border-medium)", backgroundColor: "var(--bg-secondary)" }}>
+              {t("common.backHome")}
+            </Link>
+          </div>
+
+          <div className={`status-message ${!latest ? "status-info" : latest.ok ? "status-success" : "status-error"}`} style={{ marginTop: 0 }}>
+            <strong>
+              {t(!latest ? "health.checking" : latest.ok ? "status.ok" : offline ? "status.unreachable" : "status.degraded")}
+            </strong>
+            {latest &&
+              ` · ${t("status.lastCheck", { when: date(latest.at), ms: Math.round(latest.latencyMs) })}`}
+            {latest && !latest.ok && <div>{t(`status.failure.${latest.kind}`)}</div>}
+          </div>
+
+          {latest?.kind === "html" && (
+            <div className="status-message status-warning">
+              <strong>{t("status.rewrite")}</strong>{" "}
+              {rich("status.rewriteDetail", {
+                url: <code>{getApiBase() || ""}/api/healthz</code>,
+                rule: <code>/api/(.*)</code>,
+                file: <code>vercel.json</code>,
+                fallback: <code>/index.html</code>,
+              })}
+            </div>
+          )}
+
+          <div className="status-stats">
+            <div>
+              <div className="paste-meta-label">{t("status.successRate")}</div>
+              <div className="status-stat-value">{successRate == null ? "—" : `${successRate}%`}</div>
+              <div className="field-hint">{t("status.checksThisSession", { ok: okCount, count: samples.length })}</div>
+            </div>
+            <div>
+              <div className="paste-meta-label">{t("status.avgLatency")}</div>
+              <div className="status-stat-value">{avgLatency == null ? "—" : t("status.ms", { ms: avgLatency })}</div>
+              <div className="field-hint">{t("status.successfulChecks")}</div>
+            </div>
+            <div>
+              <div className="paste-meta-label">{t("status.polling")}</div>
+              <div className="status-stat-value">{t("status.seconds", { s: FAST_POLL_MS / 1000 })}</div>
+              <button type="button" className="link-button" onClick={checkNow}>
+                {t("status.checkNow")}
+              </button>
+            </div>
+          </div>
+
+          <h4 style={{ margin: "1.5rem 0 0.5rem 0" }}>{t("status.latency")}</h4>
+          <LatencyChart samples={samples} />
+
+          <h4 style={{ margin: "1.5rem 0 0.5rem 0" }}>{t("status.payload")}</h4>
+          {lastPayload && typeof lastPayload === "object" ? (
+            <div className="paste-meta">
+              {Object.entries(lastPayload).map(([k, v]) => (
+                <div key={k} className="paste-meta-item">
+                  <span className="paste-meta-label">{labelForKey(k)}:</span>
+                  <span className="paste-meta-value">{formatValue(v, t)}</span>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="field-hint">{t("status.noResponse")}</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
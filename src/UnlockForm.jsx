@@ -0,0 +1,75 @@
+import { useState } from "react";
+import { useI18n } from "./lib/i18n.js";
+
+/**
+ * Password prompt for protected or passphrase-encrypted pastes.
+ *
+ * `onUnlock(password)` resolves true when the password worked and false when
+ * it was wrong (counted as a failed attempt); a rejection is shown as an
+ * error. `note` is extra text under the intro, e.g. the view budget.
+ */
+export default function UnlockForm({ id, onUnlock, note, autoFocus = true }) {
+  const { t, error: errorText } = useI18n();
+  const [password, setPassword] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [failures, setFailures] = useState(0);
+  const [error, setError] = useState("");
+
+  async function submit(e) {
+    e.preventDefault();
+    setError("");
+    setBusy(true);
+    try {
+      if (!(await onUnlock(password))) {
+        setFailures((n) => n + 1);
+        setPassword("");
+      }
+    } catch (err) {
+      setError(errorText(err));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <form onSubmit={submit} className="unlock-form">
+      <p style={{ margin: "0 0 0.75rem 0" }}>🔒 {t("unlock.intro")}</p>
+      {note && <p className="field-hint" style={{ margin: "0 0 0.75rem 0" }}>{note}</p>}
+      <div className="fetch-container">
+        <div className="fetch-input">
+          <label htmlFor={id}>{t("unlock.password")}</label>
+          <input
+            id={id}
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoFocus={autoFocus}
+            autoComplete="off"
+            aria-invalid={failures > 0}
+            aria-describedby={failures > 0 ? `${id}-feedback` : undefined}
+          />
+        </div>
+        <button type="submit" className="primary" disabled={busy || !password}>
+          {busy ? (
+            <>
+              <span className="loading-spinner"></span>
+              {t("unlock.checking")}
+            </>
+          ) : (
+            t("unlock.submit")
+          )}
+        </button>
+      </div>
+      {failures > 0 && (
+        <div id={`${id}-feedback`} className="field-error" role="alert" style={{ marginTop: "0.5rem" }}>
+          {t("unlock.wrong", { count: failures })}
+        </div>
+      )}
+      {error && (
+        <div className="status-message status-error">
+          <strong>{t("common.error")}</strong> {error}
+        </div>
+      )}
+    </form>
+  );
+}
@@ -0,0 +1,479 @@
+/**
+ * Pastes API client shared by every screen.
+ *
+ * Contract:
+ *   POST /api/pastes       { content, ttl_seconds?, max_views?, password? } -> { id, ... }
+ *   GET  /api/pastes/:id   -> { id, content, created_at?, ttl_seconds?, max_views?, views? }
+ *   GET  /api/pastes/:id/meta (optional) -> same without content; must not count as a view
+ *
+ * A 404 for a missing paste says so in its body, as { code: "paste_not_found" }
+ * or an error naming the paste ("Paste not found"). A bare "Not found" is what
+ * a backend without the /meta route answers too.
+ *   GET  /api/healthz      -> { ok, ... }
+ *
+ * Password-protected pastes: reads send the password in an X-Paste-Password
+ * header; without it (or with a wrong one) the backend answers 401, or 403
+ * with an error mentioning the password, and doesn't count a view. Metadata
+ * may carry `password_protected: true`.
+ *
+ * Base URL resolution (first match wins):
+ *   0. RequestOptions.base, for one call (the page function serves many origins)
+ *   1. setApiBase() (used by the CLI)
+ *   2. window.__PASTEBIN_CONFIG__.apiBase (runtime config, no rebuild needed)
+ *   3. import.meta.env.VITE_API_BASE (build time)
+ *   4. "" (same-domain deployment: UI on /, backend on /api/*)
+ */
+
+/**
+ * @typedef {Object} Paste
+ * @property {string} id
+ * @property {string} [content]
+ * @property {string} [created_at]
+ * @property {number} [ttl_seconds]
+ * @property {number} [max_views]
+ * @property {number} [views]
+ * @property {boolean} [password_protected]
+ */
+
+/**
+ * @typedef {Object} CreatePasteInput
+ * @property {string} content
+ * @property {number} [ttl_seconds]
+ * @property {number} [max_views]
+ * @property {string} [password]
+ */
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {number} [timeoutMs]   Abort the request after this long.
+ * @property {number} [retries]     Extra attempts for idempotent GETs.
+ * @property {AbortSignal} [signal] Caller-side cancellation.
+ * @property {string} [dedupeKey]   Calls sharing a key share one request (see getPaste).
+ * @property {string} [base]        Base URL for this call instead of getApiBase().
+ * @property {(p: {loaded: number, total: number|null}) => void} [onProgress]
+ *   Called as the response body streams in; `total` is null without Content-Length.
+ */
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_GET_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 300;
+const MAX_DEDUPED = 50;
+
+let apiBaseOverride = null;
+
+/** Force the base URL, e.g. from a CLI flag. Pass null to go back to auto-detection. */
+export function setApiBase(url) {
+  apiBaseOverride = url == null ? null : String(url).replace(/\/+$/, "");
+}
+
+export function getApiBase() {
+  if (apiBaseOverride != null) return apiBaseOverride;
+  if (typeof window !== "undefined" && window.__PASTEBIN_CONFIG__?.apiBase != null) {
+    return String(window.__PASTEBIN_CONFIG__.apiBase).replace(/\/+$/, "");
+  }
+  const fromEnv = import.meta.env?.VITE_API_BASE;
+  return fromEnv ? String(fromEnv).replace(/\/+$/, "") : "";
+}
+
+// ---------------------------------------------------------------------------
+// Errors
+// ---------------------------------------------------------------------------
+
+/**
+ * `message` is English, for the CLI and logs. Like a LocalizedError (see
+ * errors.js), `messageKey` and `params` name the catalog message the UI shows
+ * instead; the classes below have a default key for what they mean.
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, body = null, cause, messageKey = null, params = {} } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "ApiError";
+    this.status = status;
+    this.body = body;
+    this.messageKey = messageKey;
+    this.params = params;
+  }
+}
+
+/** 404 with no more specific reason. */
+export class NotFoundError extends ApiError {
+  constructor(message, opts) {
+    super(message, { messageKey: "api.error.notFound", ...opts });
+    this.name = "NotFoundError";
+  }
+}
+
+/** The paste's TTL has passed. */
+export class ExpiredError extends ApiError {
+  constructor(message, opts) {
+    super(message, { messageKey: "api.error.expired", ...opts });
+    this.name = "ExpiredError";
+  }
+}
+
+/** The paste's max_views budget is used up. */
+export class ViewLimitError extends ApiError {
+  constructor(message, opts) {
+    super(message, { messageKey: "api.error.noViews", ...opts });
+    this.name = "ViewLimitError";
+  }
+}
+
+/** The paste is password-protected and no password, or a wrong one, was sent. */
+export class PasswordRequiredError extends ApiError {
+  constructor(message, opts) {
+    super(message, { messageKey: "api.error.password", ...opts });
+    this.name = "PasswordRequiredError";
+  }
+}
+
+/** The backend rejected the request body (4xx). */
+export class ValidationError extends ApiError {
+  constructor(message, opts) {
+    super(message, opts);
+    this.name = "ValidationError";
+  }
+}
+
+/** The request never got a response (offline, DNS, CORS, aborted by timeout). */
+export class NetworkError extends ApiError {
+  constructor(message, opts) {
+    super(message, { messageKey: "api.error.network", ...opts });
+    this.name = "NetworkError";
+  }
+}
+
+export class TimeoutError extends NetworkError {
+  constructor(message, opts) {
+    super(message, { messageKey: "api.error.timeout", ...opts });
+    this.name = "TimeoutError";
+  }
+}
+
+/** A proxy/gateway answered with HTML (e.g. a Vercel error page) instead of JSON. */
+export class GatewayError extends ApiError {
+  constructor(message, opts) {
+    super(message, { messageKey: "api.error.gateway", ...opts });
+    this.name = "GatewayError";
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Internals
+// ---------------------------------------------------------------------------
+
+// Server clock minus local clock, from the latest response's Date header.
+let clockOffsetMs = 0;
+
+function trackClock(resp, sentAt) {
+  const date = Date.parse(resp.headers?.get?.("Date") || "");
+  if (!Number.isFinite(date)) return;
+  const receivedAt = Date.now();
+  // The header is stamped somewhere in the round trip; assume the middle.
+  // It only has 1s resolution, so add half a second to centre the estimate.
+  clockOffsetMs = date + 500 - (sentAt + receivedAt) / 2;
+}
+
+// Reads the body chunk by chunk so large pastes can report progress.
+async function readBodyText(resp, onProgress) {
+  if (!onProgress || !resp.body?.getReader) return resp.text();
+  const length = Number(resp.headers.get("Content-Length"));
+  // Content-Length counts encoded bytes; with compression it can't be compared.
+  const total = length > 0 && !resp.headers.get("Content-Encoding") ? length : null;
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let text = "";
+  let loaded = 0;
+  onProgress({ loaded, total });
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    loaded += value.byteLength;
+    text += decoder.decode(value, { stream: true });
+    onProgress({ loaded, total });
+  }
+  return text + decoder.decode();
+}
+
+async function safeJsonResponse(resp, onProgress) {
+  // Some failures may return HTML (Vercel error page), so parse safely.
+  const text = await readBodyText(resp, onProgress);
+  try {
+    return { json: JSON.parse(text), text };
+  } catch {
+    return { json: null, text };
+  }
+}
+
+function looksLikeHtml(text) {
+  return /^\s*<(!doctype|html|head|body)/i.test(text || "");
+}
+
+function htmlPageError(status, body) {
+  return new GatewayError(`Backend returned an HTML page instead of JSON (HTTP ${status}).`, {
+    status,
+    body,
+    messageKey: "api.error.html",
+    params: { status },
+  });
+}
+
+function errorFromResponse(resp, json, text) {
+  const status = resp.status;
+  const msg = json?.error || json?.message;
+  const opts = { status, body: json ?? text };
+
+  if (!json && looksLikeHtml(text)) return htmlPageError(status, text);
+  if (status === 401 || (status === 403 && /password/i.test(msg || ""))) {
+    return new PasswordRequiredError(msg || "This paste needs a password.", opts);
+  }
+  if (status === 410 || /expired/i.test(msg || "")) {
+    return new ExpiredError(msg || "This paste has expired.", opts);
+  }
+  if (/view/i.test(msg || "") && (status === 404 || status === 403 || status === 410)) {
+    return new ViewLimitError(msg || "This paste has no views left.", opts);
+  }
+  if (status === 404) {
+    return new NotFoundError(msg || "Not found", opts);
+  }
+  // The backend's own words can't be translated; they go in as a detail.
+  const detail = msg
+    ? { messageKey: "api.error.rejected", params: { status, message: msg } }
+    : { messageKey: "api.error.http", params: { status } };
+  if (status === 400 || status === 422) {
+    return new ValidationError(msg || `Invalid request (HTTP ${status}).`, { ...opts, ...detail });
+  }
+  if (status >= 500 && !json) {
+    return new GatewayError(`HTTP ${status} - ${text?.slice(0, 140) || "error"}`, { ...opts, ...detail });
+  }
+  return new ApiError(msg || `HTTP ${status} - ${text?.slice(0, 140) || "error"}`, { ...opts, ...detail });
+}
+
+/** True for failures worth another attempt: network trouble, gateway pages and 5xx. */
+function isRetryable(err) {
+  return (
+    err instanceof NetworkError ||
+    err instanceof GatewayError ||
+    (err instanceof ApiError && err.status >= 500)
+  );
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const t = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(t);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+}
+
+async function requestOnce(path, init, { timeoutMs = DEFAULT_TIMEOUT_MS, signal, onProgress, base } = {}) {
+  // fetch would reject too, but as a NetworkError the caller might retry.
+  signal?.throwIfAborted();
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener("abort", onAbort, { once: true });
+
+  let resp;
+  const sentAt = Date.now();
+  try {
+    const root = base == null ? getApiBase() : String(base).replace(/\/+$/, "");
+    resp = await fetch(`${root}${path}`, { ...init, signal: controller.signal });
+  } catch (e) {
+    if (timedOut) {
+      throw new TimeoutError(`Request timed out after ${timeoutMs} ms.`, {
+        cause: e,
+        params: { seconds: Math.round(timeoutMs / 1000) },
+      });
+    }
+    if (signal?.aborted) throw e;
+    throw new NetworkError("Network error: could not reach the backend.", { cause: e });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+
+  trackClock(resp, sentAt);
+  const { json, text } = await safeJsonResponse(resp, onProgress);
+  if (!resp.ok) throw errorFromResponse(resp, json, text);
+  if (!json) {
+    if (looksLikeHtml(text)) throw htmlPageError(resp.status, text);
+    throw new ApiError(`Non-JSON response (HTTP ${resp.status}).`, {
+      status: resp.status,
+      body: text,
+      messageKey: "api.error.notJson",
+      params: { status: resp.status },
+    });
+  }
+  return { json, response: resp };
+}
+
+async function getWithRetry(path, opts = {}) {
+  const retries = opts.retries ?? DEFAULT_GET_RETRIES;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await requestOnce(path, { method: "GET", headers: opts.headers }, opts);
+    } catch (e) {
+      if (attempt >= retries || !isRetryable(e) || opts.signal?.aborted) throw e;
+      // Exponential backoff with a little jitter: 300ms, 600ms, 1200ms, ...
+      const delay = RETRY_BASE_DELAY_MS * 2 ** attempt + Math.random() * 100;
+      await sleep(delay, opts.signal);
+    }
+  }
+}
+
+// Requests keyed by RequestOptions.dedupeKey. Settled promises are kept too, so
+// a React StrictMode effect re-run gets the first result instead of a new request.
+const deduped = new Map();
+
+function dedupe(key, fn) {
+  if (!key) return fn();
+  if (!deduped.has(key)) {
+    if (deduped.size >= MAX_DEDUPED) deduped.delete(deduped.keys().next().value);
+    const p = fn();
+    deduped.set(key, p);
+    // Don't pin failures: a later explicit retry should hit the network again.
+    p.catch(() => {
+      if (deduped.get(key) === p) deduped.delete(key);
+    });
+  }
+  return deduped.get(key);
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a paste. Never retried, since a POST that timed out may still have
+ * been stored.
+ * @param {CreatePasteInput} body
+ * @param {RequestOptions} [opts]
+ * @returns {Promise<Paste>}
+ */
+export async function createPaste(body, opts) {
+  const { json } = await requestOnce(
+    "/api/pastes",
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    },
+    opts
+  );
+  if (!json?.id) {
+    throw new ApiError("Unexpected response: missing paste id.", { body: json, messageKey: "api.error.noId" });
+  }
+  return json;
+}
+
+/**
+ * Fetch a paste. Every successful call counts as a view, so this is not
+ * retried by default (a retry after a lost response would spend a second view)
+ * and callers should pass a `dedupeKey` that is stable for one navigation.
+ * Rejects with PasswordRequiredError when `password` is missing or wrong.
+ * @param {string} id
+ * @param {RequestOptions & {password?: string}} [opts]
+ * @returns {Promise<Paste>}
+ */
+export function getPaste(id, opts = {}) {
+  const { password, ...rest } = opts;
+  return dedupe(opts.dedupeKey && `paste:${id}:${opts.dedupeKey}`, async () => {
+    const { json } = await getWithRetry(`/api/pastes/${encodeURIComponent(id)}`, {
+      retries: 0,
+      ...rest,
+      headers: password ? { "X-Paste-Password": password } : undefined,
+    });
+    return json;
+  });
+}
+
+// A 404 whose body says the paste is missing, rather than the route.
+function isMissingPaste(err) {
+  const body = err instanceof NotFoundError && err.body && typeof err.body === "object" ? err.body : null;
+  if (!body) return false;
+  return body.code === "paste_not_found" || /\bpaste\b/i.test(body.error || body.message || "");
+}
+
+/**
+ * Paste metadata without consuming a view, via the optional
+ * `/api/pastes/:id/meta` endpoint. Resolves to null when the backend doesn't
+ * support it (405, a 404 that doesn't name a missing paste, a fallback page
+ * that isn't JSON, or a response carrying content), so callers can fall back
+ * to a plain confirmation. Rejects with NotFoundError when the 404 says the
+ * paste is missing, and with ExpiredError / ViewLimitError /
+ * PasswordRequiredError when the backend says so.
+ * @param {string} id
+ * @param {RequestOptions} [opts]
+ * @returns {Promise<Paste|null>}
+ */
+export async function getPasteMeta(id, opts) {
+  try {
+    const { json } = await getWithRetry(`/api/pastes/${encodeURIComponent(id)}/meta`, {
+      retries: 0,
+      ...opts,
+    });
+    // A backend that routes /meta to the full paste would have spent a view
+    // already; ignore the content rather than pretend this was free.
+    if (!json || typeof json !== "object" || "content" in json) return null;
+    return json;
+  } catch (e) {
+    if (
+      e instanceof ExpiredError ||
+      e instanceof ViewLimitError ||
+      e instanceof PasswordRequiredError ||
+      e instanceof NetworkError ||
+      isMissingPaste(e)
+    ) {
+      throw e;
+    }
+    if (e instanceof ApiError) return null;
+    throw e;
+  }
+}
+
+/** Server clock minus local clock (ms), from the last Date header seen. Add to Date.now(). */
+export function clockOffset() {
+  return clockOffsetMs;
+}
+
+/**
+ * When the paste expires by TTL (ms since epoch, server clock), or null.
+ * Prefers `expires_at` and falls back to `created_at + ttl_seconds`.
+ */
+export function pasteExpiresAt(paste) {
+  if (!paste) return null;
+  const toMs = (v) => (typeof v === "number" ? v : Date.parse(v || ""));
+  const explicit = toMs(paste.expires_at);
+  if (Number.isFinite(explicit)) return explicit;
+  const created = toMs(paste.created_at);
+  if (Number.isFinite(created) && paste.ttl_seconds) return created + paste.ttl_seconds * 1000;
+  return null;
+}
+
+/** Views left according to paste metadata, or null when unlimited/unknown. */
+export function remainingViews(meta) {
+  if (!meta) return null;
+  if (Number.isInteger(meta.remaining_views)) return Math.max(0, meta.remaining_views);
+  if (!Number.isInteger(meta.max_views)) return null;
+  return Math.max(0, meta.max_views - (meta.views || 0));
+}
+
+/**
+ * @param {RequestOptions} [opts]
+ * @returns {Promise<Object>} The health payload as returned by the backend.
+ */
+export async function health(opts) {
+  const { json } = await getWithRetry("/api/healthz", opts);
+  return json;
+}
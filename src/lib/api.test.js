@@ -0,0 +1,203 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import * as api from "./api.js";
+import { createI18n } from "./i18n.js";
+
+const json = (status, body) =>
+  new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+const html = (status) => new Response("<!DOCTYPE html><html><body>502</body></html>", { status });
+
+let fetchMock;
+
+beforeEach(() => {
+  fetchMock = vi.fn();
+  vi.stubGlobal("fetch", fetchMock);
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe("error classification", () => {
+  it.each([
+    ["NotFoundError", () => json(404, { error: "Paste not found" })],
+    ["ExpiredError", () => json(410, { error: "Gone" })],
+    ["ExpiredError", () => json(404, { error: "Paste has expired" })],
+    ["ViewLimitError", () => json(404, { error: "Paste has no views left" })],
+    ["PasswordRequiredError", () => json(401, { error: "Password required" })],
+    ["PasswordRequiredError", () => json(403, { error: "Wrong password" })],
+    ["ValidationError", () => json(400, { error: "content is required" })],
+    ["GatewayError", () => html(502)],
+    ["GatewayError", () => new Response("upstream down", { status: 503 })],
+  ])("maps the response to %s", async (name, respond) => {
+    fetchMock.mockImplementation(async () => respond());
+    const err = await api.getPaste("abc").catch((e) => e);
+    expect(err).toBeInstanceOf(api[name]);
+    expect(err).toBeInstanceOf(api.ApiError);
+  });
+
+  it("treats an HTML page with status 200 as a gateway error", async () => {
+    fetchMock.mockImplementation(async () => new Response("<!doctype html><div id=root></div>", { status: 200 }));
+    await expect(api.getPaste("abc")).rejects.toBeInstanceOf(api.GatewayError);
+  });
+
+  it("wraps a failed fetch in NetworkError", async () => {
+    fetchMock.mockRejectedValue(new TypeError("Failed to fetch"));
+    const err = await api.getPaste("abc").catch((e) => e);
+    expect(err).toBeInstanceOf(api.NetworkError);
+    expect(err).not.toBeInstanceOf(api.TimeoutError);
+  });
+});
+
+describe("error messages", () => {
+  it.each([
+    ["a lost connection", () => Promise.reject(new TypeError("Failed to fetch")), "api.error.network", {}],
+    ["an HTML page", async () => html(502), "api.error.html", { status: 502 }],
+    ["a bare 503", async () => new Response("upstream down", { status: 503 }), "api.error.http", { status: 503 }],
+    ["a JSON 404", async () => json(404, { error: "Paste not found" }), "api.error.notFound", {}],
+    ["a rejection", async () => json(400, { error: "too big" }), "api.error.rejected", { status: 400, message: "too big" }],
+  ])("names a catalog message for %s", async (_, respond, messageKey, params) => {
+    fetchMock.mockImplementation(respond);
+    const err = await api.getPaste("abc").catch((e) => e);
+    expect(err).toMatchObject({ messageKey, params });
+  });
+
+  it("is shown in the UI language, while `message` stays English", async () => {
+    fetchMock.mockRejectedValue(new TypeError("Failed to fetch"));
+    const err = await api.getPaste("abc").catch((e) => e);
+    expect(err.message).toMatch(/^Network error/);
+    expect(createI18n("ar").error(err)).toBe("خطأ في الشبكة: تعذّر الوصول إلى الخادم.");
+  });
+});
+
+describe("timeouts", () => {
+  it("aborts the request and rejects with TimeoutError", async () => {
+    let signal;
+    fetchMock.mockImplementation(
+      (url, init) =>
+        new Promise((resolve, reject) => {
+          signal = init.signal;
+          signal.addEventListener("abort", () => reject(new DOMException("aborted", "AbortError")));
+        })
+    );
+    const err = await api.getPaste("abc", { timeoutMs: 20 }).catch((e) => e);
+    expect(err).toBeInstanceOf(api.TimeoutError);
+    expect(err).toBeInstanceOf(api.NetworkError);
+    expect(signal.aborted).toBe(true);
+  });
+
+  it("doesn't send a request whose caller already gave up", async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const err = await api.createPaste({ content: "x" }, { signal: controller.signal }).catch((e) => e);
+    expect(err).not.toBeInstanceOf(api.ApiError);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
+
+describe("base URL", () => {
+  it("takes a per-call base without changing the shared one", async () => {
+    fetchMock.mockImplementation(async () => json(200, { ok: true }));
+    await api.health({ base: "https://other.example/" });
+    expect(fetchMock.mock.calls[0][0]).toBe("https://other.example/api/healthz");
+    expect(api.getApiBase()).toBe("");
+  });
+});
+
+describe("GET retries", () => {
+  it("retries retryable failures with exponential backoff", async () => {
+    vi.useFakeTimers();
+    vi.spyOn(Math, "random").mockReturnValue(0);
+    fetchMock
+      .mockResolvedValueOnce(json(503, { error: "busy" }))
+      .mockResolvedValueOnce(html(502))
+      .mockResolvedValueOnce(json(200, { ok: true }));
+
+    const result = api.health();
+    await vi.advanceTimersByTimeAsync(299);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(599);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    await expect(result).resolves.toEqual({ ok: true });
+  });
+
+  it("doesn't retry client errors", async () => {
+    fetchMock.mockImplementation(async () => json(404, { error: "Not found" }));
+    await expect(api.health()).rejects.toBeInstanceOf(api.NotFoundError);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it("never retries a paste read or a create, since either may have taken effect", async () => {
+    fetchMock.mockImplementation(async () => json(503, { error: "busy" }));
+    await expect(api.getPaste("abc")).rejects.toBeInstanceOf(api.ApiError);
+    await expect(api.createPaste({ content: "x" })).rejects.toBeInstanceOf(api.ApiError);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("getPaste dedupe", () => {
+  it("shares one request per navigation key, so a navigation spends one view", async () => {
+    fetchMock.mockImplementation(async () => json(200, { id: "dd1", content: "hi" }));
+    const [a, b] = await Promise.all([
+      api.getPaste("dd1", { dedupeKey: "nav-1" }),
+      api.getPaste("dd1", { dedupeKey: "nav-1" }),
+    ]);
+    // A StrictMode effect re-run after the first request settled.
+    const c = await api.getPaste("dd1", { dedupeKey: "nav-1" });
+    expect(a).toEqual({ id: "dd1", content: "hi" });
+    expect(b).toBe(a);
+    expect(c).toBe(a);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+
+    await api.getPaste("dd1", { dedupeKey: "nav-2" });
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it("doesn't keep failures, so an explicit retry reaches the network", async () => {
+    fetchMock.mockRejectedValueOnce(new TypeError("offline")).mockResolvedValueOnce(json(200, { id: "dd2" }));
+    await expect(api.getPaste("dd2", { dedupeKey: "nav-3" })).rejects.toBeInstanceOf(api.NetworkError);
+    await expect(api.getPaste("dd2", { dedupeKey: "nav-3" })).resolves.toEqual({ id: "dd2" });
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("getPasteMeta", () => {
+  it("returns null when the backend has no /meta endpoint", async () => {
+    fetchMock.mockImplementation(async () => json(405, { error: "Method not allowed" }));
+    await expect(api.getPasteMeta("abc")).resolves.toBeNull();
+  });
+
+  it("rejects with NotFoundError when the endpoint answers that the paste is missing", async () => {
+    fetchMock.mockImplementation(async () => json(404, { error: "Paste not found" }));
+    await expect(api.getPasteMeta("abc")).rejects.toBeInstanceOf(api.NotFoundError);
+  });
+
+  it("rejects with NotFoundError for a 404 carrying the not-found code", async () => {
+    fetchMock.mockImplementation(async () => json(404, { error: "Gone fishing", code: "paste_not_found" }));
+    await expect(api.getPasteMeta("abc")).rejects.toBeInstanceOf(api.NotFoundError);
+  });
+
+  it("returns null for a generic JSON 404, as from a backend without a /meta route", async () => {
+    fetchMock.mockImplementation(async () => json(404, { error: "Not found" }));
+    await expect(api.getPasteMeta("abc")).resolves.toBeNull();
+    fetchMock.mockImplementation(async () => json(404, {}));
+    await expect(api.getPasteMeta("abc")).resolves.toBeNull();
+  });
+
+  it("returns null for a 404 that isn't JSON, as from a backend without /meta", async () => {
+    fetchMock.mockImplementation(async () => new Response("Not Found", { status: 404 }));
+    await expect(api.getPasteMeta("abc")).resolves.toBeNull();
+    fetchMock.mockImplementation(async () => html(404));
+    await expect(api.getPasteMeta("abc")).resolves.toBeNull();
+  });
+
+  it("ignores a /meta response that carries content", async () => {
+    fetchMock.mockImplementation(async () => json(200, { id: "abc", content: "spent" }));
+    await expect(api.getPasteMeta("abc")).resolves.toBeNull();
+  });
+});
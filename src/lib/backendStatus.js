@@ -0,0 +1,60 @@
+/**
+ * Backend health monitoring shared across the app (offline banner, /status).
+ */
+import { createContext, useContext } from "react";
+import * as api from "./api.js";
+
+export const MAX_SAMPLES = 120;
+export const DEFAULT_POLL_MS = 60000;
+export const FAST_POLL_MS = 5000;
+
+/**
+ * @typedef {Object} HealthSample
+ * @property {number} at         When the check started (ms since epoch)
+ * @property {boolean} ok
+ * @property {number} latencyMs
+ * @property {"ok"|"html"|"network"|"http"|"timeout"} kind  What went wrong; the UI words it
+ *   from the catalog (status.failure.<kind>)
+ * @property {Object} [payload]  Parsed /api/healthz body on success
+ */
+
+/** Run one health check and describe it as a HealthSample. Never throws. */
+export async function sampleHealth() {
+  const at = Date.now();
+  const t0 = performance.now();
+  try {
+    const payload = await api.health({ retries: 0, timeoutMs: 8000 });
+    // Some backends answer 200 with { ok: false } when a dependency is down.
+    const ok = payload?.ok !== false;
+    return { at, ok, latencyMs: performance.now() - t0, kind: ok ? "ok" : "http", payload };
+  } catch (e) {
+    const kind =
+      e instanceof api.TimeoutError
+        ? "timeout"
+        : e instanceof api.NetworkError
+          ? "network"
+          : e instanceof api.GatewayError
+            ? "html"
+            : "http";
+    return { at, ok: false, latencyMs: performance.now() - t0, kind };
+  }
+}
+
+/** "last_check_ms" -> "Last check ms" */
+export function labelForKey(key) {
+  const s = String(key).replace(/[_-]+/g, " ").replace(/([a-z])([A-Z])/g, "$1 $2").trim();
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+export const BackendStatusContext = createContext({
+  samples: [],
+  latest: null,
+  offline: false,
+  browserOffline: false,
+  checkNow: () => {},
+  setFastPolling: () => {},
+});
+
+export function useBackendStatus() {
+  return useContext(BackendStatusContext);
+}
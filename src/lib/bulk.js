@@ -0,0 +1,336 @@
+/**
+ * Bulk paste creation: reading a folder, a manifest or another pastebin's
+ * export into items, and creating them through /api/pastes a few at a time.
+ *
+ * An item is { title, content, ttl_seconds?, max_views?, language?, source }:
+ * `title` becomes the paste's filename and `source` names the file or
+ * manifest row it came from: "notes.csv:3" is the CSV's third line,
+ * "export.json#2" the JSON's second entry, "gists.zip/a.json" a file in an
+ * archive. Import problems are { source, messageKey, params } (see errors.js).
+ *
+ * Accepted inputs (see importFiles()):
+ * - plain text files, one paste each; in a folder the title is the relative path
+ * - a JSON manifest: [{ content, ttl_seconds?, max_views?, title? }] or { pastes: [...] }
+ * - a CSV manifest with a header row naming those columns; `content` is required
+ * - GitHub Gist JSON (one gist or a list, as returned by the gists API);
+ *   multi-file gists become bundles
+ * - hastebin / haste-server documents: { key, data }
+ * - .zip archives of any of the above, nested up to MAX_ZIP_DEPTH deep and
+ *   extracting to MAX_EXTRACTED_BYTES at most across the whole import
+ */
+import * as api from "./api.js";
+import { isBundle, parseBundle, serializeBundle } from "./bundle.js";
+import { LocalizedError } from "./errors.js";
+import { MAX_FILE_BYTES, languageFromFilename, readTextFile } from "./files.js";
+import { detectLanguage } from "./highlight.js";
+import { readZip } from "./zip.js";
+
+export const MAX_BULK_ITEMS = 500;
+export const MAX_ZIP_DEPTH = 2;
+export const MAX_EXTRACTED_BYTES = 50 * 1024 * 1024;
+export const DEFAULT_CONCURRENCY = 3;
+export const DEFAULT_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+
+/** An import problem for the UI; `err` is a LocalizedError or anything else thrown. */
+export function importProblem(source, err) {
+  if (err?.messageKey) return { source, messageKey: err.messageKey, params: err.params };
+  return { source, messageKey: "bulk.error.other", params: { message: String(err?.message || err) } };
+}
+
+function optionalPositiveInt(v, field) {
+  if (v == null || v === "") return undefined;
+  const n = typeof v === "number" ? v : Number(String(v).trim());
+  if (!Number.isInteger(n) || n < 1) throw new LocalizedError("bulk.error.wholeNumber", { field });
+  return n;
+}
+
+/**
+ * One manifest row as an item; throws a LocalizedError naming the bad field.
+ * @param {Object} raw
+ * @param {string} source
+ */
+export function manifestItem(raw, source) {
+  if (!raw || typeof raw !== "object") throw new LocalizedError("bulk.error.notObject");
+  if (typeof raw.content !== "string" || !raw.content.trim()) {
+    throw new LocalizedError("bulk.error.contentRequired");
+  }
+  return {
+    title: raw.title == null ? "" : String(raw.title).trim(),
+    content: raw.content,
+    ttl_seconds: optionalPositiveInt(raw.ttl_seconds, "ttl_seconds"),
+    max_views: optionalPositiveInt(raw.max_views, "max_views"),
+    language: typeof raw.language === "string" ? raw.language : undefined,
+    source,
+  };
+}
+
+/** RFC 4180 CSV: quoted fields may hold commas, quotes ("") and newlines. */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const s = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (quoted) {
+      if (c !== '"') field += c;
+      else if (s[i + 1] === '"') field += s[i++];
+      else quoted = false;
+    } else if (c === '"' && field === "") {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && s[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) rows.push([...row, field]);
+  return rows.filter((r) => r.length > 1 || r[0] !== "");
+}
+
+// Every importer returns { items, errors }, or null when the input isn't its format.
+
+function fromCsv(text, source) {
+  const [header, ...rows] = parseCsv(text);
+  const cols = (header || []).map((h) => h.trim().toLowerCase());
+  if (!cols.includes("content")) return null;
+  const items = [];
+  const errors = [];
+  rows.forEach((r, i) => {
+    const where = `${source}:${i + 2}`;
+    try {
+      items.push(manifestItem(Object.fromEntries(cols.map((c, j) => [c, r[j]])), where));
+    } catch (e) {
+      errors.push(importProblem(where, e));
+    }
+  });
+  return { items, errors };
+}
+
+const isGist = (o) => o && typeof o === "object" && o.files && typeof o.files === "object" && !Array.isArray(o.files);
+const isHaste = (o) => o && typeof o === "object" && typeof o.data === "string" && "key" in o;
+
+function fromGist(gist, source) {
+  const files = Object.values(gist.files);
+  const missing = files.find((f) => typeof f?.content !== "string" || f.truncated);
+  if (!files.length) throw new LocalizedError("bulk.error.gistEmpty");
+  if (missing) throw new LocalizedError("bulk.error.gistTruncated", { file: missing.filename });
+  const title = String(gist.description || "").trim() || files[0].filename;
+  if (files.length === 1) {
+    return { title: files[0].filename || title, content: files[0].content, source };
+  }
+  const bundled = files.map((f) => ({ name: f.filename, content: f.content, language: languageFromFilename(f.filename) }));
+  return { title, content: serializeBundle(bundled), source };
+}
+
+function fromJson(text, source) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  const list = Array.isArray(data) ? data : Array.isArray(data?.pastes) ? data.pastes : [data];
+  const known = (o) => isGist(o) || isHaste(o) || typeof o?.content === "string";
+  if (!list.length || !list.every(known)) return null;
+  const items = [];
+  const errors = [];
+  list.forEach((o, i) => {
+    const where = list.length > 1 ? `${source}#${i + 1}` : source;
+    try {
+      if (isGist(o)) items.push(fromGist(o, where));
+      else if (isHaste(o)) items.push(manifestItem({ title: o.key, content: o.data }, where));
+      else items.push(manifestItem(o, where));
+    } catch (e) {
+      errors.push(importProblem(where, e));
+    }
+  });
+  return { items, errors };
+}
+
+// `name` is the path used as the title; `source` also names the archive it came
+// from. `budget.bytes` is what archives may still extract, shared by the whole
+// import; `depth` counts the archives around this file.
+async function fromFile(file, name, source, budget, depth = 0) {
+  const lower = name.toLowerCase();
+  if (lower.endsWith(".zip")) {
+    if (depth >= MAX_ZIP_DEPTH) {
+      return { items: [], errors: [importProblem(source, new LocalizedError("bulk.error.zipDepth", { depth: MAX_ZIP_DEPTH }))] };
+    }
+    const out = { items: [], errors: [] };
+    let entries;
+    try {
+      entries = await readZip(file, { maxBytes: MAX_FILE_BYTES, maxTotalBytes: budget.bytes });
+    } catch (e) {
+      return { items: [], errors: [importProblem(source, e)] };
+    }
+    for (const entry of entries) budget.bytes -= entry.bytes?.length || 0;
+    for (const entry of entries) {
+      const where = `${source}/${entry.name}`;
+      if (entry.error) {
+        out.errors.push(importProblem(where, entry.error));
+        continue;
+      }
+      const r = await fromFile(new File([entry.bytes], entry.name.split("/").pop()), entry.name, where, budget, depth + 1);
+      out.items.push(...r.items);
+      out.errors.push(...r.errors);
+    }
+    return out;
+  }
+
+  let text;
+  try {
+    text = (await readTextFile(file)).content;
+  } catch (e) {
+    return { items: [], errors: [importProblem(source, e)] };
+  }
+  // A .json/.csv that isn't a manifest or export is just another file.
+  const parsed = lower.endsWith(".json") ? fromJson(text, source) : lower.endsWith(".csv") ? fromCsv(text, source) : null;
+  if (parsed) return parsed;
+  if (!text.trim()) return { items: [], errors: [importProblem(source, new LocalizedError("bulk.error.emptyFile"))] };
+  return { items: [{ title: name, content: text, language: languageFromFilename(name), source }], errors: [] };
+}
+
+/**
+ * Items from picked files or a picked folder. One bad file or row is reported
+ * in `errors` without blocking the rest. The caller caps the list at
+ * MAX_BULK_ITEMS and says so.
+ * @param {FileList|File[]} fileList
+ * @returns {Promise<{ items: Array<Object>, errors: Array<{ source: string, messageKey: string, params: Object }> }>}
+ */
+export async function importFiles(fileList) {
+  const items = [];
+  const errors = [];
+  const budget = { bytes: MAX_EXTRACTED_BYTES };
+  for (const file of Array.from(fileList || [])) {
+    const name = file.webkitRelativePath || file.name;
+    const r = await fromFile(file, name, name, budget);
+    items.push(...r.items);
+    errors.push(...r.errors);
+  }
+  return { items, errors };
+}
+
+/** The POST /api/pastes body for an item. */
+export function pasteBody(item) {
+  const body = { content: item.content };
+  if (item.title) body.filename = item.title;
+  if (!isBundle(item.content)) {
+    body.language = item.language || languageFromFilename(item.title) || detectLanguage(item.content);
+  }
+  if (item.ttl_seconds) body.ttl_seconds = item.ttl_seconds;
+  if (item.max_views) body.max_views = item.max_views;
+  return body;
+}
+
+/** The text to show or scan for an item: a bundle's files joined, or the content. */
+export function itemText(item) {
+  const bundle = parseBundle(item.content);
+  return bundle ? bundle.files.map((f) => f.content).join("\n") : item.content;
+}
+
+// True when the backend can't have stored anything, so a retry can't create a
+// duplicate: fetch rejected outright (no connection), or a bare 503 from the
+// platform. Timeouts and other 5xx responses may come after the write.
+function failedBeforeProcessing(err) {
+  if (err instanceof api.TimeoutError) return false;
+  if (err instanceof api.NetworkError) return true;
+  return err instanceof api.ApiError && err.status === 503 && !err.body;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const t = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(t);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Create pastes for `items`, at most `concurrency` at a time. Only failures
+ * that happened before the backend stored anything (see failedBeforeProcessing)
+ * are retried with backoff; the rest are reported as failed for the caller to
+ * retry by hand. Aborting `signal` stops new items and pending retries from
+ * starting; creates already in flight run to completion, since aborting a POST
+ * the backend may have stored would turn it into a "failed" item that a manual
+ * retry creates again.
+ *
+ * `onUpdate(index, patch)` reports each item's progress:
+ *   { status: "running" | "retrying" | "done" | "failed", attempts, id?, error? }
+ * `error` is what create() threw; show it with useI18n().error().
+ * Items never started keep whatever status the caller gave them.
+ * @param {Array<Object>} items
+ * @param {{ concurrency?: number, retries?: number, signal?: AbortSignal,
+ *   onUpdate?: (index: number, patch: Object) => void,
+ *   create?: (body: Object, opts: Object) => Promise<{ id: string }> }} [options]
+ */
+export async function runBulk(
+  items,
+  {
+    concurrency = DEFAULT_CONCURRENCY,
+    retries = DEFAULT_RETRIES,
+    signal,
+    onUpdate = () => {},
+    create = (body, opts) => api.createPaste(body, opts),
+  } = {}
+) {
+  let next = 0;
+  async function worker() {
+    while (next < items.length && !signal?.aborted) {
+      const i = next++;
+      for (let attempt = 0; ; attempt++) {
+        onUpdate(i, { status: attempt ? "retrying" : "running", attempts: attempt + 1 });
+        try {
+          const json = await create(pasteBody(items[i]));
+          onUpdate(i, { status: "done", id: json.id, created_at: json.created_at, error: null });
+          break;
+        } catch (e) {
+          if (attempt < retries && failedBeforeProcessing(e) && !signal?.aborted) {
+            onUpdate(i, { error: e });
+            await sleep(RETRY_BASE_DELAY_MS * 2 ** attempt, signal);
+            // Nothing was stored, so a stopped item is safe to retry by hand.
+            if (!signal?.aborted) continue;
+          }
+          onUpdate(i, { status: "failed", error: e });
+          break;
+        }
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+}
+
+/**
+ * The results manifest: `created` maps each new paste id to its URL, and
+ * `items` lists every input with its outcome, in input order.
+ * @param {Array<Object>} items
+ * @param {Array<Object>} results Per-item { status, id?, error? }
+ * @param {string} origin
+ */
+export function resultsManifest(items, results, origin) {
+  const url = (id) => `${origin}/p/${encodeURIComponent(id)}`;
+  const created = {};
+  const rows = items.map((item, i) => {
+    const r = results[i] || {};
+    if (r.status === "done") created[r.id] = url(r.id);
+    return {
+      source: item.source,
+      title: item.title || null,
+      status: r.status === "done" ? "created" : r.status === "failed" ? "failed" : "skipped",
+      ...(r.status === "done" && { id: r.id, url: url(r.id) }),
+      ...(r.status === "failed" && { error: String(r.error?.message || r.error) }),
+    };
+  });
+  return { exported_at: new Date().toISOString(), created, items: rows };
+}
@@ -0,0 +1,165 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import * as api from "./api.js";
+import { MAX_EXTRACTED_BYTES, MAX_ZIP_DEPTH, importFiles, runBulk } from "./bulk.js";
+import { createZip } from "./zip.js";
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("importFiles", () => {
+  it("reports bad rows as codes with their source", async () => {
+    const csv = new File(['content,max_views\n"ok",2\n"",1\nx,0\n'], "list.csv");
+    const { items, errors } = await importFiles([csv]);
+    expect(items).toMatchObject([{ content: "ok", max_views: 2, source: "list.csv:2" }]);
+    expect(errors).toEqual([
+      { source: "list.csv:3", messageKey: "bulk.error.contentRequired", params: {} },
+      { source: "list.csv:4", messageKey: "bulk.error.wholeNumber", params: { field: "max_views" } },
+    ]);
+  });
+
+  it("reads archives and reports their entries by path", async () => {
+    const zip = createZip([
+      { name: "notes/a.md", content: "# hi" },
+      { name: "notes/empty.txt", content: "  " },
+      { name: "export.json", content: JSON.stringify([{ content: "one" }, { content: "", title: "blank" }]) },
+    ]);
+    const { items, errors } = await importFiles([new File([zip], "dump.zip")]);
+    expect(items.map((i) => [i.title, i.source])).toEqual([
+      ["notes/a.md", "dump.zip/notes/a.md"],
+      ["", "dump.zip/export.json#1"],
+    ]);
+    expect(errors.map((e) => [e.source, e.messageKey])).toEqual([
+      ["dump.zip/notes/empty.txt", "bulk.error.emptyFile"],
+      ["dump.zip/export.json#2", "bulk.error.contentRequired"],
+    ]);
+  });
+
+  it("keeps every item; the caller applies MAX_BULK_ITEMS", async () => {
+    const rows = Array.from({ length: 600 }, (_, i) => ({ content: `paste ${i}` }));
+    const { items, errors } = await importFiles([new File([JSON.stringify(rows)], "big.json")]);
+    expect(items).toHaveLength(600);
+    expect(errors).toEqual([]);
+  });
+
+  it("opens archives two deep and no deeper", async () => {
+    const inner = createZip([
+      { name: "deep.txt", content: "two down" },
+      { name: "deeper.zip", content: new Uint8Array(await createZip([{ name: "x.txt", content: "x" }]).arrayBuffer()) },
+    ]);
+    const outer = createZip([{ name: "inner.zip", content: new Uint8Array(await inner.arrayBuffer()) }]);
+    const { items, errors } = await importFiles([new File([outer], "outer.zip")]);
+    expect(items.map((i) => i.source)).toEqual(["outer.zip/inner.zip/deep.txt"]);
+    expect(errors).toEqual([
+      { source: "outer.zip/inner.zip/deeper.zip", messageKey: "bulk.error.zipDepth", params: { depth: MAX_ZIP_DEPTH } },
+    ]);
+  });
+
+  it("stops extracting once the import's archives pass MAX_EXTRACTED_BYTES", async () => {
+    // Just under the per-file limit, so only the total stops them.
+    const big = "x".repeat(1024 * 1024 - 1);
+    const count = Math.ceil(MAX_EXTRACTED_BYTES / big.length) + 2;
+    const zip = createZip(Array.from({ length: count }, (_, i) => ({ name: `f${i}.txt`, content: big })));
+    const { items, errors } = await importFiles([new File([zip], "many.zip"), new File([zip], "again.zip")]);
+    expect(items).toHaveLength(Math.floor(MAX_EXTRACTED_BYTES / big.length));
+    expect(errors.length).toBe(2 * count - items.length);
+    expect(errors.every((e) => e.messageKey === "zip.error.totalTooLarge")).toBe(true);
+  });
+
+  it("reports a file that isn't a ZIP archive", async () => {
+    const { errors } = await importFiles([new File(["not a zip"], "fake.zip")]);
+    expect(errors).toEqual([{ source: "fake.zip", messageKey: "zip.error.notZip", params: {} }]);
+  });
+});
+
+// Runs one item through runBulk with `create` failing with each error in turn.
+async function attempts(...errors) {
+  vi.useFakeTimers();
+  const create = vi.fn(async () => {
+    if (errors.length) throw errors.shift();
+    return { id: "new" };
+  });
+  const updates = [];
+  const done = runBulk([{ content: "x", source: "a.txt" }], { create, onUpdate: (i, patch) => updates.push(patch) });
+  await vi.runAllTimersAsync();
+  await done;
+  return { calls: create.mock.calls.length, last: updates.at(-1) };
+}
+
+describe("runBulk retries", () => {
+  it("retries a request that never reached the backend", async () => {
+    const { calls, last } = await attempts(new api.NetworkError("Network error"));
+    expect(calls).toBe(2);
+    expect(last).toMatchObject({ status: "done", id: "new" });
+  });
+
+  it("retries a 503 with an empty body", async () => {
+    const { calls, last } = await attempts(new api.GatewayError("HTTP 503", { status: 503, body: "" }));
+    expect(calls).toBe(2);
+    expect(last.status).toBe("done");
+  });
+
+  it.each([
+    ["a timeout", new api.TimeoutError("timed out")],
+    ["a 503 with a body", new api.ApiError("busy", { status: 503, body: { error: "busy" } })],
+    ["a 500", new api.ApiError("boom", { status: 500, body: { error: "boom" } })],
+    ["an HTML error page", new api.GatewayError("HTML", { status: 502, body: "<html></html>" })],
+    ["a rejection", new api.ValidationError("bad", { status: 400 })],
+  ])("leaves %s to a manual retry", async (_, error) => {
+    const { calls, last } = await attempts(error);
+    expect(calls).toBe(1);
+    expect(last.status).toBe("failed");
+  });
+
+  it("gives up after the retry budget", async () => {
+    const offline = () => new api.NetworkError("Network error");
+    const { calls, last } = await attempts(offline(), offline(), offline(), offline());
+    expect(calls).toBe(3);
+    expect(last.status).toBe("failed");
+  });
+});
+
+describe("runBulk stop", () => {
+  it("lets a create in flight finish so a retry can't duplicate it", async () => {
+    const controller = new AbortController();
+    let resolve;
+    const create = vi.fn((body, opts) => {
+      expect(opts?.signal).toBeUndefined();
+      return new Promise((r) => (resolve = r));
+    });
+    const results = [];
+    const done = runBulk(
+      [
+        { content: "a", source: "a.txt" },
+        { content: "b", source: "b.txt" },
+      ],
+      { concurrency: 1, signal: controller.signal, create, onUpdate: (i, patch) => (results[i] = { ...results[i], ...patch }) }
+    );
+    controller.abort();
+    resolve({ id: "stored" });
+    await done;
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(results[0]).toMatchObject({ status: "done", id: "stored" });
+    expect(results[1]).toBeUndefined();
+  });
+
+  it("doesn't start a retry after a stop during the backoff", async () => {
+    vi.useFakeTimers();
+    const controller = new AbortController();
+    const create = vi.fn(async () => {
+      throw new api.NetworkError("Network error");
+    });
+    const updates = [];
+    const done = runBulk([{ content: "x", source: "a.txt" }], {
+      signal: controller.signal,
+      create,
+      onUpdate: (i, patch) => updates.push(patch),
+    });
+    await vi.advanceTimersByTimeAsync(0);
+    controller.abort();
+    await vi.runAllTimersAsync();
+    await done;
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(updates.at(-1).status).toBe("failed");
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Multi-file paste bundles.
+ *
+ * The backend stores one `content` string per paste, so a bundle is encoded
+ * into that string:
+ *
+ *   BUNDLE_PREFIX + JSON.stringify({ v: 1, files: [{ name, language?, content }, ...] })
+ *
+ * e.g.  plbundle:v1:{"v":1,"files":[{"name":"app.log","content":"..."}]}
+ *
+ * - `name` is required and unique within the bundle (no path separators).
+ * - `language` is an optional highlight.js id; viewers infer it from the name otherwise.
+ * - Encryption (see crypto.js) wraps the whole encoded bundle, so file names
+ *   stay private for encrypted pastes.
+ *
+ * Content that doesn't start with BUNDLE_PREFIX is a plain single-file paste.
+ */
+import { languageFromFilename } from "./files.js";
+
+export const BUNDLE_PREFIX = "plbundle:v1:";
+
+export function isBundle(content) {
+  return typeof content === "string" && content.startsWith(BUNDLE_PREFIX);
+}
+
+/**
+ * Check a list of { name, content } for problems. Returns the first one as
+ * { messageKey, params } (see errors.js), or null.
+ */
+export function validateBundleFiles(files) {
+  const problem = (messageKey, params = {}) => ({ messageKey, params });
+  if (!files.length) return problem("bundle.error.noFiles");
+  const seen = new Set();
+  for (const [i, f] of files.entries()) {
+    const name = (f.name || "").trim();
+    if (!name) return problem("bundle.error.unnamed", { index: i + 1 });
+    if (/[\\/]/.test(name)) return problem("bundle.error.slash", { name });
+    if (seen.has(name)) return problem("bundle.error.duplicate", { name });
+    seen.add(name);
+    if (!f.content) return problem("bundle.error.empty", { name });
+  }
+  return null;
+}
+
+export function serializeBundle(files) {
+  const out = files.map((f) => {
+    const entry = { name: f.name.trim(), content: f.content };
+    if (f.language) entry.language = f.language;
+    return entry;
+  });
+  return BUNDLE_PREFIX + JSON.stringify({ v: 1, files: out });
+}
+
+/**
+ * One paste as a one-file bundle. Encrypted and password-protected pastes
+ * travel this way so their name and language stay inside the ciphertext
+ * instead of in the backend's plaintext fields.
+ */
+export function singleFileBundle(content, { name, language } = {}) {
+  return serializeBundle([{ name: name || "paste.txt", content, language }]);
+}
+
+/** Parse bundle content into { files }, or null if it isn't a (valid) bundle. */
+export function parseBundle(content) {
+  if (!isBundle(content)) return null;
+  try {
+    const data = JSON.parse(content.slice(BUNDLE_PREFIX.length));
+    if (data?.v !== 1 || !Array.isArray(data.files)) return null;
+    const files = data.files
+      .filter((f) => f && typeof f.name === "string" && typeof f.content === "string")
+      .map((f) => ({
+        name: f.name,
+        content: f.content,
+        language: typeof f.language === "string" && f.language ? f.language : languageFromFilename(f.name),
+      }));
+    return files.length ? { files } : null;
+  } catch {
+    return null;
+  }
+}
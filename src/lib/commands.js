@@ -0,0 +1,92 @@
+/**
+ * Keyboard shortcuts and command palette registry. Pages contribute commands
+ * with useCommands(); CommandProvider (CommandPalette.jsx) owns the global
+ * key handler, the Ctrl+K palette and the `?` help overlay.
+ */
+import { createContext, useContext, useEffect, useRef } from "react";
+
+/**
+ * @typedef {Object} Command
+ * @property {string} id
+ * @property {string} title        Shown in the palette and the help overlay.
+ * @property {string} [section]    Group heading, e.g. "Paste".
+ * @property {string} [shortcut]   "mod+enter", "y", "/"... (mod = Ctrl, or ⌘ on macOS)
+ * @property {boolean} [disabled]
+ * @property {boolean} [hidden]    Shortcut only; not listed in the palette.
+ * @property {() => void} run
+ */
+
+export const CommandContext = createContext({
+  register: () => () => {},
+  openPalette: () => {},
+  openHelp: () => {},
+});
+
+const IS_MAC = typeof navigator !== "undefined" && /Mac|iP(hone|ad|od)/.test(navigator.platform || "");
+
+/**
+ * Register commands while the calling component is mounted. The latest
+ * `commands` array is read when a key is pressed or the palette opens, so
+ * handlers may close over fresh state without re-registering.
+ * @param {Command[]} commands
+ */
+export function useCommands(commands) {
+  const { register } = useContext(CommandContext);
+  const latest = useRef(commands);
+  useEffect(() => {
+    latest.current = commands;
+  });
+  useEffect(() => register(() => latest.current), [register]);
+}
+
+export function useCommandUi() {
+  return useContext(CommandContext);
+}
+
+/** True when keystrokes belong to a text field rather than to shortcuts. */
+export function isTypingTarget(el) {
+  if (!el || !(el instanceof Element)) return false;
+  if (el.isContentEditable) return true;
+  if (el.tagName === "TEXTAREA" || el.tagName === "SELECT") return true;
+  if (el.tagName !== "INPUT") return false;
+  return !["button", "checkbox", "radio", "submit", "reset", "file", "range", "color"].includes(el.type);
+}
+
+/**
+ * Does a keydown event match a shortcut like "mod+k" or "?"? Single keys
+ * without modifiers never fire while typing in a field.
+ * @param {KeyboardEvent} e
+ * @param {string} shortcut
+ */
+export function matchShortcut(e, shortcut) {
+  const parts = shortcut.toLowerCase().split("+");
+  const key = parts.pop();
+  const mod = parts.includes("mod");
+  const shift = parts.includes("shift");
+  if (mod !== (IS_MAC ? e.metaKey : e.ctrlKey)) return false;
+  if (e.altKey || (IS_MAC ? e.ctrlKey : e.metaKey)) return false;
+  // "?" and "/" already encode shift on most layouts, so only check it when asked for.
+  if (shift && !e.shiftKey) return false;
+  if (!mod && isTypingTarget(e.target)) return false;
+  return e.key.toLowerCase() === key;
+}
+
+const KEY_LABELS = { enter: "Enter", escape: "Esc", arrowup: "↑", arrowdown: "↓" };
+
+/** "mod+enter" -> ["Ctrl", "Enter"] (or ["⌘", "Enter"] on macOS), for <kbd>s. */
+export function shortcutKeys(shortcut) {
+  return shortcut.split("+").map((p) => {
+    const k = p.toLowerCase();
+    if (k === "mod") return IS_MAC ? "⌘" : "Ctrl";
+    if (k === "shift") return IS_MAC ? "⇧" : "Shift";
+    return KEY_LABELS[k] || (p.length === 1 ? p.toUpperCase() : p);
+  });
+}
+
+/** A paste id from user input: a bare id or any URL containing /p/:id. */
+export function pasteIdFromInput(input) {
+  const s = String(input || "").trim();
+  const m = s.match(/\/p\/([\w-]+)/);
+  if (m) return m[1];
+  return /^[\w-]{2,}$/.test(s) ? s : null;
+}
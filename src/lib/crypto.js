@@ -0,0 +1,190 @@
+/**
+ * Client-side end-to-end encryption for pastes (WebCrypto AES-GCM).
+ *
+ * Encrypted pastes are stored by the backend as a plain string:
+ *   ENC_PREFIX + JSON envelope { v, alg, kdf, iv, ct, [salt, iter] }
+ *
+ * - kdf "none":   random 256-bit key, shared in the link fragment (#k=...).
+ *                 Fragments are never sent to the server.
+ * - kdf "PBKDF2": key derived from a passphrase the reader has to type in.
+ */
+
+import { LocalizedError } from "./errors.js";
+
+export const ENC_PREFIX = "plenc:v1:";
+
+const PBKDF2_ITERATIONS = 310000;
+// The count comes from the paste; a huge one would hang the reader's tab.
+const MAX_PBKDF2_ITERATIONS = 10 * PBKDF2_ITERATIONS;
+const IV_BYTES = 12;
+const SALT_BYTES = 16;
+
+export class DecryptError extends LocalizedError {
+  /**
+   * @param {"missing_key"|"bad_key"|"bad_envelope"} code
+   * @param {string} messageKey Says which key or passphrase, for the user.
+   */
+  constructor(code, messageKey) {
+    super(messageKey);
+    this.name = "DecryptError";
+    this.code = code;
+  }
+}
+
+function toBase64Url(bytes) {
+  let bin = "";
+  const arr = new Uint8Array(bytes);
+  for (let i = 0; i < arr.length; i++) bin += String.fromCharCode(arr[i]);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(str) {
+  const b64 = str.replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "===".slice((b64.length + 3) % 4));
+  const out = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+  return out;
+}
+
+function randomBytes(n) {
+  return crypto.getRandomValues(new Uint8Array(n));
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+async function importRawKey(keyStr) {
+  let raw;
+  try {
+    raw = fromBase64Url(keyStr);
+  } catch {
+    throw new DecryptError("bad_key", "decrypt.error.malformedKey");
+  }
+  if (raw.length !== 32) {
+    throw new DecryptError("bad_key", "decrypt.error.malformedKey");
+  }
+  return crypto.subtle.importKey("raw", raw, "AES-GCM", false, ["decrypt"]);
+}
+
+export function isEncrypted(content) {
+  return typeof content === "string" && content.startsWith(ENC_PREFIX);
+}
+
+export function parseEnvelope(content) {
+  if (!isEncrypted(content)) return null;
+  try {
+    const env = JSON.parse(content.slice(ENC_PREFIX.length));
+    if (env?.v !== 1 || env.alg !== "AES-GCM" || !env.iv || !env.ct) return null;
+    return env;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Encrypt with a fresh random key.
+ * Returns { content, key } where `key` goes into the link fragment.
+ */
+export async function encryptWithRandomKey(plaintext) {
+  const key = await crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, true, [
+    "encrypt",
+    "decrypt",
+  ]);
+  const iv = randomBytes(IV_BYTES);
+  const ct = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    new TextEncoder().encode(plaintext)
+  );
+  const raw = await crypto.subtle.exportKey("raw", key);
+  const env = { v: 1, alg: "AES-GCM", kdf: "none", iv: toBase64Url(iv), ct: toBase64Url(ct) };
+  return { content: ENC_PREFIX + JSON.stringify(env), key: toBase64Url(raw) };
+}
+
+/** Encrypt with a key derived from `passphrase`. Returns the envelope string. */
+export async function encryptWithPassphrase(plaintext, passphrase) {
+  const salt = randomBytes(SALT_BYTES);
+  const iv = randomBytes(IV_BYTES);
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const ct = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    new TextEncoder().encode(plaintext)
+  );
+  const env = {
+    v: 1,
+    alg: "AES-GCM",
+    kdf: "PBKDF2",
+    iter: PBKDF2_ITERATIONS,
+    salt: toBase64Url(salt),
+    iv: toBase64Url(iv),
+    ct: toBase64Url(ct),
+  };
+  return ENC_PREFIX + JSON.stringify(env);
+}
+
+/**
+ * Decrypt an envelope. Pass `{ key }` for link-key pastes or
+ * `{ passphrase }` for PBKDF2 pastes. Throws DecryptError.
+ */
+export async function decryptEnvelope(env, { key, passphrase } = {}) {
+  let cryptoKey;
+  if (env.kdf === "PBKDF2") {
+    if (!passphrase) {
+      throw new DecryptError("missing_key", "decrypt.error.missingPassphrase");
+    }
+    const iter = env.iter ?? PBKDF2_ITERATIONS;
+    if (!Number.isInteger(iter) || iter < 1 || iter > MAX_PBKDF2_ITERATIONS) {
+      throw new DecryptError("bad_envelope", "decrypt.error.badEnvelope");
+    }
+    let salt;
+    try {
+      salt = fromBase64Url(env.salt);
+    } catch {
+      throw new DecryptError("bad_envelope", "decrypt.error.badEnvelope");
+    }
+    cryptoKey = await deriveKey(passphrase, salt, iter);
+  } else {
+    if (!key) {
+      throw new DecryptError("missing_key", "decrypt.error.missingKey");
+    }
+    cryptoKey = await importRawKey(key);
+  }
+
+  let iv;
+  let ct;
+  try {
+    iv = fromBase64Url(env.iv);
+    ct = fromBase64Url(env.ct);
+  } catch {
+    throw new DecryptError("bad_envelope", "decrypt.error.badEnvelope");
+  }
+  let pt;
+  try {
+    pt = await crypto.subtle.decrypt({ name: "AES-GCM", iv }, cryptoKey, ct);
+  } catch {
+    throw new DecryptError("bad_key", env.kdf === "PBKDF2" ? "decrypt.error.wrongPassphrase" : "decrypt.error.wrongKey");
+  }
+  return new TextDecoder().decode(pt);
+}
+
+/** Read the `k` parameter from a URL fragment like "#k=abc". */
+export function keyFromHash(hash) {
+  if (!hash) return "";
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  return params.get("k") || "";
+}
@@ -0,0 +1,86 @@
+import { describe, expect, it } from "vitest";
+import {
+  DecryptError,
+  ENC_PREFIX,
+  decryptEnvelope,
+  encryptWithPassphrase,
+  encryptWithRandomKey,
+  keyFromHash,
+  parseEnvelope,
+} from "./crypto.js";
+
+const TEXT = "línea 1 — secret ✓\nline 2";
+
+// The envelope with the first ciphertext byte changed.
+function tamper(env) {
+  return { ...env, ct: (env.ct[0] === "A" ? "B" : "A") + env.ct.slice(1) };
+}
+
+describe("link-key envelopes", () => {
+  it("round-trips through the plenc:v1: envelope", async () => {
+    const { content, key } = await encryptWithRandomKey(TEXT);
+    expect(content.startsWith(ENC_PREFIX)).toBe(true);
+    expect(content).not.toContain("secret");
+    const env = parseEnvelope(content);
+    expect(env).toMatchObject({ v: 1, alg: "AES-GCM", kdf: "none" });
+    expect(await decryptEnvelope(env, { key: keyFromHash(`#k=${key}`) })).toBe(TEXT);
+  });
+
+  it("rejects another paste's key", async () => {
+    const { content } = await encryptWithRandomKey(TEXT);
+    const { key: other } = await encryptWithRandomKey("other");
+    const err = await decryptEnvelope(parseEnvelope(content), { key: other }).catch((e) => e);
+    expect(err).toBeInstanceOf(DecryptError);
+    expect(err).toMatchObject({ code: "bad_key", messageKey: "decrypt.error.wrongKey" });
+  });
+
+  it("rejects a missing or malformed key", async () => {
+    const env = parseEnvelope((await encryptWithRandomKey(TEXT)).content);
+    await expect(decryptEnvelope(env)).rejects.toMatchObject({ code: "missing_key" });
+    await expect(decryptEnvelope(env, { key: "short" })).rejects.toMatchObject({ messageKey: "decrypt.error.malformedKey" });
+  });
+
+  it("rejects tampered ciphertext", async () => {
+    const { content, key } = await encryptWithRandomKey(TEXT);
+    await expect(decryptEnvelope(tamper(parseEnvelope(content)), { key })).rejects.toBeInstanceOf(DecryptError);
+  });
+});
+
+describe("passphrase envelopes", () => {
+  it("round-trips, and refuses a wrong passphrase or tampered ciphertext", async () => {
+    const env = parseEnvelope(await encryptWithPassphrase(TEXT, "correct horse"));
+    expect(env).toMatchObject({ kdf: "PBKDF2", iter: expect.any(Number), salt: expect.any(String) });
+
+    expect(await decryptEnvelope(env, { passphrase: "correct horse" })).toBe(TEXT);
+    await expect(decryptEnvelope(env, { passphrase: "battery staple" })).rejects.toMatchObject({
+      code: "bad_key",
+      messageKey: "decrypt.error.wrongPassphrase",
+    });
+    await expect(decryptEnvelope(tamper(env), { passphrase: "correct horse" })).rejects.toBeInstanceOf(DecryptError);
+    await expect(decryptEnvelope(env)).rejects.toMatchObject({ messageKey: "decrypt.error.missingPassphrase" });
+  });
+});
+
+describe("malformed envelopes", () => {
+  it.each([
+    ["a huge iteration count", { iter: 1e12 }],
+    ["a fractional iteration count", { iter: 1.5 }],
+    ["an iteration count that isn't a number", { iter: "310000" }],
+    ["a salt that isn't base64", { salt: "%%%" }],
+    ["a missing salt", { salt: undefined }],
+    ["an IV that isn't base64", { iv: "%%%" }],
+  ])("rejects %s with a DecryptError", async (_, patch) => {
+    const env = { v: 1, alg: "AES-GCM", kdf: "PBKDF2", iter: 1000, salt: "c2FsdA", iv: "aXZpdml2aXZpdml2", ct: "Y3Q", ...patch };
+    const err = await decryptEnvelope(env, { passphrase: "pw" }).catch((e) => e);
+    expect(err).toBeInstanceOf(DecryptError);
+    expect(err).toMatchObject({ code: "bad_envelope", messageKey: "decrypt.error.badEnvelope" });
+  });
+});
+
+describe("parseEnvelope", () => {
+  it("ignores plain content and envelopes it doesn't understand", () => {
+    expect(parseEnvelope("hello")).toBeNull();
+    expect(parseEnvelope(`${ENC_PREFIX}not json`)).toBeNull();
+    expect(parseEnvelope(`${ENC_PREFIX}${JSON.stringify({ v: 2, alg: "AES-GCM", iv: "a", ct: "b" })}`)).toBeNull();
+  });
+});
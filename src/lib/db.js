@@ -0,0 +1,69 @@
+/**
+ * The app's IndexedDB database, shared by history.js and queue.js.
+ *
+ * Stores:
+ *   history  keyPath "id"            (v1)
+ *   queue    keyPath "qid", auto-inc (v2) pastes waiting to be sent
+ */
+import { LocalizedError } from "./errors.js";
+
+const DB_NAME = "pastebin-lite";
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new LocalizedError("db.error.unavailable"));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains("history")) {
+        const store = db.createObjectStore("history", { keyPath: "id" });
+        store.createIndex("created_at", "created_at");
+      }
+      if (!db.objectStoreNames.contains("queue")) {
+        db.createObjectStore("queue", { keyPath: "qid", autoIncrement: true });
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  // Allow a retry on the next call if opening failed.
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+/**
+ * Run `fn(store)` in a transaction on `storeName`; resolves with fn's
+ * (awaited) result once the transaction commits.
+ */
+export function tx(storeName, mode, fn) {
+  return openDb().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const t = db.transaction(storeName, mode);
+        const store = t.objectStore(storeName);
+        let result;
+        Promise.resolve(fn(store)).then((r) => {
+          result = r;
+        });
+        t.oncomplete = () => resolve(result);
+        t.onerror = () => reject(t.error);
+        t.onabort = () => reject(t.error);
+      })
+  );
+}
+
+export function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
@@ -0,0 +1,238 @@
+/**
+ * Line diff (Myers' O(ND) algorithm) with word-level intra-line highlighting.
+ *
+ * Pastes can be large, so the common prefix/suffix is trimmed first and the
+ * edit script is capped at MAX_EDIT_DISTANCE; beyond that the differing middle
+ * is reported as one big replacement instead of hanging the tab.
+ */
+
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Myers diff of two arrays. Returns ops [{ type: "equal"|"delete"|"insert", a, b }]
+ * where `a`/`b` are indexes into the inputs, or null if the distance exceeds `limit`.
+ */
+function myers(a, b, limit) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const off = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // trace[d] holds v for k in [-d-1, d+1] as it was before step d.
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    if (d > limit) return null;
+    trace.push(v.slice(off - d - 1, off + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[off + k - 1] < v[off + k + 1]) ? v[off + k + 1] : v[off + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[off + k] = x;
+      if (x >= n && y >= m) return backtrack(trace, n, m);
+    }
+  }
+  return backtrack(trace, n, m);
+}
+
+function backtrack(trace, n, m) {
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const vd = trace[d];
+    const get = (k) => vd[k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && get(k - 1) < get(k + 1)) ? k + 1 : k - 1;
+    const prevX = get(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push({ type: "equal", a: x - 1, b: y - 1 });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) ops.push({ type: "insert", b: y - 1 });
+      else ops.push({ type: "delete", a: x - 1 });
+    }
+    x = prevX;
+    y = prevY;
+  }
+  return ops.reverse();
+}
+
+/** Diff two arrays, trimming the shared prefix/suffix first. */
+function diffArrays(a, b, limit = MAX_EDIT_DISTANCE) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  for (let i = 0; i < start; i++) ops.push({ type: "equal", a: i, b: i });
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const mid = myers(midA, midB, limit);
+  if (mid) {
+    for (const op of mid) {
+      ops.push({
+        type: op.type,
+        a: op.a == null ? undefined : op.a + start,
+        b: op.b == null ? undefined : op.b + start,
+      });
+    }
+  } else {
+    for (let i = start; i < endA; i++) ops.push({ type: "delete", a: i });
+    for (let j = start; j < endB; j++) ops.push({ type: "insert", b: j });
+  }
+
+  for (let i = 0; i < a.length - endA; i++) ops.push({ type: "equal", a: endA + i, b: endB + i });
+  return ops;
+}
+
+/**
+ * Word-level diff of two lines for intra-line highlighting.
+ * Returns { left, right }: arrays of { text, changed }.
+ */
+export function diffWords(aLine, bLine) {
+  const tokenize = (s) => s.match(/\w+|\s+|[^\w\s]/g) || [];
+  const a = tokenize(aLine);
+  const b = tokenize(bLine);
+  const ops = diffArrays(a, b, 500);
+  const left = [];
+  const right = [];
+  const push = (list, text, changed) => {
+    const last = list[list.length - 1];
+    if (last && last.changed === changed) last.text += text;
+    else list.push({ text, changed });
+  };
+  for (const op of ops) {
+    if (op.type === "equal") {
+      push(left, a[op.a], false);
+      push(right, b[op.b], false);
+    } else if (op.type === "delete") {
+      push(left, a[op.a], true);
+    } else {
+      push(right, b[op.b], true);
+    }
+  }
+  return { left, right };
+}
+
+/**
+ * Line diff of two texts, grouped into blocks:
+ *   { type: "equal", lines: [{ aNo, bNo, text }] }
+ *   { type: "change", dels: [{ aNo, text, words? }], ins: [{ bNo, text, words? }] }
+ * Changed lines that pair up (i-th delete with i-th insert) carry `words`
+ * segments for intra-line highlighting. Line numbers are 1-based.
+ */
+export function diffLines(aText, bText) {
+  const a = (aText ?? "").split("\n");
+  const b = (bText ?? "").split("\n");
+  const ops = diffArrays(a, b);
+
+  const blocks = [];
+  let cur = null;
+  for (const op of ops) {
+    const type = op.type === "equal" ? "equal" : "change";
+    if (!cur || cur.type !== type) {
+      cur = type === "equal" ? { type, lines: [] } : { type, dels: [], ins: [] };
+      blocks.push(cur);
+    }
+    if (op.type === "equal") cur.lines.push({ aNo: op.a + 1, bNo: op.b + 1, text: a[op.a] });
+    else if (op.type === "delete") cur.dels.push({ aNo: op.a + 1, text: a[op.a] });
+    else cur.ins.push({ bNo: op.b + 1, text: b[op.b] });
+  }
+
+  let added = 0;
+  let removed = 0;
+  for (const block of blocks) {
+    if (block.type !== "change") continue;
+    added += block.ins.length;
+    removed += block.dels.length;
+    const pairs = Math.min(block.dels.length, block.ins.length);
+    for (let i = 0; i < pairs; i++) {
+      const { left, right } = diffWords(block.dels[i].text, block.ins[i].text);
+      block.dels[i].words = left;
+      block.ins[i].words = right;
+    }
+  }
+  return { blocks, added, removed };
+}
+
+/**
+ * Unified-diff hunks from diffLines() blocks, with `context` lines around changes.
+ * Each hunk: { header: "@@ -a,n +b,m @@", lines: [{ type: " "|"-"|"+", aNo?, bNo?, text, words? }] }
+ */
+export function toHunks(blocks, context = 3) {
+  const flat = [];
+  for (const block of blocks) {
+    if (block.type === "equal") {
+      for (const l of block.lines) flat.push({ type: " ", ...l });
+    } else {
+      for (const l of block.dels) flat.push({ type: "-", ...l });
+      for (const l of block.ins) flat.push({ type: "+", ...l });
+    }
+  }
+
+  const hunks = [];
+  let hunk = null;
+  let lastChange = -Infinity;
+  for (let i = 0; i < flat.length; i++) {
+    if (flat[i].type === " ") continue;
+    if (!hunk || i - lastChange > 2 * context) {
+      hunk = { lines: [] };
+      hunks.push(hunk);
+      for (let j = Math.max(0, i - context); j < i; j++) hunk.lines.push(flat[j]);
+    } else {
+      // Close enough to the previous change: keep the context between them.
+      for (let j = lastChange + 1; j < i; j++) hunk.lines.push(flat[j]);
+    }
+    hunk.lines.push(flat[i]);
+    hunk.end = i;
+    lastChange = i;
+  }
+  for (const h of hunks) {
+    for (let j = h.end + 1; j < Math.min(flat.length, h.end + 1 + context); j++) {
+      if (flat[j].type !== " ") break;
+      h.lines.push(flat[j]);
+    }
+  }
+
+  for (const h of hunks) {
+    const aLines = h.lines.filter((l) => l.type !== "+");
+    const bLines = h.lines.filter((l) => l.type !== "-");
+    const aStart = aLines[0]?.aNo ?? (h.lines[0]?.bNo || 1) - 1;
+    const bStart = bLines[0]?.bNo ?? (h.lines[0]?.aNo || 1) - 1;
+    h.header = `@@ -${aStart},${aLines.length} +${bStart},${bLines.length} @@`;
+    delete h.end;
+  }
+  return hunks;
+}
+
+/**
+ * Side-by-side rows from diffLines() blocks.
+ * Each row: { left: line|null, right: line|null, type: "equal"|"change" }.
+ */
+export function toRows(blocks) {
+  const rows = [];
+  for (const block of blocks) {
+    if (block.type === "equal") {
+      for (const l of block.lines) rows.push({ type: "equal", left: l, right: l });
+    } else {
+      const n = Math.max(block.dels.length, block.ins.length);
+      for (let i = 0; i < n; i++) {
+        rows.push({ type: "change", left: block.dels[i] || null, right: block.ins[i] || null });
+      }
+    }
+  }
+  return rows;
+}
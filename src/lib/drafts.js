@@ -0,0 +1,42 @@
+/**
+ * Autosaved Create-form draft (localStorage), so typed content survives
+ * reloads, crashes and flaky connections. Passphrases are never saved.
+ */
+
+const DRAFT_KEY = "pastebin-lite:draft";
+
+/** The saved draft { content, language, filename, files, parentId, saved_at }, or null. */
+export function loadDraft() {
+  try {
+    const d = JSON.parse(localStorage.getItem(DRAFT_KEY) || "null");
+    if (!d || typeof d !== "object") return null;
+    return {
+      content: typeof d.content === "string" ? d.content : "",
+      language: typeof d.language === "string" ? d.language : "",
+      filename: typeof d.filename === "string" ? d.filename : "",
+      files: Array.isArray(d.files) ? d.files.filter((f) => f && typeof f.content === "string") : [],
+      parentId: typeof d.parentId === "string" ? d.parentId : "",
+      saved_at: Number(d.saved_at) || 0,
+    };
+  } catch {
+    return null;
+  }
+}
+
+export function saveDraft(draft) {
+  try {
+    const empty = !draft.content?.trim() && !draft.files?.length;
+    if (empty) localStorage.removeItem(DRAFT_KEY);
+    else localStorage.setItem(DRAFT_KEY, JSON.stringify({ ...draft, saved_at: Date.now() }));
+  } catch {
+    // Quota exceeded or storage disabled: autosave is best-effort.
+  }
+}
+
+export function clearDraft() {
+  try {
+    localStorage.removeItem(DRAFT_KEY);
+  } catch {
+    // ignore
+  }
+}
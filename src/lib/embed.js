@@ -0,0 +1,103 @@
+/**
+ * Embedding pastes in other pages: /embed/:id (iframe view), /raw/:id (text
+ * only), copy-able snippets and oEmbed metadata.
+ *
+ * No browser or React APIs here: api/oembed.js (a Vercel function) and the
+ * Vite dev server import this module too.
+ *
+ * Nothing here fetches the paste. An unfurl must never spend one of its views,
+ * so oEmbed responses only carry what the URL itself says.
+ */
+
+export const PROVIDER_NAME = "Pastebin Lite";
+export const DEFAULT_EMBED_WIDTH = 640;
+export const DEFAULT_EMBED_HEIGHT = 400;
+
+/** postMessage type the embed view uses to report its content height (see public/embed.js). */
+export const EMBED_HEIGHT_MESSAGE = "pastebin-lite:embed-height";
+
+// /p/:id, /embed/:id and /raw/:id all identify the same paste.
+const PASTE_PATH = /^\/(?:p|embed|raw)\/([^/?#]+)\/?$/;
+
+/**
+ * The paste id in a paste, embed or raw URL on `origin`, or null.
+ * @param {string} url
+ * @param {string} origin e.g. "https://paste.example.com"
+ */
+export function pasteIdFromUrl(url, origin) {
+  let u;
+  try {
+    u = new URL(url, origin);
+  } catch {
+    return null;
+  }
+  if (u.origin !== new URL(origin).origin) return null;
+  const m = u.pathname.match(PASTE_PATH);
+  return m ? decodeURIComponent(m[1]) : null;
+}
+
+// Only the decryption key (#k=) carries over from a paste page's fragment;
+// line anchors don't apply to embeds.
+function keyFragment(hash) {
+  const key = new URLSearchParams(String(hash || "").replace(/^#/, "")).get("k");
+  return key ? `#k=${key}` : "";
+}
+
+/** URL of the iframe view. `hash` is the paste page's fragment. */
+export function embedUrl(origin, id, hash) {
+  return `${origin}/embed/${encodeURIComponent(id)}${keyFragment(hash)}`;
+}
+
+/** URL of the plain-text view. `hash` is the paste page's fragment. */
+export function rawUrl(origin, id, hash) {
+  return `${origin}/raw/${encodeURIComponent(id)}${keyFragment(hash)}`;
+}
+
+export function oembedUrl(origin, pageUrl) {
+  return `${origin}/oembed?format=json&url=${encodeURIComponent(pageUrl)}`;
+}
+
+function escapeAttr(s) {
+  return String(s).replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+}
+
+/** Fixed-size <iframe> snippet. */
+export function iframeSnippet(src, { title, width = "100%", height = DEFAULT_EMBED_HEIGHT } = {}) {
+  return (
+    `<iframe src="${escapeAttr(src)}" title="${escapeAttr(title || PROVIDER_NAME)}" ` +
+    `width="${escapeAttr(width)}" height="${escapeAttr(height)}" style="border:0" loading="lazy"></iframe>`
+  );
+}
+
+/** <script> snippet: public/embed.js inserts the iframe and sizes it to the paste. */
+export function scriptSnippet(origin, src) {
+  return `<script async src="${escapeAttr(`${origin}/embed.js`)}" data-embed="${escapeAttr(src)}"></script>`;
+}
+
+/**
+ * oEmbed 1.0 "rich" response for a paste URL, or null if `url` isn't a paste
+ * on `origin`. `maxwidth` / `maxheight` cap the iframe size.
+ *
+ * A #k= decryption key in `url` is dropped: the consumer sent it to us in a
+ * query string, and echoing it back would spread it further. Embeds of
+ * encrypted pastes made this way link to the full view instead.
+ * @see https://oembed.com/
+ */
+export function oembedFor(url, origin, { maxwidth, maxheight } = {}) {
+  const id = pasteIdFromUrl(url, origin);
+  if (!id) return null;
+  const cap = (n, max) => (Number(max) > 0 ? Math.min(n, Math.floor(Number(max))) : n);
+  const width = cap(DEFAULT_EMBED_WIDTH, maxwidth);
+  const height = cap(DEFAULT_EMBED_HEIGHT, maxheight);
+  const title = `Paste ${id}`;
+  return {
+    version: "1.0",
+    type: "rich",
+    title,
+    provider_name: PROVIDER_NAME,
+    provider_url: `${origin}/`,
+    width,
+    height,
+    html: iframeSnippet(embedUrl(origin, id), { title, width, height }),
+  };
+}
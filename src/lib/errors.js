@@ -0,0 +1,18 @@
+/**
+ * Errors meant for the user. Lib modules stay free of UI text: they throw a
+ * LocalizedError (or return a plain { messageKey, params } for problems that
+ * aren't thrown) naming a catalog key in src/locales, and the UI turns it into
+ * text with useI18n().error().
+ */
+export class LocalizedError extends Error {
+  /**
+   * @param {string} messageKey Catalog key, e.g. "files.error.binary".
+   * @param {Object} [params]   Values for the message's {placeholders}.
+   */
+  constructor(messageKey, params = {}) {
+    super(messageKey);
+    this.name = "LocalizedError";
+    this.messageKey = messageKey;
+    this.params = params;
+  }
+}
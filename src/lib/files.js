@@ -0,0 +1,136 @@
+/**
+ * Reading local text files into pastes (file picker, drag-and-drop, clipboard).
+ */
+import { LocalizedError } from "./errors.js";
+
+export const MAX_FILE_BYTES = 1024 * 1024; // 1 MiB per file
+const BINARY_SNIFF_BYTES = 8192;
+
+const EXT_LANGUAGES = {
+  c: "c",
+  h: "c",
+  cc: "cpp",
+  cpp: "cpp",
+  cxx: "cpp",
+  hpp: "cpp",
+  cs: "csharp",
+  css: "css",
+  scss: "scss",
+  less: "less",
+  diff: "diff",
+  patch: "diff",
+  go: "go",
+  ini: "ini",
+  toml: "ini",
+  cfg: "ini",
+  conf: "ini",
+  java: "java",
+  js: "javascript",
+  mjs: "javascript",
+  cjs: "javascript",
+  jsx: "javascript",
+  json: "json",
+  kt: "kotlin",
+  kts: "kotlin",
+  md: "markdown",
+  markdown: "markdown",
+  php: "php",
+  py: "python",
+  rb: "ruby",
+  rs: "rust",
+  sh: "bash",
+  bash: "bash",
+  zsh: "bash",
+  sql: "sql",
+  swift: "swift",
+  ts: "typescript",
+  tsx: "typescript",
+  html: "xml",
+  htm: "xml",
+  xml: "xml",
+  svg: "xml",
+  yml: "yaml",
+  yaml: "yaml",
+  txt: "plaintext",
+  log: "plaintext",
+};
+
+/** Language id for a filename, or "" when the extension is unknown. */
+export function languageFromFilename(name) {
+  const base = (name || "").split(/[\\/]/).pop().toLowerCase();
+  if (base === "makefile") return "makefile";
+  if (base === "dockerfile") return "bash";
+  const dot = base.lastIndexOf(".");
+  if (dot <= 0) return "";
+  return EXT_LANGUAGES[base.slice(dot + 1)] || "";
+}
+
+export function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function looksBinary(bytes) {
+  const sample = bytes.subarray(0, BINARY_SNIFF_BYTES);
+  // NUL bytes basically never show up in text files.
+  if (sample.includes(0)) return true;
+  let control = 0;
+  for (const b of sample) {
+    if (b < 9 || (b > 13 && b < 32)) control++;
+  }
+  return sample.length > 0 && control / sample.length > 0.1;
+}
+
+/**
+ * Read a File as UTF-8 text.
+ * Rejects files over MAX_FILE_BYTES and anything that looks binary, with a
+ * LocalizedError. Resolves to { name, content, language, size }.
+ */
+export async function readTextFile(file, maxBytes = MAX_FILE_BYTES) {
+  if (file.size > maxBytes) {
+    throw new LocalizedError("files.error.tooLarge", {
+      name: file.name,
+      size: formatBytes(file.size),
+      limit: formatBytes(maxBytes),
+    });
+  }
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  if (looksBinary(bytes)) {
+    throw new LocalizedError("files.error.binary", { name: file.name });
+  }
+  let content;
+  try {
+    content = new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch {
+    throw new LocalizedError("files.error.notUtf8", { name: file.name });
+  }
+  return { name: file.name, content, language: languageFromFilename(file.name), size: file.size };
+}
+
+/**
+ * Read several files; returns { files, errors } so one bad file doesn't block
+ * the rest. `errors` holds the LocalizedErrors from readTextFile().
+ */
+export async function readTextFiles(fileList, maxBytes) {
+  const files = [];
+  const errors = [];
+  for (const f of Array.from(fileList || [])) {
+    try {
+      files.push(await readTextFile(f, maxBytes));
+    } catch (e) {
+      errors.push(e);
+    }
+  }
+  return { files, errors };
+}
+
+/** Save a Blob through a temporary download link. */
+export function downloadBlob(blob, name) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+}
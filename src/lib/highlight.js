@@ -0,0 +1,117 @@
+/**
+ * Syntax highlighting helpers (highlight.js "common" bundle).
+ *
+ * Highlighting runs synchronously on the main thread, so anything above
+ * MAX_HIGHLIGHT_CHARS is rendered as plain text to keep big pastes responsive.
+ */
+import hljs from "highlight.js/lib/common";
+
+export const MAX_HIGHLIGHT_CHARS = 200000;
+// Auto-detection tries every language; a sample is plenty to decide.
+const DETECT_SAMPLE_CHARS = 20000;
+
+/** Language ids offered in the Create form, in display order; labels are "language.<id>" in the catalogs. */
+export const LANGUAGES = [
+  "plaintext", "bash", "c", "cpp", "csharp", "css", "diff", "go", "ini", "java", "javascript", "json",
+  "kotlin", "markdown", "makefile", "php", "python", "ruby", "rust", "sql", "swift", "typescript", "xml",
+  "yaml",
+];
+
+export function isKnownLanguage(lang) {
+  return !!lang && !!hljs.getLanguage(lang);
+}
+
+/** Display name for a language id; `t` is the UI translator (useI18n().t). */
+export function languageLabel(lang, t) {
+  if (!lang) return t("language.plaintext");
+  return LANGUAGES.includes(lang) ? t(`language.${lang}`) : lang;
+}
+
+/** Best-guess language id for `text`, or "plaintext" when nothing fits. */
+export function detectLanguage(text) {
+  if (!text || !text.trim()) return "plaintext";
+  const res = hljs.highlightAuto(text.slice(0, DETECT_SAMPLE_CHARS));
+  // Low relevance scores are mostly noise on prose/log output.
+  return res.language && res.relevance >= 5 ? res.language : "plaintext";
+}
+
+function escapeHtml(s) {
+  return s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/**
+ * Split highlight.js HTML into one string per source line, closing spans that
+ * cross a line break and reopening them on the next line.
+ */
+function splitHtmlLines(html) {
+  const lines = [];
+  const open = [];
+  let cur = "";
+  const re = /<span[^>]*>|<\/span>|\n/g;
+  let last = 0;
+  let m;
+  while ((m = re.exec(html))) {
+    cur += html.slice(last, m.index);
+    last = re.lastIndex;
+    if (m[0] === "\n") {
+      lines.push(cur + "</span>".repeat(open.length));
+      cur = open.join("");
+    } else if (m[0] === "</span>") {
+      open.pop();
+      cur += m[0];
+    } else {
+      open.push(m[0]);
+      cur += m[0];
+    }
+  }
+  lines.push(cur + html.slice(last));
+  return lines;
+}
+
+/**
+ * Highlight `text` and return { language, lines } where `lines` holds one
+ * HTML-escaped (and possibly highlighted) string per source line.
+ */
+export function highlightLines(text, language) {
+  const src = text ?? "";
+  let lang = language && language !== "auto" ? language : null;
+  if (src.length > MAX_HIGHLIGHT_CHARS) {
+    return { language: lang || "plaintext", lines: escapeHtml(src).split("\n"), truncated: true };
+  }
+  if (!isKnownLanguage(lang)) lang = detectLanguage(src);
+  if (lang === "plaintext") {
+    return { language: lang, lines: escapeHtml(src).split("\n"), truncated: false };
+  }
+  const html = hljs.highlight(src, { language: lang, ignoreIllegals: true }).value;
+  return { language: lang, lines: splitHtmlLines(html), truncated: false };
+}
+
+/**
+ * Parse "#L10" / "#L10-L20" out of a location hash. The hash may carry other
+ * "&"-separated parts (e.g. the encryption key "k=...").
+ * Returns { start, end } (1-based, inclusive) or null.
+ */
+export function parseLineRange(hash) {
+  const part = (hash || "")
+    .replace(/^#/, "")
+    .split("&")
+    .find((p) => /^L\d+(-L?\d+)?$/.test(p));
+  if (!part) return null;
+  const [a, b] = part.slice(1).split("-");
+  const start = Number(a);
+  const end = b ? Number(b.replace(/^L/, "")) : start;
+  if (!start || !end) return null;
+  return { start: Math.min(start, end), end: Math.max(start, end) };
+}
+
+/** Replace (or drop, when `range` is null) the line range in `hash`, keeping other parts. */
+export function withLineRange(hash, range) {
+  const parts = (hash || "")
+    .replace(/^#/, "")
+    .split("&")
+    .filter((p) => p && !/^L\d+(-L?\d+)?$/.test(p));
+  if (range) {
+    parts.push(range.start === range.end ? `L${range.start}` : `L${range.start}-L${range.end}`);
+  }
+  return parts.length ? `#${parts.join("&")}` : "";
+}
@@ -0,0 +1,109 @@
+/**
+ * Local history of pastes created from this browser, kept in IndexedDB.
+ *
+ * Entry shape:
+ *   { id, created_at (ms), ttl_seconds|null, max_views|null, preview, language, url }
+ *
+ * `url` is the path to open the paste, including the decryption key fragment
+ * for link-key encrypted pastes, so history links keep working. It is always
+ * /p/<id>, optionally with #k=<key>; anything else in imported data is dropped.
+ */
+
+import { keyFromHash } from "./crypto.js";
+import { request, tx as dbTx } from "./db.js";
+import { LocalizedError } from "./errors.js";
+
+const STORE = "history";
+const PREVIEW_CHARS = 200;
+
+function tx(mode, fn) {
+  return dbTx(STORE, mode, fn);
+}
+
+export function makePreview(content) {
+  const s = (content || "").replace(/\s+/g, " ").trim();
+  return s.length > PREVIEW_CHARS ? `${s.slice(0, PREVIEW_CHARS)}…` : s;
+}
+
+// The entry's link, rebuilt from its id. Only the #k= key is taken from `url`,
+// and only when it points at the same paste: an imported "//evil.example"
+// would otherwise be a working link on the history page.
+function entryUrl(id, url) {
+  const path = `/p/${encodeURIComponent(id)}`;
+  const hash = typeof url === "string" && url.startsWith(`${path}#`) ? url.slice(path.length) : "";
+  const key = keyFromHash(hash);
+  return /^[\w-]+$/.test(key) ? `${path}#k=${key}` : path;
+}
+
+/** Turn arbitrary imported data into a valid entry, or null. */
+export function normalizeEntry(raw) {
+  if (!raw || typeof raw.id !== "string" || !raw.id) return null;
+  const created = typeof raw.created_at === "string" ? Date.parse(raw.created_at) : Number(raw.created_at);
+  const posInt = (v) => (Number.isInteger(v) && v > 0 ? v : null);
+  return {
+    id: raw.id,
+    created_at: Number.isFinite(created) ? created : Date.now(),
+    ttl_seconds: posInt(raw.ttl_seconds),
+    max_views: posInt(raw.max_views),
+    preview: typeof raw.preview === "string" ? raw.preview.slice(0, PREVIEW_CHARS + 1) : "",
+    language: typeof raw.language === "string" ? raw.language : "",
+    url: entryUrl(raw.id, raw.url),
+  };
+}
+
+/** Milliseconds until TTL expiry, or null when the paste has no TTL. */
+export function expiresAt(entry) {
+  return entry.ttl_seconds ? entry.created_at + entry.ttl_seconds * 1000 : null;
+}
+
+export function addHistoryEntry(entry) {
+  const e = normalizeEntry(entry);
+  if (!e) return Promise.reject(new Error("History entry needs an id."));
+  return tx("readwrite", (store) => {
+    store.put(e);
+  });
+}
+
+export function listHistory() {
+  return tx("readonly", (store) => request(store.getAll()));
+}
+
+export function deleteHistoryEntry(id) {
+  return tx("readwrite", (store) => {
+    store.delete(id);
+  });
+}
+
+export function clearHistory() {
+  return tx("readwrite", (store) => {
+    store.clear();
+  });
+}
+
+/** Serialize all entries to a JSON string for download. */
+export async function exportHistory() {
+  const entries = await listHistory();
+  return JSON.stringify({ format: "pastebin-lite-history", version: 1, entries }, null, 2);
+}
+
+/**
+ * Merge entries from an exported JSON string (or a bare array).
+ * Returns the number of entries imported.
+ */
+export async function importHistory(jsonText) {
+  let data;
+  try {
+    data = JSON.parse(jsonText);
+  } catch {
+    throw new LocalizedError("history.error.invalidJson");
+  }
+  const list = Array.isArray(data) ? data : data?.entries;
+  if (!Array.isArray(list)) {
+    throw new LocalizedError("history.error.noEntries");
+  }
+  const entries = list.map(normalizeEntry).filter(Boolean);
+  await tx("readwrite", (store) => {
+    for (const e of entries) store.put(e);
+  });
+  return entries.length;
+}
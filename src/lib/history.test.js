@@ -0,0 +1,15 @@
+import { describe, expect, it } from "vitest";
+import { normalizeEntry } from "./history.js";
+
+describe("normalizeEntry", () => {
+  it("keeps a link to the paste and its key", () => {
+    expect(normalizeEntry({ id: "abc", url: "/p/abc#k=s3cr-et_" }).url).toBe("/p/abc#k=s3cr-et_");
+    expect(normalizeEntry({ id: "abc", url: "/p/abc" }).url).toBe("/p/abc");
+  });
+
+  it("rebuilds links that point anywhere else", () => {
+    for (const url of ["//evil.example/p/abc", "/p/other#k=x", "/p/abc/../../x", "/p/abc#k=<b>", "javascript:alert(1)", 42]) {
+      expect(normalizeEntry({ id: "abc", url }).url).toBe("/p/abc");
+    }
+  });
+});
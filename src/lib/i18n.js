@@ -0,0 +1,149 @@
+/**
+ * UI translations and locale-aware formatting.
+ *
+ * Catalogs live in src/locales/<code>.js as flat { key: message } objects.
+ * Messages use {name} placeholders; a message may instead be an object keyed
+ * by plural category ({ one, other, ... }, see Intl.PluralRules), selected by
+ * the `count` variable. Keys missing from a catalog fall back to English.
+ */
+import { Fragment, createContext, createElement, useContext } from "react";
+import en from "../locales/en.js";
+import ar from "../locales/ar.js";
+
+export const DEFAULT_LOCALE = "en";
+
+/** Supported UI languages. index.html mirrors the codes and `dir`s for first paint. */
+export const LOCALES = [
+  { code: "en", label: "English", dir: "ltr", messages: en },
+  { code: "ar", label: "العربية", dir: "rtl", messages: ar },
+];
+
+/** A supported locale code: the saved choice, else the browser's languages, else English. */
+export function resolveLocale(preferred) {
+  if (LOCALES.some((l) => l.code === preferred)) return preferred;
+  const wanted = typeof navigator === "undefined" ? [] : navigator.languages || [navigator.language];
+  for (const tag of wanted) {
+    const base = String(tag || "").toLowerCase().split("-")[0];
+    if (LOCALES.some((l) => l.code === base)) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+const DURATION_UNITS = [
+  ["day", 86400],
+  ["hour", 3600],
+  ["minute", 60],
+  ["second", 1],
+];
+
+const RELATIVE_UNITS = [
+  ["year", 31536000],
+  ["month", 2592000],
+  ["day", 86400],
+  ["hour", 3600],
+  ["minute", 60],
+  ["second", 1],
+];
+
+/**
+ * Translator and formatters bound to one locale.
+ * @param {string} code
+ */
+export function createI18n(code) {
+  const locale = LOCALES.find((l) => l.code === code) || LOCALES[0];
+  const plurals = new Intl.PluralRules(locale.code);
+  const numbers = new Intl.NumberFormat(locale.code);
+  const dates = new Intl.DateTimeFormat(locale.code, { dateStyle: "medium", timeStyle: "short" });
+  const relatives = new Intl.RelativeTimeFormat(locale.code, { numeric: "auto" });
+  const unitLists = new Intl.ListFormat(locale.code, { style: "narrow", type: "unit" });
+  const unitFormats = new Map();
+
+  function unit(n, name, display) {
+    const k = `${name}:${display}`;
+    if (!unitFormats.has(k)) {
+      unitFormats.set(k, new Intl.NumberFormat(locale.code, { style: "unit", unit: name, unitDisplay: display }));
+    }
+    return unitFormats.get(k).format(n);
+  }
+
+  function message(key, vars) {
+    let msg = locale.messages[key] ?? en[key] ?? key;
+    if (msg && typeof msg === "object") {
+      msg = msg[plurals.select(Number(vars?.count) || 0)] ?? msg.other;
+    }
+    return msg;
+  }
+
+  function value(v) {
+    return typeof v === "number" ? numbers.format(v) : v;
+  }
+
+  /** Translate `key`, filling {placeholders} from `vars` (numbers are localized). */
+  function t(key, vars) {
+    return message(key, vars).replace(/\{(\w+)\}/g, (m, name) =>
+      vars && name in vars ? String(value(vars[name])) : m
+    );
+  }
+
+  /**
+   * Like t(), but placeholders may be React nodes (links, <code>, <strong>):
+   * returns an array suitable as JSX children.
+   */
+  function rich(key, vars) {
+    return message(key, vars)
+      .split(/(\{\w+\})/)
+      .filter(Boolean)
+      .map((part, i) => {
+        const name = part.match(/^\{(\w+)\}$/)?.[1];
+        return createElement(Fragment, { key: i }, name && vars && name in vars ? value(vars[name]) : part);
+      });
+  }
+
+  /**
+   * Duration with the two largest units: "2d 3h" (narrow, for countdowns) or
+   * "2 days, 3 hours" (long, for sentences).
+   */
+  function duration(ms, { long = false } = {}) {
+    let s = Math.max(0, Math.floor(ms / 1000));
+    const parts = [];
+    for (const [name, size] of DURATION_UNITS) {
+      if (s >= size || (name === "second" && parts.length === 0)) {
+        parts.push(unit(Math.floor(s / size), name, long ? "long" : "narrow"));
+        s %= size;
+      }
+      if (parts.length === 2) break;
+    }
+    return unitLists.format(parts);
+  }
+
+  /** "3 hours ago" / "in 2 days" for a timestamp relative to `now`. */
+  function relative(at, now = Date.now()) {
+    const diff = (new Date(at).getTime() - now) / 1000;
+    const [name, size] = RELATIVE_UNITS.find(([, size]) => Math.abs(diff) >= size) || ["second", 1];
+    return relatives.format(Math.round(diff / size), name);
+  }
+
+  /** Text for an error: translated for LocalizedErrors (see errors.js), else its message. */
+  function error(err) {
+    if (err?.messageKey) return t(err.messageKey, err.params);
+    return String(err?.message || err);
+  }
+
+  return {
+    locale: locale.code,
+    dir: locale.dir,
+    t,
+    rich,
+    error,
+    number: (n) => numbers.format(n),
+    date: (at) => dates.format(new Date(at)),
+    duration,
+    relative,
+  };
+}
+
+export const I18nContext = createContext(createI18n(DEFAULT_LOCALE));
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
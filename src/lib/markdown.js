@@ -0,0 +1,55 @@
+/**
+ * Markdown rendering for "markdown" pastes.
+ *
+ * Paste content is untrusted: marked output always goes through DOMPurify
+ * before it reaches the DOM.
+ */
+import { Marked } from "marked";
+import DOMPurify from "dompurify";
+import { highlightLines, isKnownLanguage } from "./highlight.js";
+
+const marked = new Marked({
+  gfm: true,
+  breaks: false,
+  renderer: {
+    code({ text, lang }) {
+      const language = (lang || "").trim().split(/\s+/)[0];
+      const { lines } = highlightLines(text, isKnownLanguage(language) ? language : "plaintext");
+      const cls = isKnownLanguage(language) ? ` class="language-${language}"` : "";
+      return `<pre class="hljs"><code${cls}>${lines.join("\n")}</code></pre>\n`;
+    },
+  },
+});
+
+let hooksInstalled = false;
+
+function installHooks() {
+  if (hooksInstalled) return;
+  hooksInstalled = true;
+  DOMPurify.addHook("afterSanitizeAttributes", (node) => {
+    // External links open in a new tab and can't reach window.opener.
+    if (node.tagName === "A" && node.getAttribute("href")) {
+      node.setAttribute("target", "_blank");
+      node.setAttribute("rel", "noopener noreferrer nofollow");
+    }
+    // GFM task list checkboxes are display-only.
+    if (node.tagName === "INPUT") {
+      if (node.getAttribute("type") !== "checkbox") {
+        node.remove();
+        return;
+      }
+      node.setAttribute("disabled", "");
+    }
+  });
+}
+
+/** Render Markdown to sanitized HTML. */
+export function renderMarkdown(text) {
+  installHooks();
+  const html = marked.parse(text || "", { async: false });
+  return DOMPurify.sanitize(html, {
+    USE_PROFILE: { html: true },
+    FORBID_TAGS: ["style", "form", "button", "textarea", "select"],
+    FORBID_ATTR: ["style"],
+  });
+}
@@ -0,0 +1,47 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from "vitest";
+import { renderMarkdown } from "./markdown.js";
+
+function render(text) {
+  const div = document.createElement("div");
+  div.innerHTML = renderMarkdown(text);
+  return div;
+}
+
+describe("renderMarkdown", () => {
+  it("renders ordinary markdown", () => {
+    const div = render("# Title\n\nSome *emphasis* and a [link](https://example.com).\n\n- [x] done\n\n```js\nconst a = 1;\n```");
+    expect(div.querySelector("h1").textContent).toBe("Title");
+    expect(div.querySelector("em").textContent).toBe("emphasis");
+    const a = div.querySelector("a");
+    expect(a.getAttribute("href")).toBe("https://example.com");
+    expect(a.getAttribute("target")).toBe("_blank");
+    expect(a.getAttribute("rel")).toBe("noopener noreferrer nofollow");
+    expect(div.querySelector("input[type=checkbox]").hasAttribute("disabled")).toBe(true);
+    expect(div.querySelector("pre code.language-js").textContent).toBe("const a = 1;");
+  });
+
+  it("drops script tags", () => {
+    const div = render("before\n\n<script>alert(1)</script>\n\nafter");
+    expect(div.querySelector("script")).toBeNull();
+    expect(div.innerHTML).not.toContain("alert(1)");
+    expect(div.textContent).toContain("after");
+  });
+
+  it("drops event handler attributes", () => {
+    const div = render('<img src="x.png" onerror="alert(1)">\n\n<p onclick="alert(2)">hi</p>');
+    expect(div.querySelector("img").getAttribute("src")).toBe("x.png");
+    expect(div.innerHTML).not.toMatch(/onerror|onclick/);
+  });
+
+  it("drops javascript: links", () => {
+    const div = render('[click](javascript:alert(1)) <a href="JavaScript:alert(2)">raw</a>');
+    for (const a of div.querySelectorAll("a")) expect(a.getAttribute("href") ?? "").not.toMatch(/^\s*javascript:/i);
+    expect(div.innerHTML).not.toMatch(/javascript:/i);
+  });
+
+  it("drops forms and inline styles", () => {
+    const div = render('<form action="/x"><input type="text"></form><span style="position:fixed">s</span>');
+    expect(div.querySelector("form, input, [style]")).toBeNull();
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Loading one paste for display: the paste page, diffs, embeds and raw views.
+ *
+ * Metadata is checked first, and a paste with a view limit isn't fetched
+ * until the reader calls reveal(), so an embed sitting on a wiki page doesn't
+ * spend views on every page load. On a /p/:id page the server already read
+ * the metadata (api/page.js); the first load uses that copy. Encrypted
+ * content is decrypted here, with the link key or with a password given to
+ * unlock().
+ */
+import { useCallback, useEffect, useMemo, useState } from "react";
+import * as api from "./api.js";
+import { DecryptError, decryptEnvelope, parseEnvelope } from "./crypto.js";
+import { parseBundle } from "./bundle.js";
+import { PREVIEW_DATA_ID } from "./preview.js";
+
+// The server's metadata for `id`, to the first navigation that asks for it;
+// any later one (StrictMode's second effect run aside) asks the backend.
+let hydratedFor = null;
+
+function hydratedMeta(id, navKey) {
+  if (hydratedFor && hydratedFor !== navKey) return null;
+  const el = typeof document !== "undefined" ? document.getElementById(PREVIEW_DATA_ID) : null;
+  if (!el) return null;
+  hydratedFor = navKey;
+  try {
+    const data = JSON.parse(el.textContent);
+    return data?.id === id && data.meta && typeof data.meta === "object" ? data.meta : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Catalog key summarizing why loading a paste failed. */
+export function errorSubtitleKey(err) {
+  if (err instanceof api.ExpiredError) return "paste.error.expired";
+  if (err instanceof api.PasswordRequiredError) return "paste.error.password";
+  if (err instanceof api.ViewLimitError) return "paste.error.noViews";
+  if (err instanceof api.NetworkError) return "paste.error.unreachable";
+  if (err instanceof api.GatewayError) return "paste.error.backend";
+  return "paste.error.notFound";
+}
+
+/** A paste's files: the bundle's files, or a single file for a plain paste. */
+export function pasteFiles(paste, content) {
+  const bundle = parseBundle(content);
+  if (bundle) return bundle.files;
+  return [{ name: paste.filename || `paste-${paste.id}.txt`, content, language: paste.language }];
+}
+
+// Resolves false when the passphrase is wrong.
+async function decryptWithPassphrase(env, passphrase) {
+  try {
+    return await decryptEnvelope(env, { passphrase });
+  } catch (e) {
+    if (e instanceof DecryptError && e.code === "bad_key") return false;
+    throw e;
+  }
+}
+
+/**
+ * @param {string} id
+ * @param {string|null} key  Link decryption key (#k=), if any.
+ * @returns {{
+ *   phase: "checking"|"confirm"|"loading"|"locked"|"ready"|"error",
+ *   lock: "password"|"passphrase"|"key"|null,
+ *   meta: Object|null, paste: Object|null, encrypted: boolean,
+ *   content: string|null, files: Array|null, error: Error|null,
+ *   progress: { loaded: number, total: number|null }|null,
+ *   reveal: () => Promise<void>, unlock: (password: string) => Promise<boolean>,
+ * }}
+ * "locked" says why in `lock`: the backend wants a password, the content is
+ * encrypted with a passphrase, or the link key is missing or wrong (`error`
+ * says which). unlock() takes the password or passphrase and resolves false
+ * when it's wrong; pastes created with a password are encrypted with it too,
+ * so one password usually opens both. Views stay on the paste's own rules:
+ * `meta`, and once fetched `paste`, hold the budget.
+ */
+export function useRevealedPaste(id, key) {
+  // Fixed for this navigation; dedupes the fetch when StrictMode re-runs effects.
+  const [navKey] = useState(() => `${Date.now()}-${Math.random()}`);
+  const [status, setStatus] = useState("checking"); // checking | confirm | loading | password | fetched | error
+  const [meta, setMeta] = useState(null);
+  const [paste, setPaste] = useState(null);
+  const [error, setError] = useState(null);
+  const [progress, setProgress] = useState(null);
+  // { paste, text } or { paste, error }; only counts for the paste it was made from.
+  const [decrypted, setDecrypted] = useState(null);
+
+  const envelope = useMemo(() => parseEnvelope(paste?.content), [paste]);
+  const result = decrypted?.paste === paste ? decrypted : null;
+  const content = !paste ? null : envelope ? (result?.text ?? null) : (paste.content ?? "");
+  const files = useMemo(() => (content == null ? null : pasteFiles(paste, content)), [paste, content]);
+
+  const fail = useCallback((e) => {
+    setError(e);
+    setStatus("error");
+  }, []);
+
+  const reveal = useCallback(async () => {
+    setStatus("loading");
+    try {
+      setPaste(await api.getPaste(id, { dedupeKey: navKey, onProgress: setProgress }));
+      setStatus("fetched");
+    } catch (e) {
+      if (e instanceof api.PasswordRequiredError) setStatus("password");
+      else fail(e);
+    }
+  }, [id, navKey, fail]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const hydrated = hydratedMeta(id, navKey);
+    (hydrated ? Promise.resolve(hydrated) : api.getPasteMeta(id))
+      .then((m) => {
+        if (cancelled) return;
+        setMeta(m);
+        const left = api.remainingViews(m);
+        if (m && left === 0) fail(new api.ViewLimitError("This paste has no views left."));
+        // The unlock screen covers the view budget too.
+        else if (m?.password_protected) setStatus("password");
+        // No view limit: nothing to spend, so skip the confirmation.
+        else if (m && left == null) reveal();
+        else setStatus("confirm");
+      })
+      .catch((e) => {
+        if (cancelled) return;
+        if (e instanceof api.PasswordRequiredError) setStatus("password");
+        else fail(e);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [id, navKey, reveal, fail]);
+
+  useEffect(() => {
+    if (!envelope || envelope.kdf === "PBKDF2") return;
+    let cancelled = false;
+    decryptEnvelope(envelope, { key })
+      .then((text) => !cancelled && setDecrypted({ paste, text }))
+      .catch((e) => !cancelled && setDecrypted({ paste, error: e }));
+    return () => {
+      cancelled = true;
+    };
+  }, [paste, envelope, key]);
+
+  async function unlock(password) {
+    if (status !== "password") {
+      const text = await decryptWithPassphrase(envelope, password);
+      if (text === false) return false;
+      setDecrypted({ paste, text });
+      return true;
+    }
+    let p;
+    try {
+      p = await api.getPaste(id, { password, onProgress: setProgress });
+    } catch (e) {
+      if (e instanceof api.PasswordRequiredError) return false;
+      throw e;
+    }
+    // If this paste used a different passphrase, the passphrase prompt follows.
+    const env = parseEnvelope(p.content);
+    if (env?.kdf === "PBKDF2") {
+      const text = await decryptWithPassphrase(env, password).catch(() => false);
+      if (text !== false) setDecrypted({ paste: p, text });
+    }
+    setPaste(p);
+    setStatus("fetched");
+    return true;
+  }
+
+  let phase = status;
+  let lock = null;
+  if (status === "password") {
+    phase = "locked";
+    lock = "password";
+  } else if (status === "fetched") {
+    if (content != null) {
+      phase = "ready";
+    } else if (envelope.kdf === "PBKDF2" || result?.error) {
+      phase = "locked";
+      lock = envelope.kdf === "PBKDF2" ? "passphrase" : "key";
+    } else {
+      phase = "loading"; // decrypting with the link key
+    }
+  }
+
+  return {
+    phase,
+    lock,
+    meta,
+    paste,
+    encrypted: !!envelope,
+    content,
+    files,
+    error: lock === "key" ? result.error : error,
+    progress,
+    reveal,
+    unlock,
+  };
+}
@@ -0,0 +1,112 @@
+/**
+ * Local user preferences: theme, code font size / wrapping / tab width,
+ * Create-form defaults and secret scanning rules. Stored in localStorage and applied to <html> as
+ * data attributes and CSS variables.
+ *
+ * index.html runs a copy of applyPrefs' theme logic inline before first paint
+ * so the page never flashes the wrong theme; keep the two in sync.
+ */
+import { createContext, useContext } from "react";
+import { TTL_PRESETS } from "./time.js";
+import { LOCALES } from "./i18n.js";
+import { SECRET_RULE_IDS } from "./secrets.js";
+
+export const PREFS_KEY = "pastebin-lite:prefs";
+
+// Labels are catalog messages: prefs.theme.<value>.
+export const THEMES = [{ value: "system" }, { value: "light" }, { value: "dark" }];
+
+export const FONT_SIZES = [12, 13, 14, 16, 18, 20];
+export const TAB_WIDTHS = [2, 4, 8];
+
+/**
+ * @typedef {Object} Prefs
+ * @property {"system"|"light"|"dark"} theme
+ * @property {string} locale          UI language code, or "" to follow the browser.
+ * @property {number} fontSize        Code font size in px.
+ * @property {boolean} wrap           Wrap long lines in the paste viewer.
+ * @property {number} tabWidth
+ * @property {string} defaultTtl      A TTL_PRESETS value other than "custom", e.g. "3600" or "never".
+ * @property {string} defaultMaxViews Positive integer as typed, or "" for unlimited.
+ * @property {boolean} secretScan     Check content for credentials before creating a paste.
+ * @property {string[]} secretRulesOff Built-in rule ids (see secrets.js) to skip.
+ * @property {string} secretCustomRules Extra patterns, one regular expression per line.
+ */
+
+/** @type {Prefs} */
+export const DEFAULT_PREFS = {
+  theme: "system",
+  locale: "",
+  fontSize: 14,
+  wrap: true,
+  tabWidth: 4,
+  defaultTtl: "never",
+  defaultMaxViews: "",
+  secretScan: true,
+  secretRulesOff: [],
+  secretCustomRules: "",
+};
+
+export function normalizePrefs(p) {
+  const out = { ...DEFAULT_PREFS };
+  if (!p || typeof p !== "object") return out;
+  if (THEMES.some((t) => t.value === p.theme)) out.theme = p.theme;
+  if (p.locale === "" || LOCALES.some((l) => l.code === p.locale)) out.locale = p.locale;
+  if (FONT_SIZES.includes(p.fontSize)) out.fontSize = p.fontSize;
+  if (typeof p.wrap === "boolean") out.wrap = p.wrap;
+  if (TAB_WIDTHS.includes(p.tabWidth)) out.tabWidth = p.tabWidth;
+  if (TTL_PRESETS.some((t) => t.value === p.defaultTtl && t.value !== "custom")) out.defaultTtl = p.defaultTtl;
+  if (typeof p.defaultMaxViews === "string" && /^\d*$/.test(p.defaultMaxViews)) out.defaultMaxViews = p.defaultMaxViews;
+  if (typeof p.secretScan === "boolean") out.secretScan = p.secretScan;
+  if (Array.isArray(p.secretRulesOff)) out.secretRulesOff = p.secretRulesOff.filter((id) => SECRET_RULE_IDS.includes(id));
+  if (typeof p.secretCustomRules === "string") out.secretCustomRules = p.secretCustomRules;
+  return out;
+}
+
+/** @returns {Prefs} */
+export function loadPrefs() {
+  try {
+    return normalizePrefs(JSON.parse(localStorage.getItem(PREFS_KEY) || "null"));
+  } catch {
+    return { ...DEFAULT_PREFS };
+  }
+}
+
+/** @param {Prefs} prefs */
+export function savePrefs(prefs) {
+  try {
+    localStorage.setItem(PREFS_KEY, JSON.stringify(prefs));
+  } catch {
+    // Private mode or quota: preferences just won't survive a reload.
+  }
+}
+
+/** "light" or "dark", following the OS setting for "system". */
+export function resolveTheme(theme) {
+  if (theme === "light" || theme === "dark") return theme;
+  return typeof matchMedia === "function" && matchMedia("(prefers-color-scheme: dark)").matches ? "dark" : "light";
+}
+
+/** Reflect preferences on <html>; CSS in index.css/App.css keys off these. */
+export function applyPrefs(prefs) {
+  const root = document.documentElement;
+  root.dataset.theme = resolveTheme(prefs.theme);
+  root.dataset.wrap = prefs.wrap ? "on" : "off";
+  root.style.setProperty("--code-font-size", `${prefs.fontSize}px`);
+  root.style.setProperty("--code-tab-size", String(prefs.tabWidth));
+}
+
+/** Line height used for code, in px; the virtualized viewer needs it exactly. */
+export function codeLineHeight(prefs) {
+  return Math.round(prefs.fontSize * 1.6);
+}
+
+export const PrefsContext = createContext({
+  prefs: DEFAULT_PREFS,
+  updatePrefs: () => {},
+  resetPrefs: () => {},
+});
+
+export function usePrefs() {
+  return useContext(PrefsContext);
+}
@@ -0,0 +1,100 @@
+/**
+ * Link previews for paste pages: the <title>, Open Graph / Twitter tags and
+ * short description that api/page.js writes into index.html for /p/:id, so
+ * chat apps and crawlers that don't run JavaScript still see what a link is.
+ *
+ * No browser or React APIs here (see embed.js); this runs in the Vercel
+ * function and the Vite servers. Text comes from the caller's `t` (a
+ * createI18n() translator), in the language the request asked for.
+ *
+ * Previews are built from metadata alone. Reading the content would add to
+ * the paste's view count on every visit, even with no view limit.
+ */
+import { remainingViews } from "./api.js";
+import { PROVIDER_NAME, oembedUrl } from "./embed.js";
+
+function describe(meta, t) {
+  if (meta?.password_protected) return t("preview.password");
+  const left = remainingViews(meta);
+  if (left != null) return t("preview.viewsLeft", { count: left });
+  return t("preview.generic", { provider: PROVIDER_NAME });
+}
+
+/**
+ * What to show for a paste.
+ * @param {{ id: string, origin: string, meta?: Object|null, missing?: boolean,
+ *   t: (key: string, vars?: Object) => string }} paste
+ *   `missing` when the backend said the paste is gone.
+ * @returns {{ url: string, label: string, title: string, description: string, missing: boolean }}
+ */
+export function previewFor({ id, origin, meta = null, missing = false, t }) {
+  const url = `${origin}/p/${encodeURIComponent(id)}`;
+  const label = meta?.filename || t("embed.title", { id });
+  const description = missing ? t("preview.missing") : describe(meta, t);
+  return { url, label, title: `${label} · ${PROVIDER_NAME}`, description, missing };
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/** <head> tags for a preview: title, description, Open Graph, Twitter and oEmbed discovery. */
+export function previewHead(preview, origin) {
+  const tags = [
+    `<title>${escapeHtml(preview.title)}</title>`,
+    ["name", "description", preview.description],
+    ["property", "og:type", "article"],
+    ["property", "og:site_name", PROVIDER_NAME],
+    ["property", "og:title", preview.label],
+    ["property", "og:description", preview.description],
+    ["property", "og:url", preview.url],
+    ["name", "twitter:card", "summary"],
+    ["name", "twitter:title", preview.label],
+    ["name", "twitter:description", preview.description],
+  ].map((t) => (typeof t === "string" ? t : `<meta ${t[0]}="${t[1]}" content="${escapeHtml(t[2])}" />`));
+  tags.push(`<link rel="canonical" href="${escapeHtml(preview.url)}" />`);
+  if (!preview.missing) {
+    tags.push(
+      `<link rel="alternate" type="application/json+oembed" href="${escapeHtml(oembedUrl(origin, preview.url))}" ` +
+        `title="${escapeHtml(preview.label)}" />`
+    );
+  }
+  return tags.join("\n    ");
+}
+
+/**
+ * Static markup for #root, using the app's own classes. The client app
+ * replaces it once it starts.
+ */
+export function previewBody(preview) {
+  return (
+    `<div class="app-container"><div class="app-header"><h1 class="app-title">${escapeHtml(PROVIDER_NAME)}</h1></div>` +
+    `<div class="main-content"><div class="card"><h2 class="card-title">📄 ${escapeHtml(preview.label)}</h2>` +
+    `<p>${escapeHtml(preview.description)}</p></div></div></div>`
+  );
+}
+
+/** Element id of the JSON the page carries for the client (see previewData()). */
+export const PREVIEW_DATA_ID = "paste-preview-data";
+
+/**
+ * A JSON <script> with the metadata the page was rendered from, so the client
+ * starts from it instead of asking /meta again (see pasteLoader.js).
+ * @param {string} id
+ * @param {Object} meta From api.getPasteMeta(); never content.
+ */
+export function previewData(id, meta) {
+  // "<" escaped so a value can't close the script element.
+  const json = JSON.stringify({ id, meta }).replace(/</g, "\\u003c");
+  return `<script type="application/json" id="${PREVIEW_DATA_ID}">${json}</script>`;
+}
+
+/**
+ * `html` (the built index.html) with the shell's <title> and empty #root
+ * filled in for `preview`, and `data` (previewData()) after #root when given.
+ */
+export function injectPreview(html, preview, origin, data = "") {
+  return html
+    .replace(/<title>[\s\S]*?<\/title>/, () => previewHead(preview, origin))
+    .replace(/<div id="root"><\/div>/, () => `<div id="root">${previewBody(preview)}</div>${data}`);
+}
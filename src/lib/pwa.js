@@ -0,0 +1,12 @@
+/**
+ * Registers the service worker (public/sw.js). Production builds only: in
+ * dev it would cache Vite's unbundled modules and fight with HMR.
+ */
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js").catch(() => {
+      // Offline support is an enhancement; the app works without it.
+    });
+  });
+}
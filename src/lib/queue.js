@@ -0,0 +1,121 @@
+/**
+ * Offline queue for paste creation.
+ *
+ * When createPaste fails because the backend can't be reached, the request
+ * body (already encrypted, if encryption was on) is stored in IndexedDB and
+ * sent later by flushQueue(). Successfully sent items move into history.
+ * Password-protected pastes are never queued: the password would sit in
+ * IndexedDB in plaintext.
+ *
+ * Item shape:
+ *   { qid, queued_at, body, key, preview, language, error? }
+ * `error` is { message, messageKey?, params? } for useI18n().error(); items
+ * queued by older versions may hold a plain string.
+ */
+import * as api from "./api.js";
+import { request, tx } from "./db.js";
+import { addHistoryEntry } from "./history.js";
+
+const STORE = "queue";
+const events = new EventTarget();
+
+function changed() {
+  events.dispatchEvent(new Event("change"));
+}
+
+/** Subscribe to queue changes; returns an unsubscribe function. */
+export function onQueueChange(fn) {
+  events.addEventListener("change", fn);
+  return () => events.removeEventListener("change", fn);
+}
+
+/** Subscribe to successfully sent items ({ id, url }); returns an unsubscribe function. */
+export function onQueueSent(fn) {
+  const handler = (e) => fn(e.detail);
+  events.addEventListener("sent", handler);
+  return () => events.removeEventListener("sent", handler);
+}
+
+/**
+ * True for failures worth retrying later rather than reporting now: the
+ * browser is offline, or the connection itself failed. A timeout doesn't
+ * count, even while the browser reports offline; the backend may have stored
+ * the paste after we stopped waiting, and sending it again would create a
+ * duplicate.
+ */
+export function isOfflineError(err) {
+  if (err instanceof api.TimeoutError) return false;
+  if (typeof navigator !== "undefined" && navigator.onLine === false) return true;
+  return err instanceof api.NetworkError;
+}
+
+export async function enqueuePaste({ body, key = "", preview = "", language = "" }) {
+  if (body.password) throw new Error("Password-protected pastes can't be queued.");
+  await tx(STORE, "readwrite", (store) => {
+    store.add({ queued_at: Date.now(), body, key, preview, language });
+  });
+  changed();
+}
+
+export function listQueue() {
+  return tx(STORE, "readonly", (store) => request(store.getAll()));
+}
+
+export async function removeFromQueue(qid) {
+  await tx(STORE, "readwrite", (store) => {
+    store.delete(qid);
+  });
+  changed();
+}
+
+let flushing = null;
+
+/**
+ * Send queued pastes in order. Stops at the first network failure (still
+ * offline); items the backend rejects, or that time out, keep their error for
+ * the user to see.
+ * Resolves to { sent: [{ id, url }], remaining }.
+ */
+export function flushQueue() {
+  if (flushing) return flushing;
+  flushing = (async () => {
+    const sent = [];
+    let items = [];
+    try {
+      items = await listQueue();
+      for (const item of items) {
+        if (item.error) continue;
+        let res;
+        try {
+          res = await api.createPaste(item.body);
+        } catch (e) {
+          if (isOfflineError(e) || e instanceof api.GatewayError) break;
+          await tx(STORE, "readwrite", (store) => {
+            store.put({ ...item, error: { message: String(e.message || e), messageKey: e.messageKey, params: e.params } });
+          });
+          continue;
+        }
+        const url = `/p/${res.id}${item.key ? `#k=${item.key}` : ""}`;
+        await addHistoryEntry({
+          id: res.id,
+          created_at: res.created_at,
+          ttl_seconds: item.body.ttl_seconds,
+          max_views: item.body.max_views,
+          preview: item.preview,
+          language: item.language,
+          url,
+        }).catch(() => {});
+        await tx(STORE, "readwrite", (store) => {
+          store.delete(item.qid);
+        });
+        sent.push({ id: res.id, url });
+        events.dispatchEvent(new CustomEvent("sent", { detail: { id: res.id, url } }));
+      }
+    } finally {
+      flushing = null;
+      changed();
+    }
+    return { sent, remaining: (await listQueue()).length };
+  })();
+  return flushing;
+}
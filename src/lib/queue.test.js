@@ -0,0 +1,21 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import * as api from "./api.js";
+import { isOfflineError } from "./queue.js";
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("isOfflineError", () => {
+  it("queues connection failures but not timeouts", () => {
+    expect(isOfflineError(new api.NetworkError("Failed to fetch"))).toBe(true);
+    expect(isOfflineError(new api.TimeoutError("timed out"))).toBe(false);
+    expect(isOfflineError(new api.GatewayError("bad gateway", { status: 502 }))).toBe(false);
+  });
+
+  it("treats anything but a timeout as offline while the browser says so", () => {
+    vi.stubGlobal("navigator", { onLine: false });
+    expect(isOfflineError(new api.GatewayError("bad gateway", { status: 502 }))).toBe(true);
+    expect(isOfflineError(new api.TimeoutError("timed out"))).toBe(false);
+  });
+});
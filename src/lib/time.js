@@ -0,0 +1,58 @@
+import { useEffect, useState } from "react";
+
+/** Expiry choices offered by the Create form and the preferences page; labels are the `ttl.<value>` messages. */
+export const TTL_PRESETS = [
+  { value: "300" },
+  { value: "3600" },
+  { value: "86400" },
+  { value: "604800" },
+  { value: "never" },
+  { value: "custom" },
+];
+
+/** Current time (ms), re-rendering every `intervalMs`. */
+export function useNow(intervalMs = 1000) {
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const t = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(t);
+  }, [intervalMs]);
+  return now;
+}
+
+const DURATION_UNITS = {
+  s: 1,
+  sec: 1,
+  m: 60,
+  min: 60,
+  h: 3600,
+  hr: 3600,
+  d: 86400,
+  w: 604800,
+};
+
+/**
+ * Parse a duration like "90m", "2d", "1h30m" or a bare number of seconds.
+ * Returns whole seconds, null for empty input, or NaN when invalid.
+ */
+export function parseDuration(input) {
+  const s = String(input ?? "").trim().toLowerCase();
+  if (!s) return null;
+  if (/^\d+$/.test(s)) {
+    const n = Number(s);
+    return n >= 1 ? n : NaN;
+  }
+  const re = /(\d+(?:\.\d+)?)\s*(sec|min|hr|s|m|h|d|w)/gy;
+  let total = 0;
+  let m;
+  let consumed = 0;
+  while ((m = re.exec(s))) {
+    total += Number(m[1]) * DURATION_UNITS[m[2]];
+    consumed = re.lastIndex;
+    while (s[re.lastIndex] === " ") re.lastIndex++;
+  }
+  if (consumed !== s.length) return NaN;
+  const secs = Math.round(total);
+  return secs >= 1 ? secs : NaN;
+}
+
@@ -0,0 +1,208 @@
+/**
+ * Minimal in-browser ZIP writer (stored entries, no compression).
+ * Good enough for bundling a handful of text files without a dependency.
+ *
+ * readZip() is the matching reader for imported archives (pastebin exports,
+ * GitHub's "Download ZIP" for gists): stored and deflated entries, inflated
+ * with the browser's DecompressionStream. Encrypted and ZIP64 archives are
+ * rejected. Problems are LocalizedErrors (see errors.js).
+ */
+import { LocalizedError } from "./errors.js";
+import { formatBytes } from "./files.js";
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+/**
+ * Build a .zip Blob from [{ name, content }] (content is a string or bytes).
+ */
+export function createZip(files, date = new Date()) {
+  const enc = new TextEncoder();
+  const { time, day } = dosDateTime(date);
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+
+  for (const f of files) {
+    const name = enc.encode(f.name);
+    const data = typeof f.content === "string" ? enc.encode(f.content) : f.content;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, day, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    chunks.push(local, name, data);
+
+    const cd = new DataView(new ArrayBuffer(46));
+    cd.setUint32(0, 0x02014b50, true);
+    cd.setUint16(4, 20, true); // version made by
+    cd.setUint16(6, 20, true);
+    cd.setUint16(8, 0x0800, true);
+    cd.setUint16(10, 0, true);
+    cd.setUint16(12, time, true);
+    cd.setUint16(14, day, true);
+    cd.setUint32(16, crc, true);
+    cd.setUint32(20, data.length, true);
+    cd.setUint32(24, data.length, true);
+    cd.setUint16(28, name.length, true);
+    cd.setUint32(42, offset, true);
+    central.push(cd, name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = central.reduce((n, c) => n + c.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...chunks, ...central, end], { type: "application/zip" });
+}
+
+const EOCD_MIN = 22;
+const MAX_COMMENT = 0xffff;
+
+function findEndOfCentralDirectory(view) {
+  const stop = Math.max(0, view.byteLength - EOCD_MIN - MAX_COMMENT);
+  for (let i = view.byteLength - EOCD_MIN; i >= stop; i--) {
+    if (view.getUint32(i, true) === 0x06054b50) return i;
+  }
+  throw new LocalizedError("zip.error.notZip");
+}
+
+// Inflated bytes, or null once the output passes maxBytes: the sizes in the
+// archive are only claims, and a small entry can inflate to gigabytes.
+async function inflateRaw(bytes, maxBytes) {
+  const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw")).getReader();
+  const chunks = [];
+  let total = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.length;
+    if (total > maxBytes) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+  const out = new Uint8Array(total);
+  let at = 0;
+  for (const c of chunks) {
+    out.set(c, at);
+    at += c.length;
+  }
+  return out;
+}
+
+// macOS metadata and dotfiles (.DS_Store, .git/...) aren't content.
+function isJunk(name) {
+  return name.split("/").some((part) => part === "__MACOSX" || part.startsWith("."));
+}
+
+/**
+ * The files in a ZIP archive, in archive order, skipping directories and
+ * dotfiles. Entries that can't be read (bigger than `maxBytes` uncompressed,
+ * encrypted, unknown compression) come back with an `error` instead of `bytes`.
+ * Inflating stops as soon as an entry passes `maxBytes`, whatever size the
+ * archive declares for it. `maxTotalBytes` caps the whole archive the same
+ * way: the entry that would pass it, and every one after it, gets an error.
+ * @param {Blob} blob
+ * @param {{ maxBytes?: number, maxTotalBytes?: number }} [options]
+ * @returns {Promise<Array<{ name: string, size: number, bytes?: Uint8Array, error?: LocalizedError }>>}
+ */
+export async function readZip(blob, { maxBytes = Infinity, maxTotalBytes = Infinity } = {}) {
+  const buf = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+  const eocd = findEndOfCentralDirectory(view);
+  const count = view.getUint16(eocd + 10, true);
+  let pos = view.getUint32(eocd + 16, true);
+  if (count === 0xffff || pos === 0xffffffff) throw new LocalizedError("zip.error.zip64");
+
+  const names = new TextDecoder();
+  const entries = [];
+  let total = 0;
+  let overBudget = false;
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(pos, true) !== 0x02014b50) throw new LocalizedError("zip.error.corrupt");
+    const flags = view.getUint16(pos + 8, true);
+    const method = view.getUint16(pos + 10, true);
+    const compressed = view.getUint32(pos + 20, true);
+    const size = view.getUint32(pos + 24, true);
+    const nameLen = view.getUint16(pos + 28, true);
+    const extraLen = view.getUint16(pos + 30, true);
+    const commentLen = view.getUint16(pos + 32, true);
+    const local = view.getUint32(pos + 42, true);
+    const name = names.decode(buf.subarray(pos + 46, pos + 46 + nameLen));
+    pos += 46 + nameLen + extraLen + commentLen;
+
+    if (name.endsWith("/") || isJunk(name)) continue;
+    const entry = { name, size };
+    entries.push(entry);
+    if (flags & 1) {
+      entry.error = new LocalizedError("zip.error.encrypted");
+      continue;
+    }
+    const tooLarge = () => new LocalizedError("zip.error.tooLarge", { limit: formatBytes(maxBytes) });
+    const budgetSpent = () => {
+      overBudget = true;
+      return new LocalizedError("zip.error.totalTooLarge", { limit: formatBytes(maxTotalBytes) });
+    };
+    const left = maxTotalBytes - total;
+    if (size > maxBytes) {
+      entry.error = tooLarge();
+      continue;
+    }
+    if (overBudget || size > left) {
+      entry.error = budgetSpent();
+      continue;
+    }
+    if (view.getUint32(local, true) !== 0x04034b50) throw new LocalizedError("zip.error.corrupt");
+    const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+    const data = buf.subarray(start, start + compressed);
+    if (method === 0) {
+      if (data.length > maxBytes) entry.error = tooLarge();
+      else if (data.length > left) entry.error = budgetSpent();
+      else entry.bytes = data;
+    } else if (method === 8) {
+      const bytes = await inflateRaw(data, Math.min(maxBytes, left));
+      if (bytes) entry.bytes = bytes;
+      else entry.error = left < maxBytes ? budgetSpent() : tooLarge();
+    } else {
+      entry.error = new LocalizedError("zip.error.method", { method });
+    }
+    if (entry.bytes) total += entry.bytes.length;
+  }
+  return entries;
+}
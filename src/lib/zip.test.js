@@ -0,0 +1,81 @@
+import { deflateRawSync } from "node:zlib";
+import { describe, expect, it } from "vitest";
+import { createZip, readZip } from "./zip.js";
+
+// One deflated entry whose headers claim `declaredSize` bytes, like a zip bomb.
+function deflatedZip(name, content, declaredSize) {
+  const enc = new TextEncoder();
+  const nameBytes = enc.encode(name);
+  const data = deflateRawSync(enc.encode(content));
+
+  const local = new DataView(new ArrayBuffer(30));
+  local.setUint32(0, 0x04034b50, true);
+  local.setUint16(8, 8, true);
+  local.setUint32(18, data.length, true);
+  local.setUint32(22, declaredSize, true);
+  local.setUint16(26, nameBytes.length, true);
+
+  const cd = new DataView(new ArrayBuffer(46));
+  cd.setUint32(0, 0x02014b50, true);
+  cd.setUint16(10, 8, true);
+  cd.setUint32(20, data.length, true);
+  cd.setUint32(24, declaredSize, true);
+  cd.setUint16(28, nameBytes.length, true);
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, 1, true);
+  end.setUint16(10, 1, true);
+  end.setUint32(12, 46 + nameBytes.length, true);
+  end.setUint32(16, 30 + nameBytes.length + data.length, true);
+  return new Blob([local, nameBytes, data, cd, nameBytes, end]);
+}
+
+describe("readZip", () => {
+  it("reads what createZip writes, skipping dotfiles and macOS metadata", async () => {
+    const zip = createZip([
+      { name: "a.txt", content: "alpha" },
+      { name: ".DS_Store", content: "junk" },
+      { name: "__MACOSX/a.txt", content: "junk" },
+      { name: "dir/b.txt", content: "beta" },
+    ]);
+    const entries = await readZip(zip);
+    const dec = new TextDecoder();
+    expect(entries.map((e) => [e.name, dec.decode(e.bytes)])).toEqual([
+      ["a.txt", "alpha"],
+      ["dir/b.txt", "beta"],
+    ]);
+  });
+
+  it("inflates deflated entries", async () => {
+    const [entry] = await readZip(deflatedZip("x.txt", "hello hello hello", 17));
+    expect(new TextDecoder().decode(entry.bytes)).toBe("hello hello hello");
+  });
+
+  it("stops inflating past maxBytes even when the declared size is small", async () => {
+    const [entry] = await readZip(deflatedZip("bomb.txt", "0".repeat(2 * 1024 * 1024), 10), { maxBytes: 1024 });
+    expect(entry.bytes).toBeUndefined();
+    expect(entry.error.messageKey).toBe("zip.error.tooLarge");
+  });
+
+  it("skips entries whose declared size is over maxBytes without inflating them", async () => {
+    const [entry] = await readZip(deflatedZip("big.txt", "small", 5000), { maxBytes: 1024 });
+    expect(entry.error.messageKey).toBe("zip.error.tooLarge");
+  });
+
+  it("stops inflating once the archive passes maxTotalBytes", async () => {
+    const [entry] = await readZip(deflatedZip("bomb.txt", "0".repeat(4096), 10), { maxBytes: 8192, maxTotalBytes: 1024 });
+    expect(entry.bytes).toBeUndefined();
+    expect(entry.error).toMatchObject({ messageKey: "zip.error.totalTooLarge", params: { limit: "1.0 KB" } });
+  });
+
+  it("refuses every entry after the one that spent the budget", async () => {
+    const zip = createZip([
+      { name: "a.txt", content: "aaaa" },
+      { name: "b.txt", content: "bbbbbbbb" },
+      { name: "c.txt", content: "c" },
+    ]);
+    const entries = await readZip(zip, { maxTotalBytes: 10 });
+    expect(entries.map((e) => e.error?.messageKey ?? "ok")).toEqual(["ok", "zip.error.totalTooLarge", "zip.error.totalTooLarge"]);
+  });
+});
@@ -0,0 +1,570 @@
+// Arabic UI strings (right-to-left). Missing keys fall back to English.
+// Arabic uses all six plural categories: zero, one, two, few, many, other.
+export default {
+  "app.title": "Pastebin Lite",
+  "app.tagline": "مشاركة نصوص بسيطة وسريعة وآمنة",
+  "app.runningOn": "يعمل على:",
+  "app.originLoading": "(جارٍ التحميل...)",
+  "app.sameDomain": "(الواجهة والـ API على النطاق نفسه)",
+
+  "nav.history": "لصقاتي",
+  "nav.status": "الحالة",
+  "nav.preferences": "التفضيلات",
+  "nav.shortcuts": "الاختصارات",
+
+  "common.error": "خطأ:",
+  "common.cancel": "إلغاء",
+  "common.close": "إغلاق",
+  "common.backHome": "→ العودة إلى الرئيسية",
+  "common.empty": "(فارغ)",
+  "common.yes": "نعم",
+  "common.no": "لا",
+
+  "ttl.300": "5 دقائق",
+  "ttl.3600": "ساعة",
+  "ttl.86400": "يوم",
+  "ttl.604800": "أسبوع",
+  "ttl.never": "أبدًا",
+  "ttl.custom": "مخصص",
+
+  "create.title": "إنشاء لصقة",
+  "create.forking": "تفرّع من {id}. ستشير اللصقة الجديدة إليها.",
+  "create.unlinkParent": "لا تربط باللصقة الأصلية",
+  "create.content": "المحتوى *",
+  "create.content.placeholder": "اكتب نص اللصقة، أو أفلت ملفات نصية هنا...",
+  "create.addFile": "إضافة ملف",
+  "create.openFiles": "فتح ملفات",
+  "create.unnamedFile": "(بلا اسم {n})",
+  "create.removeFile": "إزالة {name}",
+  "create.fileName": "اسم الملف",
+  "create.fileName.placeholder": "اسم الملف، مثل config.yaml",
+  "create.forgetFilename": "تجاهل اسم الملف",
+  "create.draftRestored": "تمت استعادة مسودتك غير المرسلة من المرة السابقة.",
+  "create.fileLimit": "ملفات نصية حتى {size}.",
+  "create.language": "اللغة",
+  "create.language.auto": "اكتشاف تلقائي",
+  // Other language names are the same as in English.
+  "language.plaintext": "نص عادي",
+  "language.bash": "Bash / صدفة",
+  "language.diff": "فروقات (Diff)",
+  "language.markdown": "Markdown (معروض)",
+  "create.expiresAfter": "تنتهي بعد",
+  "create.ttl.custom": "مدة مخصصة",
+  "create.ttl.placeholder": "مثل 90m أو 2d أو 1h30m",
+  "create.ttl.invalid": "استخدم مدة مثل 90m أو 2d أو 3600 (بالثواني).",
+  "create.ttl.missing": "أدخل مدة مخصصة، أو اختر إحدى القيم الجاهزة.",
+  "create.ttl.enterCustom": "أدخل مدة مخصصة.",
+  "create.maxViews": "الحد الأقصى للمشاهدات (اختياري)",
+  "create.maxViews.placeholder": "مثل 2",
+  "create.maxViews.invalid": "يجب أن يكون max_views عددًا صحيحًا ≥ 1",
+  "create.burn": "احذف بعد القراءة",
+  "create.expiry.afterViews": {
+    zero: "بعد {count} مشاهدة",
+    one: "بعد قراءتها مرة واحدة",
+    two: "بعد مشاهدتين",
+    few: "بعد {count} مشاهدات",
+    many: "بعد {count} مشاهدة",
+    other: "بعد {count} مشاهدة",
+  },
+  "create.expiry.both": "تنتهي خلال {ttl} أو {views}، أيهما أسبق.",
+  "create.expiry.ttl": "تنتهي خلال {ttl}.",
+  "create.expiry.views": "تنتهي {views}.",
+  "create.expiry.never": "لا تنتهي أبدًا.",
+  "create.encrypt": "التشفير في المتصفح (من طرف إلى طرف)",
+  "create.encrypt.key": "المفتاح",
+  "create.encrypt.link": "مفتاح عشوائي في الرابط",
+  "create.encrypt.passphrase": "عبارة المرور",
+  "create.encrypt.passphrase.placeholder": "شاركها بشكل منفصل",
+  "create.submit": "إنشاء اللصقة",
+  "create.submit.title": "إنشاء لصقة (Ctrl+Enter)",
+  "create.submitting": "جارٍ الإنشاء...",
+  "create.clear": "مسح",
+  "create.contentRequired": "المحتوى مطلوب.",
+  "create.password": "كلمة المرور (اختيارية)",
+  "create.password.placeholder": "سيحتاجها القرّاء لفتح اللصقة",
+  "create.password.hint":
+    "لن يعرض الخادم اللصقة من دونها، وما لم تختر التشفير أعلاه يُشفَّر المحتوى بها أيضًا.",
+  "create.passphraseRequired": "عبارة المرور مطلوبة للتشفير بعبارة مرور.",
+  "create.queued": "أنت غير متصل. وُضعت اللصقة في قائمة الانتظار وستُنشأ تلقائيًا عند عودة الاتصال.",
+  "create.queuedNoPassword":
+    "أنت غير متصل. لا توضع اللصقات المحمية بكلمة مرور في قائمة الانتظار، لأن كلمة المرور ستُخزَّن على هذا الجهاز. حاول مجددًا عند عودة الاتصال.",
+  "create.htmlUrl": "رابط HTML:",
+  "create.apiJson": "JSON الـ API:",
+  "create.countsAsView": "(تُحتسب مشاهدة)",
+  "create.keyInLink": "مفتاح فك التشفير موجود في رابط HTML بعد {hash} ولا يُرسل إلى الخادم أبدًا. شارك الرابط كاملًا.",
+
+  "files.tabsLabel": "الملفات في هذه اللصقة",
+  "files.error.tooLarge": "حجم {name} هو {size}؛ والحد الأقصى {limit}.",
+  "files.error.binary": "يبدو أن {name} ملف ثنائي؛ يمكن لصق الملفات النصية فقط.",
+  "files.error.notUtf8": "{name} ليس نصًا صالحًا بترميز UTF-8.",
+  "bundle.error.noFiles": "أضف ملفًا واحدًا على الأقل.",
+  "bundle.error.unnamed": "الملف {index} يحتاج إلى اسم.",
+  "bundle.error.slash": "لا يمكن أن يحتوي اسم الملف \"{name}\" على شرطات مائلة.",
+  "bundle.error.duplicate": "اسم الملف \"{name}\" مكرر.",
+  "bundle.error.empty": "{name} فارغ.",
+
+  "fetch.title": "جلب لصقة",
+  "fetch.id": "معرّف اللصقة",
+  "fetch.id.placeholder": "أدخل معرّف اللصقة (مثل abc123...)",
+  "fetch.idRequired": "معرّف اللصقة مطلوب.",
+  "fetch.submit": "جلب",
+  "fetch.submitting": "جارٍ الجلب...",
+  "fetch.openHtml": "فتح عرض HTML",
+  "fetch.confirm": {
+    zero: "لم يتبقَّ للصقة {id} أي مشاهدة.",
+    one: "تبقّت للصقة {id} مشاهدة واحدة. جلبها يستهلكها.",
+    two: "تبقّت للصقة {id} مشاهدتان. جلبها يستهلك واحدة.",
+    few: "تبقّت للصقة {id} {n} مشاهدات. جلبها يستهلك واحدة.",
+    many: "تبقّت للصقة {id} {n} مشاهدة. جلبها يستهلك واحدة.",
+    other: "تبقّت للصقة {id} {n} مشاهدة. جلبها يستهلك واحدة.",
+  },
+  "fetch.confirmUnknown": "قد تكون للصقة {id} حدود للمشاهدات. جلبها قد يستهلك واحدة.",
+  "fetch.anyway": "اجلبها على أي حال",
+  "fetch.encrypted":
+    "هذه اللصقة مشفرة من طرف إلى طرف. افتح عرض HTML الخاص بها بالرابط الكامل (بما في ذلك المفتاح {key}) لقراءتها.",
+
+  "health.check": "فحص الحالة",
+  "health.checking": "جارٍ الفحص...",
+  "health.result": "فحص الحالة:",
+  "health.statusPage": "صفحة الحالة",
+
+  "paste.loading": "جارٍ تحميل اللصقة...",
+  "paste.loadedOf": "{loaded} من {total}",
+  "paste.viewing": "عرض لصقة",
+  "paste.details": "تفاصيل اللصقة",
+  "paste.expiredDetail": "بلغت هذه اللصقة وقت انتهائها ولم تعد متاحة.",
+  "paste.error.expired": "انتهت صلاحية اللصقة",
+  "paste.error.noViews": "لا مشاهدات متبقية",
+  "paste.error.password": "كلمة المرور مطلوبة",
+  "paste.error.unreachable": "تعذّر الوصول إلى الخادم",
+  "paste.error.backend": "خطأ في الخادم",
+  "paste.error.notFound": "اللصقة غير موجودة",
+  "paste.id": "المعرّف:",
+  "paste.forkedFrom": "متفرّعة من:",
+  "paste.compare": "مقارنة",
+  "paste.file": "الملف:",
+  "paste.created": "أُنشئت:",
+  "paste.ttl": "مدة الصلاحية:",
+  "paste.expiresIn": "تنتهي خلال:",
+  "paste.maxViews": "الحد الأقصى للمشاهدات:",
+  "paste.views": "المشاهدات:",
+  "paste.viewsLeft": "المشاهدات المتبقية:",
+  "paste.viewsLeftBadge": {
+    zero: "لا مشاهدات متبقية",
+    one: "مشاهدة واحدة متبقية",
+    two: "مشاهدتان متبقيتان",
+    few: "{count} مشاهدات متبقية",
+    many: "{count} مشاهدة متبقية",
+    other: "{count} مشاهدة متبقية",
+  },
+  "paste.lastView": "لا شيء — كانت هذه آخر مشاهدة",
+  "paste.copy": "نسخ إلى الحافظة",
+  "paste.copyFile": "نسخ الملف",
+  "paste.download": "تنزيل",
+  "paste.downloadFile": "تنزيل الملف",
+  "paste.downloadZip": "تنزيل الكل (.zip)",
+  "paste.raw": "نص خام",
+  "paste.rendered": "معروض",
+  "paste.fork": "تفرّع / تحرير كلصقة جديدة",
+
+  "reveal.subtitle": "كشف اللصقة؟",
+  "reveal.title": "لهذه اللصقة عدد محدود من المشاهدات",
+  "reveal.viewsLeft": {
+    zero: "لم يتبقَّ لهذه اللصقة أي مشاهدة.",
+    one: "تبقّت لهذه اللصقة مشاهدة واحدة.",
+    two: "تبقّت لهذه اللصقة مشاهدتان.",
+    few: "تبقّت لهذه اللصقة {n} مشاهدات.",
+    many: "تبقّت لهذه اللصقة {n} مشاهدة.",
+    other: "تبقّت لهذه اللصقة {n} مشاهدة.",
+  },
+  "reveal.lastView": "ستختفي عن الجميع بعد أن تفتحها.",
+  "reveal.unknown": "قد تكون هذه اللصقة محدودة بعدد من المشاهدات. فتحها يُحتسب مشاهدة واحدة.",
+  "reveal.submit": "كشف اللصقة",
+
+  "unlock.title": "كلمة المرور مطلوبة",
+  "unlock.subtitle": "أدخل كلمة المرور لفتح هذه اللصقة",
+  "unlock.intro": "هذه اللصقة محمية بكلمة مرور.",
+  "unlock.viewNote": {
+    zero: "لم يتبقَّ لها أي مشاهدة.",
+    one: "تبقّت لها مشاهدة واحدة، وفتحها يستهلكها.",
+    two: "تبقّت لها مشاهدتان، وفتحها يستهلك واحدة.",
+    few: "تبقّت لها {count} مشاهدات، وفتحها يستهلك واحدة.",
+    many: "تبقّت لها {count} مشاهدة، وفتحها يستهلك واحدة.",
+    other: "تبقّت لها {count} مشاهدة، وفتحها يستهلك واحدة.",
+  },
+  "unlock.password": "كلمة المرور",
+  "unlock.submit": "فتح",
+  "unlock.checking": "جارٍ التحقق...",
+  "unlock.wrong": {
+    zero: "كلمة مرور خاطئة.",
+    one: "كلمة مرور خاطئة.",
+    two: "كلمة مرور خاطئة (محاولتان فاشلتان).",
+    few: "كلمة مرور خاطئة ({count} محاولات فاشلة).",
+    many: "كلمة مرور خاطئة ({count} محاولة فاشلة).",
+    other: "كلمة مرور خاطئة ({count} محاولة فاشلة).",
+  },
+  "unlock.cannotDecrypt": "تعذّر فك التشفير:",
+  "decrypt.error.missingKey": "هذه اللصقة مشفرة، لكن الرابط لا يحتوي على مفتاح فك التشفير (#k=...).",
+  "decrypt.error.missingPassphrase": "عبارة المرور مطلوبة لقراءة هذه اللصقة.",
+  "decrypt.error.malformedKey": "مفتاح فك التشفير في الرابط غير صالح.",
+  "decrypt.error.wrongKey": "مفتاح فك التشفير خاطئ، أو بيانات اللصقة تالفة.",
+  "decrypt.error.wrongPassphrase": "عبارة المرور خاطئة، أو بيانات اللصقة تالفة.",
+  "decrypt.error.badEnvelope": "بيانات التشفير في اللصقة تالفة.",
+  "api.error.network": "خطأ في الشبكة: تعذّر الوصول إلى الخادم.",
+  "api.error.timeout": "لم يستجب الخادم خلال {seconds} ث.",
+  "api.error.html": "أعاد الخادم صفحة HTML بدلًا من JSON (HTTP {status}).",
+  "api.error.gateway": "أجاب الخادم بصفحة خطأ.",
+  "api.error.http": "أجاب الخادم برمز HTTP {status}.",
+  "api.error.rejected": "أجاب الخادم برمز HTTP {status}: {message}",
+  "api.error.notJson": "لم تكن إجابة الخادم بصيغة JSON (HTTP {status}).",
+  "api.error.noId": "لم تتضمن إجابة الخادم معرّف اللصقة.",
+  "api.error.notFound": "هذه اللصقة غير موجودة.",
+  "api.error.expired": "انتهت صلاحية هذه اللصقة.",
+  "api.error.noViews": "لم يتبقَّ لهذه اللصقة أي مشاهدات.",
+  "api.error.password": "هذه اللصقة تتطلب كلمة مرور.",
+
+  "code.lines": {
+    zero: "لا أسطر",
+    one: "سطر واحد",
+    two: "سطران",
+    few: "{count} أسطر",
+    many: "{count} سطرًا",
+    other: "{count} سطر",
+  },
+  "code.tooLarge": "أكبر من أن يُلوَّن",
+  "code.line": "السطر {n}",
+  "code.search": "البحث في اللصقة",
+  "code.matchOf": "{index}/{count}",
+  "code.matchOfMany": "{index}/{count}+",
+  "code.noMatches": "لا نتائج",
+  "code.prevMatch": "النتيجة السابقة",
+  "code.nextMatch": "النتيجة التالية",
+  "code.linePlaceholder": "سطر",
+  "code.goToLine": "الانتقال إلى سطر",
+  "code.go": "انتقال",
+
+  "share.title": "لصقة من Pastebin Lite",
+  "share.link": "رابط اللصقة",
+  "share.copy": "نسخ الرابط",
+  "share.copied": "تم النسخ",
+  "share.copyPrompt": "انسخ هذا الرابط:",
+  "share.share": "مشاركة…",
+  "share.qr": "رمز QR",
+  "share.hideQr": "إخفاء رمز QR",
+  "share.qrAlt": "رمز QR للرابط {url}",
+  "share.qrError": "تعذّر إنشاء رمز QR: {error}",
+
+  "embed.button": "تضمين",
+  "embed.title": "اللصقة {id}",
+  "embed.iframe": "التضمين بإطار iframe",
+  "embed.script": "التضمين بسكربت (يتكيّف حجمه مع المحتوى)",
+  "embed.copy": "نسخ",
+  "embed.raw": "عرض النص الخام",
+  "embed.limitedNote": "لهذه اللصقة حد للمشاهدات. تطلب الإطارات المضمّنة التأكيد قبل عرضها، وكل كشف يستهلك مشاهدة.",
+  "embed.keyNote": "يتضمن المقتطف مفتاح فك التشفير: يستطيع كل من يرى الصفحة المضمِّنة قراءة هذه اللصقة.",
+  "embed.open": "افتح في Pastebin Lite",
+  "embed.locked": "هذه اللصقة مقفلة. افتحها في Pastebin Lite لقراءتها.",
+  "preview.generic": "لصقة على {provider}.",
+  "preview.password": "هذه اللصقة محمية بكلمة مرور.",
+  "preview.viewsLeft": {
+    zero: "لم يتبقَّ لهذه اللصقة أي مشاهدة.",
+    one: "تبقّت لهذه اللصقة مشاهدة واحدة. فتحها يستهلك تلك المشاهدة.",
+    two: "تبقّت لهذه اللصقة مشاهدتان. فتحها يستهلك واحدة.",
+    few: "تبقّت لهذه اللصقة {count} مشاهدات. فتحها يستهلك واحدة.",
+    many: "تبقّت لهذه اللصقة {count} مشاهدة. فتحها يستهلك واحدة.",
+    other: "تبقّت لهذه اللصقة {count} مشاهدة. فتحها يستهلك واحدة.",
+  },
+  "preview.missing": "هذه اللصقة غير موجودة أو لم تعد متاحة.",
+
+  "secrets.title": {
+    zero: "يبدو أن هذه اللصقة لا تحتوي على أسرار",
+    one: "يبدو أن هذه اللصقة تحتوي على سرّ",
+    two: "يبدو أن هذه اللصقة تحتوي على سرّين",
+    few: "يبدو أن هذه اللصقة تحتوي على {count} أسرار",
+    many: "يبدو أن هذه اللصقة تحتوي على {count} سرًّا",
+    other: "يبدو أن هذه اللصقة تحتوي على {count} سرّ",
+  },
+  "secrets.intro": "لم يُرسل شيء بعد. استبدلها بـ [REDACTED]، أو أنشئ اللصقة كما هي.",
+  "secrets.more": {
+    zero: "…",
+    one: "…وواحد آخر",
+    two: "…واثنان آخران",
+    few: "…و{count} أخرى",
+    many: "…و{count} أخرى",
+    other: "…و{count} أخرى",
+  },
+  "secrets.redact": "إخفاء",
+  "secrets.proceed": "أنشئها على أي حال",
+  "secrets.rule.private-key": "مفتاح خاص",
+  "secrets.rule.aws-access-key": "معرّف مفتاح وصول AWS",
+  "secrets.rule.aws-secret-key": "مفتاح وصول AWS السري",
+  "secrets.rule.jwt": "رمز JSON Web Token",
+  "secrets.rule.bearer-token": "رمز Bearer",
+  "secrets.rule.github-token": "رمز GitHub",
+  "secrets.rule.slack-token": "رمز Slack",
+  "secrets.rule.stripe-key": "مفتاح Stripe للإنتاج",
+  "secrets.rule.google-api-key": "مفتاح Google API",
+  "secrets.rule.connection-string": "كلمة مرور في سلسلة اتصال",
+  "secrets.rule.password-assignment": "تعيين كلمة مرور أو مفتاح",
+  "secrets.rule.high-entropy": "سلسلة تبدو عشوائية",
+  "secrets.rule.custom": "نمط مخصص {pattern}",
+
+  "queue.waiting": {
+    zero: "لا لصقات بانتظار الإرسال",
+    one: "لصقة واحدة بانتظار الإرسال",
+    two: "لصقتان بانتظار الإرسال",
+    few: "{count} لصقات بانتظار الإرسال",
+    many: "{count} لصقة بانتظار الإرسال",
+    other: "{count} لصقة بانتظار الإرسال",
+  },
+  "queue.autoSend": "ستُرسل تلقائيًا عندما يصبح الخادم متاحًا.",
+  "queue.queuedAt": "أُضيفت {when}",
+  "queue.rejected": "مرفوضة: {error}",
+  "queue.discard": "تجاهل",
+  "queue.discardLabel": "تجاهل اللصقة المنتظرة",
+  "queue.sendNow": "أرسل الآن",
+  "queue.sending": "جارٍ الإرسال...",
+  "queue.sent": {
+    zero: "لم تُرسل أي لصقة منتظرة:",
+    one: "أُرسلت لصقة منتظرة واحدة:",
+    two: "أُرسلت لصقتان منتظرتان:",
+    few: "أُرسلت {count} لصقات منتظرة:",
+    many: "أُرسلت {count} لصقة منتظرة:",
+    other: "أُرسلت {count} لصقة منتظرة:",
+  },
+
+  "offline.browser": "أنت غير متصل بالإنترنت.",
+  "offline.html": "أعاد الخادم صفحة HTML بدلًا من JSON (تحقق من إعادة توجيه /api في vercel.json).",
+  "offline.unreachable": "تعذّر الوصول إلى الخادم.",
+  "offline.retry": "أعد المحاولة الآن",
+  "offline.details": "التفاصيل",
+
+  "bulk.open": "دفعة",
+  "bulk.title": "إنشاء دفعة",
+  "bulk.intro":
+    "أنشئ لصقات كثيرة دفعة واحدة من مجلد ملفات، أو من بيان JSON أو CSV (content وttl_seconds وmax_views وtitle)، أو من تصديرات GitHub Gist أو hastebin، أو من ملف ‎.zip‎ يضم أيًّا منها. تُعاد محاولة الإخفاقات المؤقتة مرتين.",
+  "bulk.chooseFolder": "اختر مجلدًا",
+  "bulk.chooseFiles": "اختر ملفات أو أرشيفًا",
+  "bulk.concurrency": "في الوقت نفسه",
+  "bulk.reading": "جارٍ قراءة الملفات...",
+  "bulk.skipped": {
+    zero: "لم يُتخطَّ أي إدخال:",
+    one: "تُخطّي إدخال واحد:",
+    two: "تُخطّي إدخالان:",
+    few: "تُخطّيت {count} إدخالات:",
+    many: "تُخطّي {count} إدخالًا:",
+    other: "تُخطّي {count} إدخال:",
+  },
+  "bulk.tooMany": {
+    zero: "لا تتسع الدفعة لأي لصقة.",
+    one: "تتسع الدفعة للصقة واحدة فقط.",
+    two: "تتسع الدفعة للصقتين فقط.",
+    few: "تتسع الدفعة لـ{count} لصقات فقط.",
+    many: "تتسع الدفعة لـ{count} لصقة فقط.",
+    other: "تتسع الدفعة لـ{count} لصقة فقط.",
+  },
+  "bulk.empty": "لا شيء لإنشائه بعد. اختر مجلدًا أو ملفات أو أرشيفًا.",
+  "bulk.progress": "أُنشئ {done} من {total}، وأخفق {failed}",
+  "bulk.untitled": "(بلا عنوان)",
+  "bulk.flagged": "سرّ محتمل",
+  "bulk.remove": "إزالة {title}",
+  "bulk.status.queued": "في الانتظار",
+  "bulk.status.running": "جارٍ الإنشاء...",
+  "bulk.status.retrying": "جارٍ إعادة المحاولة (المحاولة {attempt})...",
+  "bulk.status.done": "أُنشئت",
+  "bulk.status.failed": "أخفقت",
+  "bulk.secrets": {
+    zero: "لا تبدو أي لصقة محتوية على بيانات اعتماد.",
+    one: "تبدو لصقة واحدة محتوية على بيانات اعتماد.",
+    two: "تبدو لصقتان محتويتين على بيانات اعتماد.",
+    few: "تبدو {count} لصقات محتوية على بيانات اعتماد.",
+    many: "تبدو {count} لصقة محتوية على بيانات اعتماد.",
+    other: "تبدو {count} لصقة محتوية على بيانات اعتماد.",
+  },
+  "bulk.secrets.skip": "تخطَّها",
+  "bulk.secrets.proceed": "أنشئها على أي حال",
+  "bulk.start": {
+    zero: "لا لصقات لإنشائها",
+    one: "أنشئ لصقة واحدة",
+    two: "أنشئ لصقتين",
+    few: "أنشئ {count} لصقات",
+    many: "أنشئ {count} لصقة",
+    other: "أنشئ {count} لصقة",
+  },
+  "bulk.stop": "إيقاف",
+  "bulk.retryFailed": {
+    zero: "لا إخفاقات لإعادة محاولتها",
+    one: "أعد محاولة لصقة واحدة أخفقت",
+    two: "أعد محاولة لصقتين أخفقتا",
+    few: "أعد محاولة {count} لصقات أخفقت",
+    many: "أعد محاولة {count} لصقة أخفقت",
+    other: "أعد محاولة {count} لصقة أخفقت",
+  },
+  "bulk.download": "نزّل النتائج",
+  "bulk.error.other": "{message}",
+  "bulk.error.wholeNumber": "يجب أن يكون {field} عددًا صحيحًا يساوي 1 أو أكثر.",
+  "bulk.error.notObject": "كان المتوقع كائنًا.",
+  "bulk.error.contentRequired": "الحقل content مطلوب.",
+  "bulk.error.gistEmpty": "لا يحتوي الـ gist على ملفات.",
+  "bulk.error.gistTruncated": "{file}: المحتوى غير مُضمَّن (تحذفه ردود القوائم والملفات المقتطعة).",
+  "bulk.error.emptyFile": "ملف فارغ.",
+  "bulk.error.zipDepth": "لا تُفتح الأرشيفات المتداخلة بعمق يتجاوز {depth}.",
+  "zip.error.notZip": "ليس أرشيف ZIP.",
+  "zip.error.zip64": "أرشيفات ZIP64 غير مدعومة.",
+  "zip.error.corrupt": "أرشيف ZIP تالف.",
+  "zip.error.encrypted": "مدخلات ZIP المشفرة غير مدعومة.",
+  "zip.error.tooLarge": "أكبر من الحد {limit}.",
+  "zip.error.totalTooLarge": "تم تخطيه: تتجاوز الأرشيفات {limit} إجمالًا بعد فك الضغط.",
+  "zip.error.method": "طريقة الضغط {method} غير مدعومة.",
+
+  "history.title": "السجل",
+  "history.subtitle": "اللصقات المُنشأة من هذا المتصفح",
+  "history.search": "البحث في السجل",
+  "history.search.placeholder": "ابحث بالمعرّف أو المحتوى أو اللغة...",
+  "history.sort": "ترتيب السجل",
+  "history.sort.newest": "الأحدث أولًا",
+  "history.sort.oldest": "الأقدم أولًا",
+  "history.sort.expiring": "الأقرب انتهاءً",
+  "history.export": "تصدير",
+  "history.import": "استيراد",
+  "history.imported": {
+    zero: "لم يُستورد أي إدخال.",
+    one: "استُورد إدخال واحد.",
+    two: "استُورد إدخالان.",
+    few: "استُوردت {count} إدخالات.",
+    many: "استُورد {count} إدخالًا.",
+    other: "استُورد {count} إدخال.",
+  },
+  "history.error.invalidJson": "ملف الاستيراد ليس JSON صالحًا.",
+  "history.error.noEntries": "لا يحتوي ملف الاستيراد على إدخالات سجل.",
+  "db.error.unavailable": "لا يوفّر هذا المتصفح تخزين IndexedDB (قد تعطّله النوافذ الخاصة).",
+  "history.loading": "جارٍ تحميل السجل...",
+  "history.noMatches": "لا توجد إدخالات تطابق بحثك.",
+  "history.empty": "لا لصقات بعد. تظهر هنا اللصقات التي تنشئها من الصفحة الرئيسية.",
+  "history.multiFile": "متعددة الملفات",
+  "history.expired": "منتهية",
+  "history.expiresIn": "تنتهي خلال {time}",
+  "history.noExpiry": "بلا انتهاء",
+  "history.maxViews": {
+    zero: "بلا مشاهدات",
+    one: "مشاهدة واحدة كحد أقصى",
+    two: "مشاهدتان كحد أقصى",
+    few: "{count} مشاهدات كحد أقصى",
+    many: "{count} مشاهدة كحد أقصى",
+    other: "{count} مشاهدة كحد أقصى",
+  },
+  "history.created": "أُنشئت {when}",
+  "history.remove": "إزالة {id} من السجل",
+  "history.remove.title": "إزالة من السجل (لا تحذف اللصقة)",
+
+  "status.subtitle": "حالة الخادم",
+  "status.ok": "يعمل",
+  "status.unreachable": "غير متاح",
+  "status.degraded": "أداء منخفض",
+  "status.failure.html": "أجاب الخادم بصفحة HTML بدلًا من JSON.",
+  "status.failure.network": "تعذّر الوصول إلى الخادم.",
+  "status.failure.timeout": "انتهت مهلة فحص الحالة.",
+  "status.failure.http": "أبلغ الخادم عن خطأ.",
+  "status.lastCheck": "آخر فحص {when} · {ms} ملّي ثانية",
+  "status.rewrite": "مشكلة في إعادة التوجيه:",
+  "status.rewriteDetail":
+    "أعاد {url} صفحة HTML بدلًا من JSON. يعني هذا عادةً أن إعادة التوجيه {rule} في {file} لا تصل إلى الخادم، وأن صفحة التطبيق الاحتياطية ({fallback}) أو صفحة خطأ هي التي ردّت.",
+  "status.successRate": "نسبة النجاح",
+  "status.checksThisSession": "{ok}/{count} فحوصات في هذه الجلسة",
+  "status.avgLatency": "متوسط زمن الاستجابة",
+  "status.ms": "{ms} ملّي ثانية",
+  "status.successfulChecks": "الفحوصات الناجحة",
+  "status.polling": "الفحص الدوري",
+  "status.seconds": "{s} ث",
+  "status.checkNow": "افحص الآن",
+  "status.latency": "زمن الاستجابة",
+  "status.payload": "بيانات فحص الحالة",
+  "status.noResponse": "لا توجد استجابة ناجحة بعد.",
+  "status.collecting": "جارٍ جمع العينات...",
+  "status.chartLabel": "زمن الاستجابة خلال آخر {count} فحص، حتى {max} ملّي ثانية",
+
+  "diff.subtitle": "مقارنة اللصقات",
+  "diff.checking": "جارٍ فحص اللصقات...",
+  "diff.loading": "جارٍ تحميل اللصقات...",
+  "diff.confirmLabel": "تأكيد المقارنة",
+  "diff.confirm": "تستهلك المقارنة مشاهدة واحدة من كل لصقة.",
+  "diff.budgetUnknown": "{id}: عدد المشاهدات غير معروف",
+  "diff.noLimit": "{id}: بلا حد للمشاهدات",
+  "diff.viewsLeft": {
+    zero: "{id}: لا مشاهدات متبقية",
+    one: "{id}: مشاهدة واحدة متبقية",
+    two: "{id}: مشاهدتان متبقيتان",
+    few: "{id}: {count} مشاهدات متبقية",
+    many: "{id}: {count} مشاهدة متبقية",
+    other: "{id}: {count} مشاهدة متبقية",
+  },
+  "diff.compare": "قارن",
+  "diff.layout": "تخطيط المقارنة",
+  "diff.split": "جنبًا إلى جنب",
+  "diff.unified": "موحّد",
+  "diff.identical": "اللصقتان متطابقتان.",
+  "diff.passphrase": "اللصقة {id} مشفرة بعبارة مرور ولا يمكن مقارنتها هنا.",
+  "diff.password": "اللصقة {id} محمية بكلمة مرور ولا يمكن مقارنتها هنا.",
+
+  "palette.label": "لوحة الأوامر",
+  "palette.placeholder": "اكتب أمرًا أو معرّف لصقة…",
+  "palette.commands": "الأوامر",
+  "palette.empty": "لا أوامر مطابقة",
+  "help.title": "اختصارات لوحة المفاتيح",
+
+  "cmd.section.general": "عام",
+  "cmd.section.goTo": "انتقال إلى",
+  "cmd.section.paste": "اللصقة",
+  "cmd.palette": "فتح لوحة الأوامر",
+  "cmd.help": "عرض اختصارات لوحة المفاتيح",
+  "cmd.focusSearch": "التركيز على البحث",
+  "cmd.goHome": "لصقة جديدة",
+  "cmd.openPaste": "فتح اللصقة «{id}»",
+  "cmd.theme": "السمة: التبديل إلى {theme}",
+  "cmd.wrapOn": "تفعيل التفاف الأسطر",
+  "cmd.wrapOff": "إيقاف التفاف الأسطر",
+  "cmd.language": "اللغة: التبديل إلى {language}",
+  "cmd.create": "إنشاء لصقة",
+  "cmd.copyNewLink": "نسخ رابط اللصقة الجديدة",
+  "cmd.bulk": "إنشاء لصقات دفعة واحدة",
+  "cmd.copyLink": "نسخ رابط هذه اللصقة",
+  "cmd.copyContent": "نسخ المحتوى",
+  "cmd.download": "تنزيل",
+  "cmd.showRaw": "عرض Markdown الخام",
+  "cmd.showRendered": "عرض Markdown المنسّق",
+  "cmd.fork": "تفرّع / تحرير كلصقة جديدة",
+
+  "prefs.savedLocally": "تُحفظ في هذا المتصفح فقط. تُطبَّق التغييرات فورًا.",
+  "prefs.appearance": "المظهر",
+  "prefs.theme": "السمة",
+  "prefs.theme.system": "حسب النظام",
+  "prefs.theme.light": "فاتحة",
+  "prefs.theme.dark": "داكنة",
+  "prefs.language": "اللغة",
+  "prefs.language.auto": "تلقائي (لغة المتصفح)",
+  "prefs.fontSize": "حجم خط الشيفرة",
+  "prefs.px": "{n} بكسل",
+  "prefs.tabWidth": "عرض الجدولة",
+  "prefs.spaces": {
+    zero: "بلا مسافات",
+    one: "مسافة واحدة",
+    two: "مسافتان",
+    few: "{count} مسافات",
+    many: "{count} مسافة",
+    other: "{count} مسافة",
+  },
+  "prefs.wrap": "التفاف الأسطر الطويلة",
+  "prefs.wrap.hint": "لا تُلَفّ أسطر اللصقات الكبيرة جدًا أبدًا، ليبقى التمرير سريعًا.",
+  "prefs.defaults": "الإعدادات الافتراضية للصقات الجديدة",
+  "prefs.maxViews": "الحد الأقصى للمشاهدات",
+  "prefs.unlimited": "غير محدود",
+  "prefs.maxViews.invalid": "استخدم عددًا صحيحًا موجبًا، أو اتركه فارغًا.",
+  "prefs.secrets": "فحص الأسرار",
+  "prefs.secrets.enable": "افحص اللصقات الجديدة بحثًا عن كلمات المرور والمفاتيح قبل إنشائها",
+  "prefs.secrets.hint": "يجري الفحص في هذا المتصفح. يمكن إخفاء الأسطر المُعلَّمة أو إرسالها كما هي.",
+  "prefs.secrets.rules": "ابحث عن",
+  "prefs.secrets.custom": "أنماط مخصصة",
+  "prefs.secrets.customHint": "تعبير نمطي واحد في كل سطر، مجرّدًا أو بصيغة /pattern/flags. تُتجاهل الأسطر التي تبدأ بـ #.",
+  "prefs.secrets.invalid": "تعبير نمطي غير صالح في السطر {lines}.",
+  "prefs.reset": "استعادة الإعدادات الافتراضية",
+};
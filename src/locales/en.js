@@ -0,0 +1,460 @@
+// English UI strings; the reference catalog other locales fall back to.
+// Plural messages are keyed by Intl.PluralRules category (see src/lib/i18n.js).
+export default {
+  "app.title": "Pastebin Lite",
+  "app.tagline": "Simple, fast, and secure text sharing",
+  "app.runningOn": "Running on:",
+  "app.originLoading": "(loading...)",
+  "app.sameDomain": "(UI + API are same domain)",
+
+  "nav.history": "My pastes",
+  "nav.status": "Status",
+  "nav.preferences": "Preferences",
+  "nav.shortcuts": "Shortcuts",
+
+  "common.error": "Error:",
+  "common.cancel": "Cancel",
+  "common.close": "Close",
+  "common.backHome": "← Back to Home",
+  "common.empty": "(empty)",
+  "common.yes": "yes",
+  "common.no": "no",
+
+  "ttl.300": "5 min",
+  "ttl.3600": "1 hour",
+  "ttl.86400": "1 day",
+  "ttl.604800": "1 week",
+  "ttl.never": "Never",
+  "ttl.custom": "Custom",
+
+  "create.title": "Create Paste",
+  "create.forking": "Forking {id}. The new paste will link back to it.",
+  "create.unlinkParent": "Don't link to the parent paste",
+  "create.content": "Content *",
+  "create.content.placeholder": "Type your paste text, or drop text files here...",
+  "create.addFile": "Add file",
+  "create.openFiles": "Open files",
+  "create.unnamedFile": "(unnamed {n})",
+  "create.removeFile": "Remove {name}",
+  "create.fileName": "File name",
+  "create.fileName.placeholder": "File name, e.g. config.yaml",
+  "create.forgetFilename": "Forget filename",
+  "create.draftRestored": "Restored your unsent draft from last time.",
+  "create.fileLimit": "Text files up to {size}.",
+  "create.language": "Language",
+  "create.language.auto": "Auto-detect",
+  "language.plaintext": "Plain text",
+  "language.bash": "Bash / Shell",
+  "language.c": "C",
+  "language.cpp": "C++",
+  "language.csharp": "C#",
+  "language.css": "CSS",
+  "language.diff": "Diff",
+  "language.go": "Go",
+  "language.ini": "INI / TOML",
+  "language.java": "Java",
+  "language.javascript": "JavaScript",
+  "language.json": "JSON",
+  "language.kotlin": "Kotlin",
+  "language.markdown": "Markdown (rendered)",
+  "language.makefile": "Makefile",
+  "language.php": "PHP",
+  "language.python": "Python",
+  "language.ruby": "Ruby",
+  "language.rust": "Rust",
+  "language.sql": "SQL",
+  "language.swift": "Swift",
+  "language.typescript": "TypeScript",
+  "language.xml": "HTML / XML",
+  "language.yaml": "YAML",
+  "create.expiresAfter": "Expires after",
+  "create.ttl.custom": "Custom duration",
+  "create.ttl.placeholder": "e.g. 90m, 2d, 1h30m",
+  "create.ttl.invalid": "Use a duration like 90m, 2d or 3600 (seconds).",
+  "create.ttl.missing": "Enter a custom duration, or pick a preset.",
+  "create.ttl.enterCustom": "Enter a custom duration.",
+  "create.maxViews": "Max Views (optional)",
+  "create.maxViews.placeholder": "e.g. 2",
+  "create.maxViews.invalid": "max_views must be an integer ≥ 1",
+  "create.burn": "Burn after reading",
+  "create.expiry.afterViews": { one: "after it is read once", other: "after {count} views" },
+  "create.expiry.both": "Expires in {ttl} or {views}, whichever comes first.",
+  "create.expiry.ttl": "Expires in {ttl}.",
+  "create.expiry.views": "Expires {views}.",
+  "create.expiry.never": "Never expires.",
+  "create.encrypt": "Encrypt in browser (end-to-end)",
+  "create.encrypt.key": "Key",
+  "create.encrypt.link": "Random key in link",
+  "create.encrypt.passphrase": "Passphrase",
+  "create.encrypt.passphrase.placeholder": "Share this separately",
+  "create.submit": "Create Paste",
+  "create.submit.title": "Create paste (Ctrl+Enter)",
+  "create.submitting": "Creating...",
+  "create.clear": "Clear",
+  "create.contentRequired": "Content is required.",
+  "create.password": "Password (optional)",
+  "create.password.placeholder": "Readers will need it to open the paste",
+  "create.password.hint":
+    "The backend won't serve the paste without it, and unless you picked encryption above the content is also encrypted with it.",
+  "create.passphraseRequired": "A passphrase is required for passphrase encryption.",
+  "create.queued": "You're offline. The paste was queued and will be created automatically when the connection returns.",
+  "create.queuedNoPassword":
+    "You're offline. Password-protected pastes aren't queued, because the password would be stored on this device. Try again when the connection returns.",
+  "create.htmlUrl": "HTML URL:",
+  "create.apiJson": "API JSON:",
+  "create.countsAsView": "(counts as a view)",
+  "create.keyInLink": "The decryption key is in the HTML URL after {hash} and is never sent to the server. Share the full link.",
+
+  "files.tabsLabel": "Files in this paste",
+  "files.error.tooLarge": "{name} is {size}; the limit is {limit}.",
+  "files.error.binary": "{name} looks like a binary file; only text files can be pasted.",
+  "files.error.notUtf8": "{name} is not valid UTF-8 text.",
+  "bundle.error.noFiles": "Add at least one file.",
+  "bundle.error.unnamed": "File {index} needs a name.",
+  "bundle.error.slash": "File name \"{name}\" can't contain slashes.",
+  "bundle.error.duplicate": "Duplicate file name \"{name}\".",
+  "bundle.error.empty": "{name} is empty.",
+
+  "fetch.title": "Fetch Paste",
+  "fetch.id": "Paste ID",
+  "fetch.id.placeholder": "Enter paste ID (e.g. abc123...)",
+  "fetch.idRequired": "Paste ID is required.",
+  "fetch.submit": "Fetch",
+  "fetch.submitting": "Fetching...",
+  "fetch.openHtml": "Open HTML View",
+  "fetch.confirm": {
+    one: "Paste {id} has {n} view left. Fetching it uses one.",
+    other: "Paste {id} has {n} views left. Fetching it uses one.",
+  },
+  "fetch.confirmUnknown": "Paste {id} may have a view limit. Fetching it could use one.",
+  "fetch.anyway": "Fetch anyway",
+  "fetch.encrypted":
+    "This paste is end-to-end encrypted. Open its HTML view with the full link (including the {key} key) to read it.",
+
+  "health.check": "Check Health",
+  "health.checking": "Checking...",
+  "health.result": "Health Check:",
+  "health.statusPage": "Status page",
+
+  "paste.loading": "Loading paste...",
+  "paste.loadedOf": "{loaded} of {total}",
+  "paste.viewing": "Viewing paste",
+  "paste.details": "Paste Details",
+  "paste.expiredDetail": "This paste reached its expiry time and is no longer available.",
+  "paste.error.expired": "Paste expired",
+  "paste.error.noViews": "No views left",
+  "paste.error.password": "Password required",
+  "paste.error.unreachable": "Backend unreachable",
+  "paste.error.backend": "Backend error",
+  "paste.error.notFound": "Paste not found",
+  "paste.id": "ID:",
+  "paste.forkedFrom": "Forked from:",
+  "paste.compare": "compare",
+  "paste.file": "File:",
+  "paste.created": "Created:",
+  "paste.ttl": "TTL:",
+  "paste.expiresIn": "Expires in:",
+  "paste.maxViews": "Max Views:",
+  "paste.views": "Views:",
+  "paste.viewsLeft": "Views left:",
+  "paste.viewsLeftBadge": { one: "{count} view left", other: "{count} views left" },
+  "paste.lastView": "none — this was the last view",
+  "paste.copy": "Copy to Clipboard",
+  "paste.copyFile": "Copy file",
+  "paste.download": "Download",
+  "paste.downloadFile": "Download file",
+  "paste.downloadZip": "Download all (.zip)",
+  "paste.raw": "Raw",
+  "paste.rendered": "Rendered",
+  "paste.fork": "Fork / Edit as new",
+
+  "reveal.subtitle": "Reveal paste?",
+  "reveal.title": "This paste has a view budget",
+  "reveal.viewsLeft": { one: "This paste has {n} view left.", other: "This paste has {n} views left." },
+  "reveal.lastView": "It will be gone for everyone after you open it.",
+  "reveal.unknown": "This paste may be limited to a number of views. Opening it counts as one view.",
+  "reveal.submit": "Reveal paste",
+
+  "unlock.title": "Password required",
+  "unlock.subtitle": "Enter the password to open this paste",
+  "unlock.intro": "This paste is protected with a password.",
+  "unlock.viewNote": {
+    one: "It has 1 view left; unlocking it uses that view.",
+    other: "It has {count} views left; unlocking it uses one.",
+  },
+  "unlock.password": "Password",
+  "unlock.submit": "Unlock",
+  "unlock.checking": "Checking...",
+  "unlock.wrong": {
+    one: "Wrong password.",
+    other: "Wrong password ({count} failed attempts).",
+  },
+  "unlock.cannotDecrypt": "Cannot decrypt:",
+  "decrypt.error.missingKey": "This paste is encrypted, but the link has no decryption key (#k=...).",
+  "decrypt.error.missingPassphrase": "A passphrase is required to read this paste.",
+  "decrypt.error.malformedKey": "The decryption key in the link is malformed.",
+  "decrypt.error.wrongKey": "Wrong decryption key, or the paste data is corrupted.",
+  "decrypt.error.wrongPassphrase": "Wrong passphrase, or the paste data is corrupted.",
+  "decrypt.error.badEnvelope": "The paste's encryption data is corrupted.",
+  "api.error.network": "Network error: could not reach the backend.",
+  "api.error.timeout": "The backend didn't answer within {seconds} s.",
+  "api.error.html": "The backend returned an HTML page instead of JSON (HTTP {status}).",
+  "api.error.gateway": "The backend answered with an error page.",
+  "api.error.http": "The backend answered with HTTP {status}.",
+  "api.error.rejected": "The backend answered HTTP {status}: {message}",
+  "api.error.notJson": "The backend's answer wasn't JSON (HTTP {status}).",
+  "api.error.noId": "The backend's answer had no paste id.",
+  "api.error.notFound": "This paste doesn't exist.",
+  "api.error.expired": "This paste has expired.",
+  "api.error.noViews": "This paste has no views left.",
+  "api.error.password": "This paste needs a password.",
+
+  "code.lines": { one: "{count} line", other: "{count} lines" },
+  "code.tooLarge": "too large to highlight",
+  "code.line": "Line {n}",
+  "code.search": "Search in paste",
+  "code.matchOf": "{index}/{count}",
+  "code.matchOfMany": "{index}/{count}+",
+  "code.noMatches": "No matches",
+  "code.prevMatch": "Previous match",
+  "code.nextMatch": "Next match",
+  "code.linePlaceholder": "Line",
+  "code.goToLine": "Go to line",
+  "code.go": "Go",
+
+  "share.title": "Pastebin Lite paste",
+  "share.link": "Paste link",
+  "share.copy": "Copy link",
+  "share.copied": "Copied",
+  "share.copyPrompt": "Copy this link:",
+  "share.share": "Share…",
+  "share.qr": "QR code",
+  "share.hideQr": "Hide QR code",
+  "share.qrAlt": "QR code for {url}",
+  "share.qrError": "Couldn't generate a QR code: {error}",
+
+  "embed.button": "Embed",
+  "embed.title": "Paste {id}",
+  "embed.iframe": "Embed with an iframe",
+  "embed.script": "Embed with a script (resizes to fit)",
+  "embed.copy": "Copy",
+  "embed.raw": "Plain text view",
+  "embed.limitedNote": "This paste has a view limit. Embeds ask before showing it, and every reveal uses a view.",
+  "embed.keyNote": "The snippet includes the decryption key: anyone who can see the embedding page can read this paste.",
+  "embed.open": "Open in Pastebin Lite",
+  "embed.locked": "This paste is locked. Open it in Pastebin Lite to read it.",
+  "preview.generic": "A paste on {provider}.",
+  "preview.password": "This paste is protected with a password.",
+  "preview.viewsLeft": {
+    one: "This paste has 1 view left. Opening it uses that view.",
+    other: "This paste has {count} views left. Opening it uses one.",
+  },
+  "preview.missing": "This paste doesn't exist or is no longer available.",
+
+  "secrets.title": {
+    one: "This paste looks like it contains a secret",
+    other: "This paste looks like it contains {count} secrets",
+  },
+  "secrets.intro": "Nothing has been sent yet. Replace them with [REDACTED], or create the paste as it is.",
+  "secrets.more": "…and {count} more",
+  "secrets.redact": "Redact",
+  "secrets.proceed": "Create anyway",
+  "secrets.rule.private-key": "Private key",
+  "secrets.rule.aws-access-key": "AWS access key ID",
+  "secrets.rule.aws-secret-key": "AWS secret access key",
+  "secrets.rule.jwt": "JSON Web Token",
+  "secrets.rule.bearer-token": "Bearer token",
+  "secrets.rule.github-token": "GitHub token",
+  "secrets.rule.slack-token": "Slack token",
+  "secrets.rule.stripe-key": "Stripe live key",
+  "secrets.rule.google-api-key": "Google API key",
+  "secrets.rule.connection-string": "Password in a connection string",
+  "secrets.rule.password-assignment": "Password or key assignment",
+  "secrets.rule.high-entropy": "Random-looking string",
+  "secrets.rule.custom": "Custom pattern {pattern}",
+
+  "queue.waiting": { one: "{count} paste waiting to be sent", other: "{count} pastes waiting to be sent" },
+  "queue.autoSend": "will send automatically when the backend is reachable.",
+  "queue.queuedAt": "queued {when}",
+  "queue.rejected": "Rejected: {error}",
+  "queue.discard": "Discard",
+  "queue.discardLabel": "Discard queued paste",
+  "queue.sendNow": "Send now",
+  "queue.sending": "Sending...",
+  "queue.sent": { one: "Sent {count} queued paste:", other: "Sent {count} queued pastes:" },
+
+  "offline.browser": "You are offline.",
+  "offline.html": "The backend returned an HTML page instead of JSON (check the /api rewrite in vercel.json).",
+  "offline.unreachable": "The backend is unreachable.",
+  "offline.retry": "Retry now",
+  "offline.details": "Details",
+
+  "bulk.open": "Bulk",
+  "bulk.title": "Bulk create",
+  "bulk.intro":
+    "Create many pastes at once from a folder of files, a JSON or CSV manifest (content, ttl_seconds, max_views, title), GitHub Gist or hastebin exports, or a .zip of any of these. Temporary failures are retried twice.",
+  "bulk.chooseFolder": "Choose folder",
+  "bulk.chooseFiles": "Choose files or archive",
+  "bulk.concurrency": "At a time",
+  "bulk.reading": "Reading files...",
+  "bulk.skipped": { one: "1 entry was skipped:", other: "{count} entries were skipped:" },
+  "bulk.tooMany": { one: "Only {count} paste fits in one batch.", other: "Only {count} pastes fit in one batch." },
+  "bulk.empty": "Nothing to create yet. Choose a folder, files or an archive.",
+  "bulk.progress": "{done} of {total} created, {failed} failed",
+  "bulk.untitled": "(untitled)",
+  "bulk.flagged": "possible secret",
+  "bulk.remove": "Remove {title}",
+  "bulk.status.queued": "Queued",
+  "bulk.status.running": "Creating...",
+  "bulk.status.retrying": "Retrying (attempt {attempt})...",
+  "bulk.status.done": "Created",
+  "bulk.status.failed": "Failed",
+  "bulk.secrets": {
+    one: "1 paste looks like it contains credentials.",
+    other: "{count} pastes look like they contain credentials.",
+  },
+  "bulk.secrets.skip": "Skip those",
+  "bulk.secrets.proceed": "Create them anyway",
+  "bulk.start": { one: "Create 1 paste", other: "Create {count} pastes" },
+  "bulk.stop": "Stop",
+  "bulk.retryFailed": { one: "Retry 1 failed", other: "Retry {count} failed" },
+  "bulk.download": "Download results",
+  "bulk.error.other": "{message}",
+  "bulk.error.wholeNumber": "{field} must be a whole number of 1 or more.",
+  "bulk.error.notObject": "Expected an object.",
+  "bulk.error.contentRequired": "content is required.",
+  "bulk.error.gistEmpty": "The gist has no files.",
+  "bulk.error.gistTruncated": "{file}: content not included (list responses and truncated files leave it out).",
+  "bulk.error.emptyFile": "Empty file.",
+  "bulk.error.zipDepth": "Archives nested more than {depth} deep aren't opened.",
+  "zip.error.notZip": "Not a ZIP archive.",
+  "zip.error.zip64": "ZIP64 archives are not supported.",
+  "zip.error.corrupt": "The ZIP archive is corrupt.",
+  "zip.error.encrypted": "Encrypted ZIP entries are not supported.",
+  "zip.error.tooLarge": "Bigger than the {limit} limit.",
+  "zip.error.totalTooLarge": "Skipped: the archives extract to more than {limit} in total.",
+  "zip.error.method": "Unsupported compression method {method}.",
+
+  "history.title": "History",
+  "history.subtitle": "Pastes created from this browser",
+  "history.search": "Search history",
+  "history.search.placeholder": "Search id, content or language...",
+  "history.sort": "Sort history",
+  "history.sort.newest": "Newest first",
+  "history.sort.oldest": "Oldest first",
+  "history.sort.expiring": "Expiring soonest",
+  "history.export": "Export",
+  "history.import": "Import",
+  "history.imported": { one: "Imported {count} entry.", other: "Imported {count} entries." },
+  "history.error.invalidJson": "Import file is not valid JSON.",
+  "history.error.noEntries": "Import file has no history entries.",
+  "db.error.unavailable": "This browser has no IndexedDB storage (a private window can turn it off).",
+  "history.loading": "Loading history...",
+  "history.noMatches": "No entries match your search.",
+  "history.empty": "No pastes yet. Pastes you create on the home page show up here.",
+  "history.multiFile": "Multi-file",
+  "history.expired": "Expired",
+  "history.expiresIn": "Expires in {time}",
+  "history.noExpiry": "No expiry",
+  "history.maxViews": { one: "Max {count} view", other: "Max {count} views" },
+  "history.created": "Created {when}",
+  "history.remove": "Remove {id} from history",
+  "history.remove.title": "Remove from history (does not delete the paste)",
+
+  "status.subtitle": "Backend status",
+  "status.ok": "Operational",
+  "status.unreachable": "Unreachable",
+  "status.degraded": "Degraded",
+  "status.failure.html": "The backend answered with an HTML page instead of JSON.",
+  "status.failure.network": "Couldn't reach the backend.",
+  "status.failure.timeout": "The health check timed out.",
+  "status.failure.http": "The backend reported an error.",
+  "status.lastCheck": "last check {when} · {ms} ms",
+  "status.rewrite": "Rewrite problem:",
+  "status.rewriteDetail":
+    "{url} returned HTML instead of JSON. This usually means the {rule} rewrite in {file} isn't reaching the backend and the SPA fallback ({fallback}) or an error page answered instead.",
+  "status.successRate": "Success rate",
+  "status.checksThisSession": "{ok}/{count} checks this session",
+  "status.avgLatency": "Avg latency",
+  "status.ms": "{ms} ms",
+  "status.successfulChecks": "successful checks",
+  "status.polling": "Polling",
+  "status.seconds": "{s}s",
+  "status.checkNow": "Check now",
+  "status.latency": "Latency",
+  "status.payload": "Health payload",
+  "status.noResponse": "No successful response yet.",
+  "status.collecting": "Collecting samples...",
+  "status.chartLabel": "Latency over the last {count} checks, up to {max} ms",
+
+  "diff.subtitle": "Comparing pastes",
+  "diff.checking": "Checking pastes...",
+  "diff.loading": "Loading pastes...",
+  "diff.confirmLabel": "Confirm comparison",
+  "diff.confirm": "Comparing uses one view of each paste.",
+  "diff.budgetUnknown": "{id}: view budget unknown",
+  "diff.noLimit": "{id}: no view limit",
+  "diff.viewsLeft": { one: "{id}: {count} view left", other: "{id}: {count} views left" },
+  "diff.compare": "Compare",
+  "diff.layout": "Diff layout",
+  "diff.split": "Side by side",
+  "diff.unified": "Unified",
+  "diff.identical": "The pastes are identical.",
+  "diff.passphrase": "Paste {id} is passphrase-encrypted and can't be compared here.",
+  "diff.password": "Paste {id} is password-protected and can't be compared here.",
+
+  "palette.label": "Command palette",
+  "palette.placeholder": "Type a command or paste ID…",
+  "palette.commands": "Commands",
+  "palette.empty": "No matching commands",
+  "help.title": "Keyboard shortcuts",
+
+  "cmd.section.general": "General",
+  "cmd.section.goTo": "Go to",
+  "cmd.section.paste": "Paste",
+  "cmd.palette": "Open command palette",
+  "cmd.help": "Show keyboard shortcuts",
+  "cmd.focusSearch": "Focus search",
+  "cmd.goHome": "New paste",
+  "cmd.openPaste": "Open paste “{id}”",
+  "cmd.theme": "Theme: switch to {theme}",
+  "cmd.wrapOn": "Turn on line wrapping",
+  "cmd.wrapOff": "Turn off line wrapping",
+  "cmd.language": "Language: switch to {language}",
+  "cmd.create": "Create paste",
+  "cmd.copyNewLink": "Copy link to new paste",
+  "cmd.bulk": "Bulk create pastes",
+  "cmd.copyLink": "Copy link to this paste",
+  "cmd.copyContent": "Copy content",
+  "cmd.download": "Download",
+  "cmd.showRaw": "Show raw Markdown",
+  "cmd.showRendered": "Show rendered Markdown",
+  "cmd.fork": "Fork / edit as new",
+
+  "prefs.savedLocally": "Saved in this browser only. Changes apply immediately.",
+  "prefs.appearance": "Appearance",
+  "prefs.theme": "Theme",
+  "prefs.theme.system": "System",
+  "prefs.theme.light": "Light",
+  "prefs.theme.dark": "Dark",
+  "prefs.language": "Language",
+  "prefs.language.auto": "Automatic (browser language)",
+  "prefs.fontSize": "Code font size",
+  "prefs.px": "{n}px",
+  "prefs.tabWidth": "Tab width",
+  "prefs.spaces": { one: "{count} space", other: "{count} spaces" },
+  "prefs.wrap": "Wrap long lines",
+  "prefs.wrap.hint": "Very large pastes are never wrapped, so scrolling stays fast.",
+  "prefs.defaults": "New paste defaults",
+  "prefs.maxViews": "Max views",
+  "prefs.unlimited": "Unlimited",
+  "prefs.maxViews.invalid": "Use a positive whole number, or leave empty.",
+  "prefs.secrets": "Secret scanning",
+  "prefs.secrets.enable": "Check new pastes for passwords and keys before creating them",
+  "prefs.secrets.hint": "The check runs in this browser. Flagged lines can be redacted or sent as they are.",
+  "prefs.secrets.rules": "Look for",
+  "prefs.secrets.custom": "Custom patterns",
+  "prefs.secrets.customHint": "One regular expression per line, bare or as /pattern/flags. Lines starting with # are ignored.",
+  "prefs.secrets.invalid": "Not a valid regular expression on line {lines}.",
+  "prefs.reset": "Reset to defaults",
+};
@@ -1,17 +1,22 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
-import { BrowserRouter, Routes, Route } from 'react-router-dom'
+import { BrowserRouter } from 'react-router-dom'
 import './index.css'
-import App from './App.jsx'
-import PasteView from './PasteView.jsx'
+import AppRoutes from './AppRoutes.jsx'
+import { PrefsProvider } from './Preferences.jsx'
+import { I18nProvider } from './LanguageSwitcher.jsx'
+import { registerServiceWorker } from './lib/pwa.js'
+
+registerServiceWorker()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <BrowserRouter>
-      <Routes>
-        <Route path="/" element={<App />} />
-        <Route path="/p/:id" element={<PasteView />} />
-      </Routes>
-    </BrowserRouter>
+    <PrefsProvider>
+      <I18nProvider>
+        <BrowserRouter>
+          <AppRoutes />
+        </BrowserRouter>
+      </I18nProvider>
+    </PrefsProvider>
   </StrictMode>,
 )
@@ -1,21 +1,79 @@
+import { readFile } from 'node:fs/promises'
+import { resolve } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import oembed from './api/oembed.js'
+import { createPageHandler } from './api/page.js'
+import { createMockBackend, mockOptionsFromEnv } from './mock/backend.js'
+
+// Serves /oembed locally; on Vercel it's the api/oembed.js function.
+const oembedEndpoint = {
+  name: 'oembed-endpoint',
+  configureServer(server) {
+    server.middlewares.use('/oembed', oembed)
+  },
+  configurePreviewServer(server) {
+    server.middlewares.use('/oembed', oembed)
+  },
+}
+
+// /p/:id with link-preview tags, as the api/page.js function serves it on
+// Vercel. Only on the preview server and in mock mode: plain `vite` proxies
+// /p to the backend.
+const onPastePages = (handler) => (req, res, next) =>
+  /^\/p\/[^/?#]+\/?(?:\?|$)/.test(req.url) ? handler(req, res) : next()
+
+const pastePages = {
+  name: 'paste-pages',
+  configureServer(server) {
+    if (server.config.mode !== 'mock') return
+    const page = createPageHandler({
+      loadTemplate: async (req) =>
+        server.transformIndexHtml(req.originalUrl, await readFile(resolve(server.config.root, 'index.html'), 'utf8')),
+    })
+    server.middlewares.use(onPastePages(page))
+  },
+  configurePreviewServer(server) {
+    const { root, build } = server.config
+    const page = createPageHandler({
+      loadTemplate: () => readFile(resolve(root, build.outDir, 'index.html'), 'utf8'),
+    })
+    server.middlewares.use(onPastePages(page))
+  },
+}
+
+// `vite --mode mock` (npm run dev:mock): /api is the in-memory mock backend
+// instead of the live one. See mock/backend.js for failure modes.
+const mockBackend = {
+  name: 'mock-backend',
+  configureServer(server) {
+    const backend = createMockBackend(mockOptionsFromEnv())
+    server.middlewares.use(backend)
+    server.httpServer?.once('listening', () => {
+      const { failure, latencyMs } = backend.state.settings
+      server.config.logger.info(`  mock backend on /api (failure: ${failure}, latency: ${latencyMs} ms)`)
+    })
+  },
+}
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+export default defineConfig(({ mode }) => ({
+  plugins: [react(), oembedEndpoint, mode === 'mock' && mockBackend, pastePages],
   server: {
-    proxy: {
-      '/api': {
-        target: 'https://pastebin-backend-new.vercel.app',
-        changeOrigin: true,
-        secure: true,
-      },
-      '/p': {
-        target: 'https://pastebin-backend-new.vercel.app',
-        changeOrigin: true,
-        secure: true,
-      }
-    }
-  }
-})
+    proxy:
+      mode === 'mock'
+        ? undefined
+        : {
+            '/api': {
+              target: 'https://pastebin-backend-new.vercel.app',
+              changeOrigin: true,
+              secure: true,
+            },
+            '/p': {
+              target: 'https://pastebin-backend-new.vercel.app',
+              changeOrigin: true,
+              secure: true,
+            },
+          },
+  },
+}))